@@ -0,0 +1,284 @@
+// Rule-based achievements. Each achievements row names a rule from
+// ACHIEVEMENT_RULES (condition_type) with a threshold or tier (condition_value),
+// a kit count for kits_at_tier (condition_count) and an optional game/kit scope.
+// Rules are checked against a player's stats and decided event brackets. Awards
+// are never taken back, so dropping a tier later keeps what was earned.
+
+const { TIERS } = require("./rankings");
+const { listBracketMatches, findBracketPodium, parseBracket } = require("./bracket");
+
+const ACHIEVEMENTS_TABLE = "achievements";
+const PLAYER_ACHIEVEMENTS_TABLE = "player_achievements";
+const STAT_HISTORY_TABLE = "player_stat_history";
+const PLAYER_EVENT_RECORDS_TABLE = "player_event_records";
+const PAGE_SIZE = 1000;
+// Ids per .in() filter, keeping the request URL short.
+const ID_CHUNK_SIZE = 200;
+
+// input: what condition_value holds. count: the rule also reads condition_count.
+const ACHIEVEMENT_RULES = {
+  points: { label: "Points in one kit", input: "number" },
+  total_points: { label: "Total points across kits", input: "number" },
+  tier: { label: "Holds an exact tier", input: "tier" },
+  kits_at_tier: { label: "Kits at or above a tier", input: "tier", count: true },
+  event_wins: { label: "Events won", input: "number" },
+  event_podiums: { label: "Top-three event finishes", input: "number" },
+  win_streak: { label: "Event match win streak", input: "number" },
+  first_to_tier: { label: "First player to reach a tier", input: "tier" },
+};
+
+const EVENT_RULES = new Set(["event_wins", "event_podiums", "win_streak"]);
+const EMPTY_EVENT_SUMMARY = { placements: [], results: [] };
+
+function inScope(achievement, row) {
+  return (!achievement.game || row.game === achievement.game) && (!achievement.kit || row.kit === achievement.kit);
+}
+
+function threshold(achievement) {
+  return Number(achievement.condition_value) || 0;
+}
+
+// ladders maps a game name to its tiers, weakest first; unknown games use the default ladder.
+function isAtOrAbove(ladders, stat, tier) {
+  const ladder = ladders[stat.game] || TIERS;
+  const target = ladder.indexOf(tier);
+  return target !== -1 && ladder.indexOf(stat.tier) >= target;
+}
+
+function longestWinStreak(results) {
+  let best = 0;
+  let current = 0;
+  results.forEach(result => {
+    current = result.won ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return best;
+}
+
+// Each checker gets the achievement, the player's { stats, placements, results }
+// (results in the order they were played) and the game ladders.
+const RULE_CHECKS = {
+  points: (achievement, player) =>
+    player.stats.some(stat => inScope(achievement, stat) && (stat.points || 0) >= threshold(achievement)),
+  total_points: (achievement, player) =>
+    player.stats.filter(stat => inScope(achievement, stat)).reduce((sum, stat) => sum + (stat.points || 0), 0) >=
+    threshold(achievement),
+  tier: (achievement, player) =>
+    player.stats.some(stat => inScope(achievement, stat) && stat.tier === achievement.condition_value),
+  kits_at_tier: (achievement, player, ladders) =>
+    player.stats.filter(stat => inScope(achievement, stat) && isAtOrAbove(ladders, stat, achievement.condition_value))
+      .length >= Math.max(1, achievement.condition_count || 1),
+  event_wins: (achievement, player) =>
+    player.placements.filter(entry => inScope(achievement, entry) && entry.place === 1).length >= threshold(achievement),
+  event_podiums: (achievement, player) =>
+    player.placements.filter(entry => inScope(achievement, entry) && entry.place <= 3).length >= threshold(achievement),
+  win_streak: (achievement, player) =>
+    longestWinStreak(player.results.filter(result => inScope(achievement, result))) >= threshold(achievement),
+  // Only decides eligibility; the engine also checks that nobody holds it yet.
+  first_to_tier: (achievement, player, ladders) =>
+    player.stats.some(stat => inScope(achievement, stat) && isAtOrAbove(ladders, stat, achievement.condition_value)),
+};
+
+function qualifies(achievement, player, ladders) {
+  const check = RULE_CHECKS[achievement.condition_type];
+  return Boolean(check && check(achievement, player, ladders));
+}
+
+// Placements and match results per player id from every event bracket.
+function summarizeEvents(events) {
+  const summaries = new Map();
+  const summaryFor = playerId => {
+    const key = String(playerId);
+    if (!summaries.has(key)) summaries.set(key, { placements: [], results: [] });
+    return summaries.get(key);
+  };
+
+  events.forEach(event => {
+    const bracket = parseBracket(event.bracket);
+    const scope = { eventId: event.id, game: event.game, kit: event.kit };
+    listBracketMatches(bracket).forEach(match => {
+      if (!match.winner || !match.loser || match.autoAdvance) return;
+      const playedAt = match.completedAt || event.created_at || "";
+      summaryFor(match.winner.id).results.push({ ...scope, won: true, playedAt });
+      summaryFor(match.loser.id).results.push({ ...scope, won: false, playedAt });
+    });
+    (findBracketPodium(bracket) || []).forEach(({ player, place }) => {
+      summaryFor(player.id).placements.push({ ...scope, place });
+    });
+  });
+
+  summaries.forEach(summary => summary.results.sort((a, b) => String(a.playedAt).localeCompare(String(b.playedAt))));
+  return summaries;
+}
+
+// PostgREST caps responses, so whole-table reads for the backfill go page by page.
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// listGames comes from the game catalog; onAward({ player, achievement }) runs for
+// every new award outside a backfill (the site uses it for Discord announcements).
+function createAchievementEngine(supabase, { listGames, eventsTable = "events", onAward = async () => {} } = {}) {
+  async function loadLadders() {
+    const games = await listGames();
+    return Object.fromEntries(games.map(game => [game.name, game.tiers]));
+  }
+
+  async function listAchievements() {
+    const { data, error } = await supabase.from(ACHIEVEMENTS_TABLE).select("*").order("id");
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Reading brackets is the expensive part, so it is skipped when no rule needs it.
+  // With a playerId only the events that player has a record in are read.
+  async function loadEventSummaries(achievements, playerId = null) {
+    if (!achievements.some(achievement => EVENT_RULES.has(achievement.condition_type))) return new Map();
+    if (playerId == null) {
+      const events = await selectAll(() => supabase.from(eventsTable).select("id, game, kit, bracket, created_at").order("id"));
+      return summarizeEvents(events);
+    }
+
+    const records = await selectAll(() =>
+      supabase.from(PLAYER_EVENT_RECORDS_TABLE).select("event_id").eq("player_id", playerId).order("event_id")
+    );
+    const eventIds = [...new Set(records.map(record => record.event_id))];
+    const events = [];
+    for (let offset = 0; offset < eventIds.length; offset += ID_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from(eventsTable)
+        .select("id, game, kit, bracket, created_at")
+        .in("id", eventIds.slice(offset, offset + ID_CHUNK_SIZE));
+      if (error) throw error;
+      events.push(...(data || []));
+    }
+    return summarizeEvents(events);
+  }
+
+  async function claimedAchievementIds(achievementIds) {
+    if (achievementIds.length === 0) return new Set();
+    const { data, error } = await supabase
+      .from(PLAYER_ACHIEVEMENTS_TABLE)
+      .select("achievement_id")
+      .in("achievement_id", achievementIds);
+    if (error) throw error;
+    return new Set((data || []).map(row => String(row.achievement_id)));
+  }
+
+  // Inserts awards, skipping any the player already has, and returns the rows that were new.
+  async function insertAwards(rows) {
+    const inserted = [];
+    for (let offset = 0; offset < rows.length; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(PLAYER_ACHIEVEMENTS_TABLE)
+        .upsert(rows.slice(offset, offset + PAGE_SIZE), {
+          onConflict: "player_id,achievement_id",
+          ignoreDuplicates: true,
+        })
+        .select("player_id, achievement_id");
+      if (error) throw error;
+      inserted.push(...(data || []));
+    }
+    return inserted;
+  }
+
+  // Re-checks every rule for one player and awards what they newly qualify for.
+  async function evaluatePlayer(player) {
+    const achievements = await listAchievements();
+    if (achievements.length === 0) return [];
+    const [ladders, summaries, statsResult, earnedResult] = await Promise.all([
+      loadLadders(),
+      loadEventSummaries(achievements, player.id),
+      supabase.from("player_stats").select("game, kit, tier, points").eq("player_id", player.id),
+      supabase.from(PLAYER_ACHIEVEMENTS_TABLE).select("achievement_id").eq("player_id", player.id),
+    ]);
+    if (statsResult.error) throw statsResult.error;
+    if (earnedResult.error) throw earnedResult.error;
+
+    const earned = new Set((earnedResult.data || []).map(row => String(row.achievement_id)));
+    const context = { stats: statsResult.data || [], ...(summaries.get(String(player.id)) || EMPTY_EVENT_SUMMARY) };
+    let pending = achievements.filter(
+      achievement => !earned.has(String(achievement.id)) && qualifies(achievement, context, ladders)
+    );
+
+    const firsts = pending.filter(achievement => achievement.condition_type === "first_to_tier");
+    const claimed = await claimedAchievementIds(firsts.map(achievement => achievement.id));
+    pending = pending.filter(achievement => !claimed.has(String(achievement.id)));
+    if (pending.length === 0) return [];
+
+    const inserted = await insertAwards(
+      pending.map(achievement => ({ player_id: player.id, achievement_id: achievement.id }))
+    );
+    const insertedIds = new Set(inserted.map(row => String(row.achievement_id)));
+    const awarded = pending.filter(achievement => insertedIds.has(String(achievement.id)));
+    for (const achievement of awarded) await onAward({ player, achievement });
+    return awarded;
+  }
+
+  // Who reached each unclaimed first-to-tier target first, going by stat history.
+  async function findFirstToTierHolders(achievements, ladders) {
+    const firsts = achievements.filter(achievement => achievement.condition_type === "first_to_tier");
+    const claimed = await claimedAchievementIds(firsts.map(achievement => achievement.id));
+    const open = firsts.filter(achievement => !claimed.has(String(achievement.id)));
+    if (open.length === 0) return [];
+
+    const history = await selectAll(() =>
+      supabase
+        .from(STAT_HISTORY_TABLE)
+        .select("player_id, game, kit, new_tier, created_at")
+        .not("new_tier", "is", null)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+    );
+    return open.flatMap(achievement => {
+      const first = history.find(
+        row => inScope(achievement, row) && isAtOrAbove(ladders, { game: row.game, tier: row.new_tier }, achievement.condition_value)
+      );
+      return first ? [{ player_id: first.player_id, achievement_id: achievement.id }] : [];
+    });
+  }
+
+  // Evaluates every player with stats or event results. Backfilled awards are not announced.
+  async function backfill() {
+    const achievements = await listAchievements();
+    const [ladders, summaries, stats, earned] = await Promise.all([
+      loadLadders(),
+      loadEventSummaries(achievements),
+      selectAll(() => supabase.from("player_stats").select("player_id, game, kit, tier, points").order("id")),
+      selectAll(() => supabase.from(PLAYER_ACHIEVEMENTS_TABLE).select("player_id, achievement_id")),
+    ]);
+
+    const earnedKeys = new Set(earned.map(row => `${row.player_id}:${row.achievement_id}`));
+    const statsByPlayer = new Map();
+    stats.forEach(stat => {
+      const key = String(stat.player_id);
+      if (!statsByPlayer.has(key)) statsByPlayer.set(key, []);
+      statsByPlayer.get(key).push(stat);
+    });
+    const playerIds = new Set([...statsByPlayer.keys(), ...summaries.keys()]);
+
+    const rows = [];
+    const ruleAchievements = achievements.filter(achievement => achievement.condition_type !== "first_to_tier");
+    playerIds.forEach(playerId => {
+      const context = { stats: statsByPlayer.get(playerId) || [], ...(summaries.get(playerId) || EMPTY_EVENT_SUMMARY) };
+      ruleAchievements.forEach(achievement => {
+        if (earnedKeys.has(`${playerId}:${achievement.id}`)) return;
+        if (qualifies(achievement, context, ladders)) rows.push({ player_id: playerId, achievement_id: achievement.id });
+      });
+    });
+    rows.push(...(await findFirstToTierHolders(achievements, ladders)));
+
+    const inserted = await insertAwards(rows);
+    return { players: playerIds.size, awarded: inserted.length };
+  }
+
+  return { listAchievements, evaluatePlayer, backfill };
+}
+
+module.exports = { ACHIEVEMENT_RULES, createAchievementEngine, qualifies, summarizeEvents };
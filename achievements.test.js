@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { qualifies, summarizeEvents } = require("./achievements");
+const { createSeededBracket, assignWinnerToNextMatch, findMatch } = require("./bracket");
+
+const ladders = { Valorant: ["Iron", "Gold", "Radiant"] };
+const achievement = fields => ({ id: 1, game: null, kit: null, condition_count: null, ...fields });
+const player = (fields = {}) => ({ stats: [], placements: [], results: [], ...fields });
+
+const stats = [
+  { game: "Minecraft", kit: "Sword", tier: "HT3", points: 30 },
+  { game: "Minecraft", kit: "Axe", tier: "LT2", points: 45 },
+  { game: "Valorant", kit: "Duelist", tier: "Gold", points: 10 },
+];
+
+test("points rules check one kit or the total across kits", () => {
+  assert.equal(qualifies(achievement({ condition_type: "points", condition_value: "45" }), player({ stats })), true);
+  assert.equal(qualifies(achievement({ condition_type: "points", condition_value: "46" }), player({ stats })), false);
+  assert.equal(qualifies(achievement({ condition_type: "total_points", condition_value: "85" }), player({ stats })), true);
+  assert.equal(
+    qualifies(achievement({ condition_type: "total_points", condition_value: "80", game: "Minecraft", kit: "Sword" }), player({ stats })),
+    false
+  );
+});
+
+test("tier rules use each game's own ladder", () => {
+  assert.equal(qualifies(achievement({ condition_type: "tier", condition_value: "HT3" }), player({ stats })), true);
+  assert.equal(
+    qualifies(achievement({ condition_type: "kits_at_tier", condition_value: "HT3", condition_count: 2 }), player({ stats }), ladders),
+    true
+  );
+  assert.equal(
+    qualifies(achievement({ condition_type: "kits_at_tier", condition_value: "LT2", condition_count: 2 }), player({ stats }), ladders),
+    false
+  );
+  assert.equal(
+    qualifies(achievement({ condition_type: "first_to_tier", condition_value: "Gold", game: "Valorant" }), player({ stats }), ladders),
+    true
+  );
+  assert.equal(
+    qualifies(achievement({ condition_type: "first_to_tier", condition_value: "Radiant", game: "Valorant" }), player({ stats }), ladders),
+    false
+  );
+});
+
+test("unknown rules never qualify", () => {
+  assert.equal(qualifies(achievement({ condition_type: "retired_rule", condition_value: "1" }), player({ stats })), false);
+});
+
+test("event rules read placements and match streaks from decided brackets", () => {
+  const bracket = createSeededBracket("single_elimination", [
+    { id: "p1", username: "Steve" },
+    { id: "p2", username: "Alex" },
+    { id: "p3", username: "Cara" },
+    { id: "p4", username: "Dan" },
+  ]);
+  [["r1m1", "p1", "2026-01-01"], ["r1m2", "p3", "2026-01-02"], ["r2m1", "p1", "2026-01-03"]].forEach(([matchId, winnerId, at]) => {
+    const match = findMatch(bracket, matchId);
+    match.winner = match.player1.id === winnerId ? match.player1 : match.player2;
+    match.loser = match.player1.id === winnerId ? match.player2 : match.player1;
+    match.completedAt = at;
+    assignWinnerToNextMatch(bracket, match);
+  });
+
+  const summaries = summarizeEvents([{ id: 7, game: "Minecraft", kit: "Axe", bracket, created_at: "2026-01-01" }]);
+  const champion = player(summaries.get("p1"));
+  const finalist = player(summaries.get("p3"));
+
+  assert.equal(qualifies(achievement({ condition_type: "event_wins", condition_value: "1" }), champion), true);
+  assert.equal(qualifies(achievement({ condition_type: "event_wins", condition_value: "1" }), finalist), false);
+  assert.equal(qualifies(achievement({ condition_type: "event_podiums", condition_value: "1" }), finalist), true);
+  assert.equal(qualifies(achievement({ condition_type: "win_streak", condition_value: "2" }), champion), true);
+  assert.equal(qualifies(achievement({ condition_type: "win_streak", condition_value: "2" }), finalist), false);
+  assert.equal(qualifies(achievement({ condition_type: "event_wins", condition_value: "1", kit: "Sword" }), champion), false);
+});
@@ -1,16 +1,46 @@
 require("dotenv").config();
-const { Client, GatewayIntentBits, Partials, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, Events } = require("discord.js");
+const { Client, GatewayIntentBits, Partials, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, Events, SlashCommandBuilder, PermissionFlagsBits, MessageFlags } = require("discord.js");
 const { createClient } = require("@supabase/supabase-js");
-const fetch = require("node-fetch"); // Fixed for CommonJS
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args)); // node-fetch v3 is ESM-only
+const { TIERS, DEFAULT_RATING, createRankings } = require("./rankings");
+const { EVENT_FORMATS, DEFAULT_EVENT_FORMAT, parseBracket, listBracketMatches, isMatchResolved, findBracketChampion } = require("./bracket");
+const { EVENT_STATUSES, PUBLIC_EVENT_STATUSES, effectiveEventStatus, formatEventTime } = require("./event-lifecycle");
+const { createGameCatalog } = require("./games");
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const {
+  loadLeaderboardPage,
+  loadPlayerStandings,
+  loadPlayerProfile,
+  loadPlayerRanks,
+  searchPlayerNames,
+  listGames,
+  listKits,
+  invalidateLeaderboards,
+} = createRankings(supabase, { cacheTtlMs: Math.max(0, parseInt(process.env.LEADERBOARD_CACHE_TTL_MS || "", 10) || 30000) });
+const gameCatalog = createGameCatalog(supabase);
 
 const client = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent],
   partials: [Partials.Channel]
 });
 
-const TIERS = ["LT5","HT5","LT4","HT4","LT3","HT3","LT2","HT2","LT1","HT1"];
+const LEADERBOARD_PAGE_SIZE = 10;
+const AUTOCOMPLETE_LIMIT = 25;
+const DISCORD_LINKS_TABLE = "discord_links";
+
+// Tier roles: "{tier}", "{kit}" and "{game}" are filled in to get a role name, and
+// TIER_ROLE_MAP can point any of those names at a specific role id or name instead,
+// e.g. {"HT1 Sword": "123456789012345678"}.
+const TIER_ROLE_FORMAT = process.env.TIER_ROLE_FORMAT || "{tier} {kit}";
+const TIER_ROLE_MAP = (() => {
+  try {
+    return JSON.parse(process.env.TIER_ROLE_MAP || "{}");
+  } catch (err) {
+    console.error("TIER_ROLE_MAP is not valid JSON, ignoring it:", err.message);
+    return {};
+  }
+})();
 
 // Fetch Minecraft UUID by username
 async function getMinecraftUUID(username) {
@@ -25,8 +55,500 @@ async function getMinecraftUUID(username) {
   }
 }
 
-client.once("ready", () => {
+function profileUrl(username) {
+  return process.env.WEBSITE_URL ? `${process.env.WEBSITE_URL}/profile/${encodeURIComponent(username)}` : null;
+}
+
+function profileButtonRow(username) {
+  const url = profileUrl(username);
+  if (!url) return [];
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setLabel("View Profile").setStyle(ButtonStyle.Link).setURL(url)
+    ),
+  ];
+}
+
+function capitalize(text = "") {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function bestTier(stats) {
+  return stats.reduce((best, s) => (TIERS.indexOf(s.tier) > TIERS.indexOf(best) ? s.tier : best), null);
+}
+
+// ----- Slash commands -----
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName("rank")
+    .setDescription("Show a player's rank in each game")
+    .addStringOption(o => o.setName("player").setDescription("Player name").setRequired(true).setAutocomplete(true))
+    .addStringOption(o => o.setName("game").setDescription("Only this game").setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName("profile")
+    .setDescription("Show a player's tiers, ratings and event record")
+    .addStringOption(o => o.setName("player").setDescription("Player name").setRequired(true).setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("Show a game leaderboard")
+    .addStringOption(o => o.setName("game").setDescription("Game").setRequired(true).setAutocomplete(true))
+    .addStringOption(o => o.setName("kit").setDescription("Only this kit").setAutocomplete(true))
+    .addIntegerOption(o => o.setName("page").setDescription("Page number").setMinValue(1)),
+  new SlashCommandBuilder()
+    .setName("compare")
+    .setDescription("Compare two players")
+    .addStringOption(o => o.setName("a").setDescription("First player").setRequired(true).setAutocomplete(true))
+    .addStringOption(o => o.setName("b").setDescription("Second player").setRequired(true).setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName("resync-roles")
+    .setDescription("Resync tier roles for one member, or every linked member")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .addUserOption(o => o.setName("member").setDescription("Only this member")),
+  new SlashCommandBuilder()
+    .setName("event")
+    .setDescription("Show an event's bracket status")
+    .addIntegerOption(o => o.setName("id").setDescription("Event").setRequired(true).setAutocomplete(true)),
+];
+
+async function autocompleteChoices(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const input = String(focused.value || "").trim();
+
+  if (focused.name === "game") {
+    const games = await listGames();
+    return games.filter(g => g.toLowerCase().includes(input.toLowerCase())).map(g => ({ name: g, value: g }));
+  }
+
+  if (focused.name === "kit") {
+    const kits = await listKits(interaction.options.getString("game"));
+    return kits.filter(k => k.toLowerCase().includes(input.toLowerCase())).map(k => ({ name: k, value: k }));
+  }
+
+  if (focused.name === "id") {
+    const { data, error } = await supabase
+      .from("events")
+      .select("id, name, game, kit")
+      .in("status", PUBLIC_EVENT_STATUSES)
+      .order("created_at", { ascending: false })
+      .limit(100);
+    if (error) throw error;
+    return (data || [])
+      .filter(e => !input || e.name.toLowerCase().includes(input.toLowerCase()) || String(e.id).startsWith(input))
+      .map(e => ({ name: `${e.name} (${e.game} ${e.kit})`.slice(0, 100), value: Number(e.id) }));
+  }
+
+  const names = await searchPlayerNames(input, AUTOCOMPLETE_LIMIT);
+  return names.map(n => ({ name: n, value: n }));
+}
+
+async function handleRankCommand(interaction) {
+  const username = interaction.options.getString("player", true);
+  const gameFilter = interaction.options.getString("game");
+  const profile = await loadPlayerProfile(username);
+  if (!profile) return interaction.editReply(`❌ Player ${username} not found.`);
+
+  const stats = gameFilter ? profile.stats.filter(s => s.game === gameFilter) : profile.stats;
+  if (stats.length === 0)
+    return interaction.editReply(`❌ ${username} has no stats${gameFilter ? ` in ${gameFilter}` : ""}.`);
+
+  const games = [...new Set(stats.map(s => s.game))];
+  const ranks = await loadPlayerRanks(profile.player.id, games);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${profile.player.username} — Rankings`)
+    .addFields(
+      games.map(game => {
+        const gameStats = stats.filter(s => s.game === game);
+        const points = gameStats.reduce((sum, s) => sum + (s.points || 0), 0);
+        const kits = gameStats.map(s => `${s.kit} (${s.tier})`).join(", ");
+        return { name: `${capitalize(game)} — #${ranks[game] ?? "?"}`, value: `${points} points\n${kits}`.slice(0, 1024) };
+      })
+    )
+    .setColor("Green")
+    .setTimestamp();
+
+  if (games.some(g => g.toLowerCase() === "minecraft")) {
+    const uuid = await getMinecraftUUID(profile.player.username);
+    if (uuid) embed.setThumbnail(`https://crafatar.com/avatars/${uuid}?size=128&overlay`);
+  }
+
+  return interaction.editReply({ embeds: [embed], components: profileButtonRow(profile.player.username) });
+}
+
+async function handleProfileCommand(interaction) {
+  const username = interaction.options.getString("player", true);
+  const profile = await loadPlayerProfile(username);
+  if (!profile) return interaction.editReply(`❌ Player ${username} not found.`);
+
+  const kitsString = profile.stats
+    .map(s => `**${s.game}** ${s.kit} — ${s.tier} · ${s.points || 0} pts · ${s.rating ?? DEFAULT_RATING} rating`)
+    .join("\n");
+  const wins = profile.eventRecords.reduce((sum, r) => sum + (r.wins || 0), 0);
+  const losses = profile.eventRecords.reduce((sum, r) => sum + (r.losses || 0), 0);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${profile.player.username} — Profile`)
+    .addFields(
+      { name: "Overall Points", value: profile.totalPoints.toString(), inline: true },
+      { name: "Best Tier", value: bestTier(profile.stats) || "Unranked", inline: true },
+      { name: "Event Record", value: `${wins}W – ${losses}L`, inline: true },
+      { name: "Kits & Tiers", value: (kitsString || "None").slice(0, 1024), inline: false },
+      { name: "Achievements", value: profile.achievements.length.toString(), inline: true }
+    )
+    .setColor("Green")
+    .setTimestamp();
+
+  return interaction.editReply({ embeds: [embed], components: profileButtonRow(profile.player.username) });
+}
+
+async function handleLeaderboardCommand(interaction) {
+  const game = interaction.options.getString("game", true);
+  const kit = interaction.options.getString("kit");
+  const leaderboard = await loadLeaderboardPage(game, {
+    kit,
+    page: interaction.options.getInteger("page") || 1,
+    perPage: LEADERBOARD_PAGE_SIZE,
+  });
+  if (leaderboard.total === 0) return interaction.editReply(`❌ No players found for ${game}${kit ? ` ${kit}` : ""}.`);
+
+  const lines = leaderboard.entries.map(entry => {
+    const detail = kit ? `${entry.kits[0]?.tier || "—"} · ${entry.top_rating} rating` : `${entry.kits.length} kit${entry.kits.length === 1 ? "" : "s"}`;
+    return `**#${entry.rank}** ${entry.players?.username || "Unknown"} — ${entry.total_points} pts (${detail})`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${capitalize(game)}${kit ? ` — ${kit}` : ""} Leaderboard`)
+    .setDescription(lines.join("\n"))
+    .setFooter({ text: `Page ${leaderboard.page} of ${leaderboard.totalPages}` })
+    .setColor("Green")
+    .setTimestamp();
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleCompareCommand(interaction) {
+  const names = [interaction.options.getString("a", true), interaction.options.getString("b", true)];
+  const profiles = await Promise.all(names.map(name => loadPlayerProfile(name)));
+  const missing = names.filter((_, i) => !profiles[i]);
+  if (missing.length > 0) return interaction.editReply(`❌ Player ${missing.join(", ")} not found.`);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${profiles[0].player.username} vs ${profiles[1].player.username}`)
+    .addFields(
+      profiles.map(profile => {
+        const bestRating = profile.stats.length > 0 ? Math.max(...profile.stats.map(s => s.rating ?? DEFAULT_RATING)) : null;
+        const kits = profile.stats.map(s => `${s.kit} (${s.tier})`).join(", ");
+        return {
+          name: profile.player.username,
+          value: [
+            `Points: ${profile.totalPoints}`,
+            `Best Tier: ${bestTier(profile.stats) || "Unranked"}`,
+            `Best Rating: ${bestRating ?? "—"}`,
+            `Kits: ${kits || "None"}`,
+          ].join("\n").slice(0, 1024),
+          inline: true,
+        };
+      })
+    )
+    .setColor("Green")
+    .setTimestamp();
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleEventCommand(interaction) {
+  const id = interaction.options.getInteger("id", true);
+  const { data: event, error } = await supabase.from("events").select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  const lifecycle = event ? effectiveEventStatus(event) : null;
+  if (!event || lifecycle === "draft") return interaction.editReply(`❌ Event ${id} not found.`);
+
+  const bracket = parseBracket(event.bracket);
+  const matches = listBracketMatches(bracket).filter(m => !m.skipped);
+  const completed = matches.filter(isMatchResolved);
+  const upcoming = matches.filter(m => !isMatchResolved(m) && m.player1 && m.player2).slice(0, 5);
+  const champion = findBracketChampion(bracket);
+
+  let status = EVENT_STATUSES[lifecycle];
+  if (champion) status = `🏆 Won by ${champion.username}`;
+  else if (lifecycle === "live") status = completed.some(m => m.winner) ? "In progress" : "Not started";
+  else if (lifecycle !== "completed" && event.starts_at) status += `\nStarts ${formatEventTime(event.starts_at)}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(event.name)
+    .addFields(
+      { name: "Game", value: `${event.game} — ${event.kit}`, inline: true },
+      { name: "Format", value: EVENT_FORMATS[bracket.format || DEFAULT_EVENT_FORMAT] || bracket.format, inline: true },
+      { name: "Status", value: status, inline: true },
+      { name: "Matches", value: `${completed.length} / ${matches.length} resolved`, inline: true },
+      {
+        name: "Up Next",
+        value: upcoming.length > 0
+          ? upcoming.map(m => `${m.player1.username} vs ${m.player2.username}`).join("\n")
+          : "No matches ready",
+        inline: false,
+      }
+    )
+    .setColor("Green")
+    .setTimestamp();
+
+  const components = [];
+  if (process.env.WEBSITE_URL) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setLabel("View Bracket").setStyle(ButtonStyle.Link).setURL(`${process.env.WEBSITE_URL}/events/${event.id}`)
+      )
+    );
+  }
+
+  return interaction.editReply({ embeds: [embed], components });
+}
+
+// ----- Tier roles -----
+async function getRoleGuild() {
+  if (!process.env.DISCORD_GUILD_ID) return null;
+  return client.guilds.cache.get(process.env.DISCORD_GUILD_ID) || client.guilds.fetch(process.env.DISCORD_GUILD_ID);
+}
+
+function findTierRole(guild, tier, kit, game) {
+  const name = TIER_ROLE_FORMAT.replace("{tier}", tier).replace("{kit}", kit).replace("{game}", game);
+  const target = TIER_ROLE_MAP[name] || name;
+  return guild.roles.cache.get(target) || guild.roles.cache.find(role => role.name === target) || null;
+}
+
+function tierRoleKey(game, kit) {
+  return `${game}\u0000${kit}`;
+}
+
+// Best tier per game and kit across every player a site user has linked, ranked on
+// that game's own ladder.
+async function loadLinkedBestTiers(userId, ladders) {
+  const { data: linked, error: linkedError } = await supabase
+    .from("user_linked_accounts")
+    .select("game_username")
+    .eq("user_id", userId)
+    .eq("verified", true);
+  if (linkedError) throw linkedError;
+  const usernames = (linked || []).map(row => row.game_username).filter(Boolean);
+  if (usernames.length === 0) return new Map();
+
+  const { data: players, error: playersError } = await supabase.from("players").select("id").in("username", usernames);
+  if (playersError) throw playersError;
+  if (!players || players.length === 0) return new Map();
+
+  const { data: stats, error: statsError } = await supabase
+    .from("player_stats")
+    .select("game, kit, tier")
+    .in("player_id", players.map(p => p.id));
+  if (statsError) throw statsError;
+
+  const best = new Map();
+  (stats || []).forEach(stat => {
+    const ladder = ladders.get(stat.game);
+    if (!stat.kit || !ladder || !ladder.includes(stat.tier)) return;
+    const key = tierRoleKey(stat.game, stat.kit);
+    if (!best.has(key) || ladder.indexOf(stat.tier) > ladder.indexOf(best.get(key))) best.set(key, stat.tier);
+  });
+  return best;
+}
+
+// Every game with its tier ladder and kits: the configured games.kits, or the kits
+// ranked in that game when none are configured.
+async function loadTierRoleGames() {
+  const games = await gameCatalog.listGames();
+  return Promise.all(
+    games.map(async game => ({
+      name: game.name,
+      tiers: game.tiers,
+      kits: game.kits.length > 0 ? game.kits : await listKits(game.name),
+    }))
+  );
+}
+
+// Gives the member exactly one tier role per game and kit and strips any tier role they no longer hold.
+// Members who have unlinked keep none. Bulk resyncs pass in games from loadTierRoleGames
+// so the kit lists are read once rather than once per member.
+async function syncMemberTierRoles(guild, discordId, games = null) {
+  const member = await guild.members.fetch(discordId).catch(() => null);
+  if (!member) return false;
+
+  const { data: link, error } = await supabase
+    .from(DISCORD_LINKS_TABLE)
+    .select("user_id")
+    .eq("discord_id", discordId)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!games) games = await loadTierRoleGames();
+  const ladders = new Map(games.map(game => [game.name, game.tiers]));
+  const bestTiers = link ? await loadLinkedBestTiers(link.user_id, ladders) : new Map();
+
+  const managed = new Set();
+  const wanted = new Set();
+  games.forEach(game => {
+    game.kits.forEach(kit => {
+      game.tiers.forEach(tier => {
+        const role = findTierRole(guild, tier, kit, game.name);
+        if (!role) return;
+        managed.add(role.id);
+        if (bestTiers.get(tierRoleKey(game.name, kit)) === tier) wanted.add(role.id);
+      });
+    });
+  });
+
+  const toRemove = member.roles.cache.filter(role => managed.has(role.id) && !wanted.has(role.id));
+  const toAdd = [...wanted].filter(id => !member.roles.cache.has(id));
+  if (toRemove.size > 0) await member.roles.remove(toRemove, "Tier role sync");
+  if (toAdd.length > 0) await member.roles.add(toAdd, "Tier role sync");
+  return true;
+}
+
+async function syncPlayerTierRoles(playerId) {
+  const guild = await getRoleGuild();
+  if (!guild) return;
+
+  const { data: player } = await supabase.from("players").select("username").eq("id", playerId).maybeSingle();
+  if (!player) return;
+
+  const { data: linked } = await supabase
+    .from("user_linked_accounts")
+    .select("user_id")
+    .eq("game_username", player.username)
+    .eq("verified", true);
+  const userIds = [...new Set((linked || []).map(row => row.user_id))];
+  if (userIds.length === 0) return;
+
+  const { data: links } = await supabase.from(DISCORD_LINKS_TABLE).select("discord_id").in("user_id", userIds);
+  const games = links && links.length > 0 ? await loadTierRoleGames() : null;
+  for (const link of links || []) {
+    await syncMemberTierRoles(guild, link.discord_id, games);
+  }
+}
+
+// The website only clears its own process's cache, so the bot drops its copy whenever a
+// table behind the cached leaderboards changes. The TTL still bounds staleness if the
+// realtime connection drops.
+const LEADERBOARD_SOURCE_TABLES = ["player_stats", "players", "seasons", "season_standings"];
+
+function watchLeaderboardChanges() {
+  const channel = supabase.channel("leaderboard-cache");
+  LEADERBOARD_SOURCE_TABLES.forEach(table => {
+    channel.on("postgres_changes", { event: "*", schema: "public", table }, () => invalidateLeaderboards());
+  });
+  channel.subscribe(status => {
+    if (status === "SUBSCRIBED") console.log("✅ Watching leaderboard tables for cache invalidation");
+  });
+}
+
+function watchTierRoleChanges() {
+  if (!process.env.DISCORD_GUILD_ID) {
+    console.log("ℹ️ DISCORD_GUILD_ID not set, tier role sync disabled");
+    return;
+  }
+
+  const run = task => task().catch(err => console.error("Tier role sync failed:", err));
+  supabase
+    .channel("tier-roles")
+    .on("postgres_changes", { event: "*", schema: "public", table: "player_stats" }, payload => {
+      const playerId = payload.new?.player_id || payload.old?.player_id;
+      if (playerId) run(() => syncPlayerTierRoles(playerId));
+    })
+    .on("postgres_changes", { event: "*", schema: "public", table: DISCORD_LINKS_TABLE }, payload => {
+      const discordIds = new Set([payload.old?.discord_id, payload.new?.discord_id].filter(Boolean));
+      discordIds.forEach(discordId => run(async () => {
+        const guild = await getRoleGuild();
+        if (guild) await syncMemberTierRoles(guild, discordId);
+      }));
+    })
+    .on("postgres_changes", { event: "UPDATE", schema: "public", table: "user_linked_accounts" }, payload => {
+      if (!payload.new?.user_id) return;
+      run(async () => {
+        const guild = await getRoleGuild();
+        const { data: link } = await supabase
+          .from(DISCORD_LINKS_TABLE)
+          .select("discord_id")
+          .eq("user_id", payload.new.user_id)
+          .maybeSingle();
+        if (guild && link) await syncMemberTierRoles(guild, link.discord_id);
+      });
+    })
+    .subscribe(status => {
+      if (status === "SUBSCRIBED") console.log("✅ Watching player_stats for tier role changes");
+    });
+}
+
+async function handleResyncRolesCommand(interaction) {
+  const guild = await getRoleGuild();
+  if (!guild) return interaction.editReply("❌ Tier roles are disabled. Set DISCORD_GUILD_ID to enable them.");
+
+  const member = interaction.options.getUser("member");
+  if (member) {
+    const synced = await syncMemberTierRoles(guild, member.id);
+    return interaction.editReply(synced ? `✅ Resynced tier roles for ${member}.` : `❌ ${member} is not in this server.`);
+  }
+
+  const { data: links, error } = await supabase.from(DISCORD_LINKS_TABLE).select("discord_id");
+  if (error) throw error;
+  const games = await loadTierRoleGames();
+  let synced = 0;
+  for (const link of links || []) {
+    if (await syncMemberTierRoles(guild, link.discord_id, games)) synced += 1;
+  }
+  return interaction.editReply(`✅ Resynced tier roles for ${synced} linked member${synced === 1 ? "" : "s"}.`);
+}
+
+const slashHandlers = {
+  rank: handleRankCommand,
+  profile: handleProfileCommand,
+  leaderboard: handleLeaderboardCommand,
+  compare: handleCompareCommand,
+  event: handleEventCommand,
+  "resync-roles": handleResyncRolesCommand,
+};
+const EPHEMERAL_COMMANDS = new Set(["resync-roles"]);
+
+client.once("ready", async () => {
   console.log(`✅ RankTiers Bot Online as ${client.user.tag}`);
+
+  // Guild commands update instantly, global ones can take up to an hour to appear.
+  try {
+    const body = slashCommands.map(command => command.toJSON());
+    if (process.env.DISCORD_GUILD_ID) await client.application.commands.set(body, process.env.DISCORD_GUILD_ID);
+    else await client.application.commands.set(body);
+    console.log(`✅ Registered ${body.length} slash commands`);
+  } catch (err) {
+    console.error("Failed to register slash commands:", err);
+  }
+
+  watchLeaderboardChanges();
+  watchTierRoleChanges();
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    try {
+      const choices = await autocompleteChoices(interaction);
+      await interaction.respond(choices.slice(0, AUTOCOMPLETE_LIMIT));
+    } catch (err) {
+      console.error(err);
+      await interaction.respond([]).catch(() => {});
+    }
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+  const handler = slashHandlers[interaction.commandName];
+  if (!handler) return;
+
+  try {
+    await interaction.deferReply(EPHEMERAL_COMMANDS.has(interaction.commandName) ? { flags: MessageFlags.Ephemeral } : {});
+    await handler(interaction);
+  } catch (err) {
+    console.error(err);
+    const reply = { content: "❌ Error processing command.", embeds: [], components: [] };
+    if (interaction.deferred || interaction.replied) interaction.editReply(reply).catch(() => {});
+    else interaction.reply({ ...reply, flags: MessageFlags.Ephemeral }).catch(() => {});
+  }
 });
 
 // ----- Step 1: !rank triggers game select -----
@@ -68,34 +590,20 @@ client.on(Events.InteractionCreate, async (interaction) => {
     if (interaction.customId === "rank_select_game") {
       const game = interaction.values[0];
 
-      const { data: allStats } = await supabase
-        .from("player_stats")
-        .select("player_id, points, players(username)")
-        .eq("game", game);
+      const { entries: top } = await loadLeaderboardPage(game, { perPage: 10 });
 
-      if (!allStats || allStats.length === 0)
+      if (top.length === 0)
         return interaction.update({ content: `❌ No players found for ${game}.`, components: [] });
 
-      const pointsMap = {};
-      allStats.forEach(s => {
-        const username = s.players?.username || "Unknown";
-        if (!pointsMap[username]) pointsMap[username] = 0;
-        pointsMap[username] += s.points;
-      });
-
-      const sorted = Object.entries(pointsMap)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
-
       const playerRow = new ActionRowBuilder().addComponents(
         new StringSelectMenuBuilder()
           .setCustomId(`rank_select_player_${game}`)
           .setPlaceholder("Select a player")
           .addOptions(
-            sorted.map(([username, points]) => ({
-              label: username,
-              description: `${points} points`,
-              value: username
+            top.map(entry => ({
+              label: entry.players.username,
+              description: `${entry.total_points} points`,
+              value: entry.players.username
             }))
           )
       );
@@ -131,19 +639,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
       const kitsString = stats.map(s => `${s.kit} (${s.tier})`).join(", ");
 
       // Rank
-      const { data: allStats } = await supabase
-        .from("player_stats")
-        .select("player_id, points")
-        .eq("game", game);
-
-      const pointsMap = {};
-      allStats.forEach(s => {
-        if (!pointsMap[s.player_id]) pointsMap[s.player_id] = 0;
-        pointsMap[s.player_id] += s.points;
-      });
-
-      const sorted = Object.entries(pointsMap).sort((a, b) => b[1] - a[1]);
-      const rank = sorted.findIndex(([id]) => id === player.id) + 1;
+      const standing = (await loadPlayerStandings(game, [player.id])).get(String(player.id));
+      const rank = standing ? standing.rank : "?";
 
       // Minecraft head image
       let headURL = null;
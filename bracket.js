@@ -0,0 +1,594 @@
+// Bracket engine shared by the web app and the Discord bot.
+// Brackets are plain JSON (persisted in events.bracket): single-elimination
+// rounds, an optional losers bracket and grand final, or round-robin groups
+// feeding a playoff. Everything here is pure and never touches Supabase.
+
+const EVENT_FORMATS = {
+  single_elimination: "Single elimination",
+  double_elimination: "Double elimination",
+  round_robin: "Round-robin groups + playoffs",
+};
+const DEFAULT_EVENT_FORMAT = "single_elimination";
+
+function createMatch(id, round, matchNumber, fields = {}) {
+  return {
+    id,
+    round,
+    match: matchNumber,
+    player1: null,
+    player2: null,
+    winner: null,
+    loser: null,
+    autoAdvance: false,
+    source1: null,
+    source2: null,
+    nextMatchId: null,
+    nextMatchSlot: null,
+    ...fields,
+  };
+}
+
+function linkWinner(from, to, slot) {
+  from.nextMatchId = to.id;
+  from.nextMatchSlot = slot;
+  to[slot === "player1" ? "source1" : "source2"] = from.id;
+}
+
+function linkLoser(from, to, slot) {
+  from.loserNextMatchId = to.id;
+  from.loserNextMatchSlot = slot;
+  to[slot === "player1" ? "source1" : "source2"] = from.id;
+}
+
+// Standard seed placement: 1 meets the lowest seed, byes go to the top seeds,
+// and the top two seeds can only meet in the final.
+function seedBracketSlots(seeds, size) {
+  let order = [1];
+  while (order.length < size) {
+    const mirror = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, mirror - seed]);
+  }
+  return order.map(seed => seeds[seed - 1] || null);
+}
+
+// Players are expected in seed order (strongest first).
+function buildBracket(players) {
+  const sanitized = players.filter(Boolean);
+  if (sanitized.length === 0) return { format: "single_elimination", rounds: [] };
+
+  const bracketSize = Math.max(2, 1 << Math.ceil(Math.log2(sanitized.length)));
+  const slots = seedBracketSlots(sanitized, bracketSize);
+
+  const rounds = [];
+  const firstRound = [];
+  for (let i = 0; i < slots.length; i += 2) {
+    firstRound.push(
+      createMatch(`r1m${i / 2 + 1}`, 1, i / 2 + 1, { player1: slots[i], player2: slots[i + 1] })
+    );
+  }
+  rounds.push(firstRound);
+  let previousRound = firstRound;
+
+  let roundNumber = 2;
+  while (previousRound.length > 1) {
+    const currentRound = [];
+    for (let i = 0; i < previousRound.length; i += 2) {
+      const match = createMatch(`r${roundNumber}m${i / 2 + 1}`, roundNumber, i / 2 + 1);
+      currentRound.push(match);
+      if (previousRound[i]) linkWinner(previousRound[i], match, "player1");
+      if (previousRound[i + 1]) linkWinner(previousRound[i + 1], match, "player2");
+    }
+    rounds.push(currentRound);
+    previousRound = currentRound;
+    roundNumber++;
+  }
+
+  return { format: "single_elimination", rounds };
+}
+
+// Winners bracket from buildBracket, plus a losers bracket fed by every winners-side loser
+// and a grand final with a reset match that is only played if the losers-side champion wins.
+function buildDoubleEliminationBracket(players) {
+  const bracket = buildBracket(players);
+  bracket.format = "double_elimination";
+  bracket.losersRounds = [];
+  bracket.finals = [];
+
+  const winners = bracket.rounds;
+  if (winners.length === 0) return bracket;
+
+  let previous = null;
+  const addLosersRound = matches => {
+    bracket.losersRounds.push(matches);
+    previous = matches;
+  };
+  const losersMatch = matchIndex =>
+    createMatch(`l${bracket.losersRounds.length + 1}m${matchIndex}`, bracket.losersRounds.length + 1, matchIndex, {
+      bracketSide: "losers",
+    });
+
+  if (winners.length >= 2) {
+    const opening = [];
+    for (let i = 0; i < winners[0].length; i += 2) {
+      const match = losersMatch(i / 2 + 1);
+      linkLoser(winners[0][i], match, "player1");
+      linkLoser(winners[0][i + 1], match, "player2");
+      opening.push(match);
+    }
+    addLosersRound(opening);
+
+    for (let roundIndex = 1; roundIndex < winners.length; roundIndex++) {
+      const droppingIn = winners[roundIndex];
+      // Losers dropping down are crossed over to avoid immediate rematches.
+      const minor = previous.map((source, index) => {
+        const match = losersMatch(index + 1);
+        linkWinner(source, match, "player1");
+        linkLoser(droppingIn[droppingIn.length - 1 - index], match, "player2");
+        return match;
+      });
+      addLosersRound(minor);
+
+      if (minor.length > 1) {
+        const major = [];
+        for (let i = 0; i < minor.length; i += 2) {
+          const match = losersMatch(i / 2 + 1);
+          linkWinner(minor[i], match, "player1");
+          linkWinner(minor[i + 1], match, "player2");
+          major.push(match);
+        }
+        addLosersRound(major);
+      }
+    }
+  }
+
+  const winnersFinal = winners[winners.length - 1][0];
+  const grandFinal = createMatch("gf1", 1, 1, { bracketSide: "finals", resetMatchId: "gf2" });
+  linkWinner(winnersFinal, grandFinal, "player1");
+  if (previous) linkWinner(previous[0], grandFinal, "player2");
+  else linkLoser(winnersFinal, grandFinal, "player2");
+  const reset = createMatch("gf2", 2, 1, { bracketSide: "finals", resetOf: "gf1" });
+  bracket.finals = [grandFinal, reset];
+
+  return bracket;
+}
+
+function buildRoundRobinMatches(group) {
+  const entrants = [...group.players];
+  if (entrants.length % 2 === 1) entrants.push(null);
+  const matches = [];
+  for (let round = 1; round < entrants.length; round++) {
+    for (let i = 0; i < entrants.length / 2; i++) {
+      const player1 = entrants[i];
+      const player2 = entrants[entrants.length - 1 - i];
+      if (!player1 || !player2) continue;
+      const matchNumber = matches.length + 1;
+      matches.push(createMatch(`g${group.id}m${matchNumber}`, round, matchNumber, { groupId: group.id, player1, player2 }));
+    }
+    // Circle method: keep the first entrant fixed and rotate everyone else.
+    entrants.splice(1, 0, entrants.pop());
+  }
+  return matches;
+}
+
+function computeGroupStandings(group) {
+  const table = new Map(
+    (group.players || []).map(player => [String(player.id), { player, played: 0, wins: 0, losses: 0 }])
+  );
+  (group.matches || []).forEach(match => {
+    if (!match.winner || !match.loser) return;
+    const winnerRow = table.get(String(match.winner.id));
+    const loserRow = table.get(String(match.loser.id));
+    if (winnerRow) {
+      winnerRow.wins += 1;
+      winnerRow.played += 1;
+    }
+    if (loserRow) {
+      loserRow.losses += 1;
+      loserRow.played += 1;
+    }
+  });
+
+  const headToHead = (a, b) => {
+    const decided = (group.matches || []).find(
+      match =>
+        match.winner &&
+        match.loser &&
+        [String(match.winner.id), String(match.loser.id)].includes(String(a.player.id)) &&
+        [String(match.winner.id), String(match.loser.id)].includes(String(b.player.id))
+    );
+    if (!decided) return 0;
+    return String(decided.winner.id) === String(a.player.id) ? -1 : 1;
+  };
+
+  return Array.from(table.values())
+    .sort(
+      (a, b) =>
+        b.wins - a.wins ||
+        a.losses - b.losses ||
+        headToHead(a, b) ||
+        (a.player.username || "").localeCompare(b.player.username || "")
+    )
+    .map((row, index) => ({ ...row, position: index + 1 }));
+}
+
+function buildRoundRobinBracket(players, { groupCount = 1, advancePerGroup = 2 } = {}) {
+  const sanitized = players.filter(Boolean);
+  const count = Math.max(1, Math.min(groupCount, Math.floor(sanitized.length / 2)));
+  const groups = Array.from({ length: count }, (_, index) => {
+    const id = String.fromCharCode(65 + index);
+    return { id, name: `Group ${id}`, players: [], matches: [], standings: [] };
+  });
+
+  // Snake distribution keeps groups balanced when the participant list is ordered by strength.
+  sanitized.forEach((player, index) => {
+    const cycle = Math.floor(index / count);
+    const position = index % count;
+    groups[cycle % 2 === 0 ? position : count - 1 - position].players.push(player);
+  });
+
+  groups.forEach(group => {
+    group.matches = buildRoundRobinMatches(group);
+    group.standings = computeGroupStandings(group);
+  });
+
+  return { format: "round_robin", advancePerGroup: Math.max(0, advancePerGroup), groups, rounds: [] };
+}
+
+// Once every group match is reported, the top finishers are seeded into a single-elimination playoff.
+function startPlayoffsIfReady(bracket) {
+  if (bracket.format !== "round_robin" || bracket.rounds.length > 0) return false;
+  const groups = bracket.groups || [];
+  const groupsComplete = groups.every(group => (group.matches || []).every(match => match.winner));
+  if (!groupsComplete) return false;
+
+  const seeds = [];
+  for (let place = 0; place < (bracket.advancePerGroup || 0); place++) {
+    groups.forEach(group => {
+      const row = (group.standings || [])[place];
+      if (row) seeds.push(row.player);
+    });
+  }
+  if (seeds.length < 2) return false;
+
+  // Group winners are seeded ahead of runners-up, so they open against other groups' runners-up.
+  bracket.rounds = buildBracket(seeds).rounds;
+  propagateAutoAdvances(bracket);
+  return true;
+}
+
+function buildEventBracket(format, players, options = {}) {
+  if (format === "double_elimination") return buildDoubleEliminationBracket(players);
+  if (format === "round_robin") return buildRoundRobinBracket(players, options);
+  return buildBracket(players);
+}
+
+// Builds a fresh bracket from participants already in seed order. Seeding stays editable
+// until the bracket is locked (explicitly, or by reporting the first result).
+function createSeededBracket(format, participants, options = {}) {
+  const seeds = participants.map((participant, index) => ({ ...participant, seed: index + 1 }));
+  const bracket = buildEventBracket(format, seeds, options);
+  propagateAutoAdvances(bracket);
+  bracket.seeds = seeds;
+  bracket.locked = false;
+  return bracket;
+}
+
+function isBracketLocked(bracket) {
+  return bracket.locked !== false;
+}
+
+function listBracketMatches(bracket) {
+  if (!bracket) return [];
+  const matches = [];
+  (bracket.groups || []).forEach(group => matches.push(...(group.matches || [])));
+  (bracket.rounds || []).forEach(round => matches.push(...round));
+  (bracket.losersRounds || []).forEach(round => matches.push(...round));
+  matches.push(...(bracket.finals || []));
+  return matches;
+}
+
+function indexBracketMatches(bracket) {
+  const map = new Map();
+  listBracketMatches(bracket).forEach(match => {
+    map.set(match.id, match);
+  });
+  return map;
+}
+
+function isMatchResolved(match) {
+  return Boolean(match.winner) || Boolean(match.autoAdvance);
+}
+
+// A slot is dead when nobody can ever fill it: an empty first-round slot, or a feeder
+// match that has already resolved without sending a player here (e.g. the loser of a bye).
+function isSlotDead(match, slot, matchMap) {
+  if (match[slot]) return false;
+  const sourceId = match[slot === "player1" ? "source1" : "source2"];
+  if (!sourceId) return true;
+  const source = matchMap.get(sourceId);
+  return !source || isMatchResolved(source);
+}
+
+function sendPlayersForward(match, matchMap) {
+  if (match.winner && match.nextMatchId) {
+    const next = matchMap.get(match.nextMatchId);
+    if (next) next[match.nextMatchSlot] = match.winner;
+  }
+  if (match.loser && match.loserNextMatchId) {
+    const next = matchMap.get(match.loserNextMatchId);
+    if (next) next[match.loserNextMatchSlot] = match.loser;
+  }
+}
+
+function propagateAutoAdvances(bracket) {
+  const matchMap = indexBracketMatches(bracket);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    matchMap.forEach(match => {
+      if (isMatchResolved(match) || match.groupId || match.resetOf) return;
+      if (match.player1 && match.player2) return;
+      const ready1 = match.player1 || isSlotDead(match, "player1", matchMap);
+      const ready2 = match.player2 || isSlotDead(match, "player2", matchMap);
+      if (!ready1 || !ready2) return;
+
+      match.autoAdvance = true;
+      match.winner = match.player1 || match.player2 || null;
+      match.loser = null;
+      sendPlayersForward(match, matchMap);
+      changed = true;
+    });
+  }
+}
+
+function assignWinnerToNextMatch(bracket, match) {
+  const matchMap = indexBracketMatches(bracket);
+  sendPlayersForward(match, matchMap);
+
+  if (match.resetMatchId && match.winner) {
+    const reset = matchMap.get(match.resetMatchId);
+    if (reset) {
+      const winnersSideWon = match.player1 && String(match.winner.id) === String(match.player1.id);
+      if (winnersSideWon) {
+        reset.autoAdvance = true;
+        reset.skipped = true;
+      } else {
+        reset.player1 = match.player1;
+        reset.player2 = match.player2;
+      }
+    }
+  }
+
+  if (match.groupId) {
+    const group = (bracket.groups || []).find(item => item.id === match.groupId);
+    if (group) group.standings = computeGroupStandings(group);
+    startPlayoffsIfReady(bracket);
+  }
+
+  propagateAutoAdvances(bracket);
+}
+
+// Clears a recorded result and every later result that depended on the players it sent forward.
+// Returns the manually reported results that were undone (including the match itself).
+function revertMatchResult(bracket, match) {
+  const matchMap = indexBracketMatches(bracket);
+  const undone = [];
+
+  const clearMatch = target => {
+    if (target.winner && !target.autoAdvance) {
+      undone.push({ matchId: target.id, winner: target.winner, loser: target.loser, ratingDelta: target.ratingDelta });
+    }
+    const forwarded = [];
+    if (target.winner && target.nextMatchId) forwarded.push([target.nextMatchId, target.nextMatchSlot, target.winner]);
+    if (target.loser && target.loserNextMatchId) {
+      forwarded.push([target.loserNextMatchId, target.loserNextMatchSlot, target.loser]);
+    }
+
+    target.winner = null;
+    target.loser = null;
+    target.autoAdvance = false;
+    delete target.completedAt;
+    delete target.ratingDelta;
+
+    if (target.resetMatchId) {
+      const reset = matchMap.get(target.resetMatchId);
+      if (reset) {
+        if (reset.winner) clearMatch(reset);
+        reset.player1 = null;
+        reset.player2 = null;
+        reset.autoAdvance = false;
+        reset.skipped = false;
+      }
+    }
+
+    forwarded.forEach(([nextId, slot, player]) => {
+      const next = matchMap.get(nextId);
+      if (!next || !next[slot] || String(next[slot].id) !== String(player.id)) return;
+      if (isMatchResolved(next)) clearMatch(next);
+      next[slot] = null;
+    });
+  };
+
+  clearMatch(match);
+
+  // Playoffs were seeded from group standings, so any group change invalidates them entirely.
+  if (match.groupId) {
+    const group = (bracket.groups || []).find(item => item.id === match.groupId);
+    if (group) group.standings = computeGroupStandings(group);
+    (bracket.rounds || []).flat().forEach(playoffMatch => {
+      if (playoffMatch.winner && !playoffMatch.autoAdvance) {
+        undone.push({
+          matchId: playoffMatch.id,
+          winner: playoffMatch.winner,
+          loser: playoffMatch.loser,
+          ratingDelta: playoffMatch.ratingDelta,
+        });
+      }
+    });
+    bracket.rounds = [];
+  }
+
+  propagateAutoAdvances(bracket);
+  return undone;
+}
+
+function tallyBracketRecords(bracket) {
+  const tally = new Map();
+  const entry = player => {
+    const key = String(player.id);
+    if (!tally.has(key)) tally.set(key, { playerId: player.id, wins: 0, losses: 0 });
+    return tally.get(key);
+  };
+  listBracketMatches(bracket).forEach(match => {
+    if (!match.winner || !match.loser || match.autoAdvance) return;
+    entry(match.winner).wins += 1;
+    entry(match.loser).losses += 1;
+  });
+  return tally;
+}
+
+function normalizeBracketObject(maybeBracket) {
+  if (!maybeBracket || typeof maybeBracket !== "object") {
+    return { format: DEFAULT_EVENT_FORMAT, rounds: [] };
+  }
+
+  const bracket = Array.isArray(maybeBracket.rounds) ? maybeBracket : { ...maybeBracket, rounds: [] };
+  if (!bracket.format) bracket.format = DEFAULT_EVENT_FORMAT;
+  return bracket;
+}
+
+function parseBracket(rawBracket) {
+  if (typeof rawBracket === "string") {
+    try {
+      const parsed = JSON.parse(rawBracket);
+      return normalizeBracketObject(parsed);
+    } catch (error) {
+      console.error("Failed to parse bracket JSON", error);
+      return { format: DEFAULT_EVENT_FORMAT, rounds: [] };
+    }
+  }
+
+  return normalizeBracketObject(rawBracket);
+}
+
+// Winner of the whole bracket, or null while it is still being played. A double-elimination
+// grand final is decided by the reset match unless the reset was skipped.
+function findBracketChampion(bracket) {
+  if (bracket.finals && bracket.finals.length > 0) {
+    const [grandFinal, reset] = bracket.finals;
+    if (reset && !reset.skipped) return reset.winner || null;
+    return grandFinal.winner || null;
+  }
+  const lastRound = bracket.rounds && bracket.rounds[bracket.rounds.length - 1];
+  return (lastRound && lastRound.length === 1 && lastRound[0].winner) || null;
+}
+
+// Top finishers of a decided bracket as [{ player, place }]: the champion, the runner-up and
+// third place (both semi-final losers share it in single elimination). A round-robin event
+// without playoffs is decided by its standings once every match is played. Null until decided.
+function findBracketPodium(bracket) {
+  const rounds = bracket.rounds || [];
+  const groups = bracket.groups || [];
+  const podium = (champion, runnerUp, thirds) =>
+    [
+      { player: champion, place: 1 },
+      { player: runnerUp, place: 2 },
+      ...thirds.map(player => ({ player, place: 3 })),
+    ].filter(entry => entry.player);
+
+  if (bracket.format === "round_robin" && rounds.length === 0) {
+    const [group] = groups;
+    if (groups.length !== 1 || group.matches.length === 0 || !group.matches.every(match => match.winner)) return null;
+    const [first, second, third] = computeGroupStandings(group);
+    return podium(first?.player, second?.player, third ? [third.player] : []);
+  }
+
+  const champion = findBracketChampion(bracket);
+  if (!champion) return null;
+
+  if (bracket.finals && bracket.finals.length > 0) {
+    const [grandFinal, reset] = bracket.finals;
+    const decider = reset && !reset.skipped ? reset : grandFinal;
+    const losersRounds = bracket.losersRounds || [];
+    const losersFinal = losersRounds.length > 0 ? losersRounds[losersRounds.length - 1][0] : null;
+    return podium(champion, decider.loser, losersFinal?.loser ? [losersFinal.loser] : []);
+  }
+
+  const final = rounds[rounds.length - 1][0];
+  const semiFinals = rounds.length > 1 ? rounds[rounds.length - 2] : [];
+  const semiFinalLosers = semiFinals.filter(match => match.loser && !match.autoAdvance).map(match => match.loser);
+  return podium(champion, final.loser, semiFinalLosers);
+}
+
+// Final standings of a decided bracket as [{ player, place, placeTo }] for every entrant,
+// best first. Players knocked out at the same stage share a place range (semi-final losers
+// are 3-4, quarter-final losers 5-8); placeTo equals place for a sole finisher. Round-robin
+// players who miss the playoffs rank below them by group position. Null until decided.
+function findBracketPlacements(bracket) {
+  const rounds = bracket.rounds || [];
+  const groups = bracket.groups || [];
+  const finals = bracket.finals || [];
+
+  if (bracket.format === "round_robin") {
+    const groupMatches = groups.flatMap(group => group.matches || []);
+    if (groupMatches.length === 0 || !groupMatches.every(match => match.winner)) return null;
+    if (bracket.advancePerGroup > 0 && rounds.length === 0) return null;
+  }
+
+  // Higher stages survived longer. Later eliminations are recorded first and win, which
+  // matters in double elimination where a winners-bracket loss is not the exit.
+  const stages = new Map();
+  const reach = (player, stage) => {
+    if (player && !stages.has(String(player.id))) stages.set(String(player.id), { player, stage });
+  };
+
+  if (rounds.length > 0 || finals.length > 0) {
+    const champion = findBracketChampion(bracket);
+    if (!champion) return null;
+    reach(champion, Infinity);
+  }
+  [...finals].reverse().forEach(match => {
+    if (!match.skipped && !match.autoAdvance) reach(match.loser, 3000);
+  });
+  const eliminateRounds = (roundList, base) => {
+    for (let index = roundList.length - 1; index >= 0; index -= 1) {
+      roundList[index].forEach(match => {
+        if (!match.autoAdvance) reach(match.loser, base + index);
+      });
+    }
+  };
+  eliminateRounds(bracket.losersRounds || [], 2000);
+  eliminateRounds(rounds, 1000);
+  groups.forEach(group => {
+    computeGroupStandings(group).forEach((row, index) => reach(row.player, -index));
+  });
+
+  const ranked = [...stages.values()].sort((a, b) => b.stage - a.stage);
+  return ranked.map(({ player, stage }) => {
+    const place = 1 + ranked.filter(entry => entry.stage > stage).length;
+    return { player, place, placeTo: place + ranked.filter(entry => entry.stage === stage).length - 1 };
+  });
+}
+
+function findMatch(bracket, matchId) {
+  return listBracketMatches(bracket).find(match => match.id === matchId) || null;
+}
+
+module.exports = {
+  EVENT_FORMATS,
+  DEFAULT_EVENT_FORMAT,
+  buildEventBracket,
+  createSeededBracket,
+  isBracketLocked,
+  listBracketMatches,
+  isMatchResolved,
+  propagateAutoAdvances,
+  assignWinnerToNextMatch,
+  revertMatchResult,
+  tallyBracketRecords,
+  parseBracket,
+  findMatch,
+  findBracketChampion,
+  findBracketPodium,
+  findBracketPlacements,
+};
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createSeededBracket,
+  assignWinnerToNextMatch,
+  revertMatchResult,
+  findMatch,
+  findBracketChampion,
+  findBracketPlacements,
+  tallyBracketRecords,
+} = require("./bracket");
+
+const players = count => Array.from({ length: count }, (_, index) => ({ id: `p${index + 1}`, username: `Player${index + 1}` }));
+
+function report(bracket, matchId, winnerId) {
+  const match = findMatch(bracket, matchId);
+  const winnerIsPlayer1 = match.player1.id === winnerId;
+  match.winner = winnerIsPlayer1 ? match.player1 : match.player2;
+  match.loser = winnerIsPlayer1 ? match.player2 : match.player1;
+  assignWinnerToNextMatch(bracket, match);
+  return match;
+}
+
+const placementsOf = bracket =>
+  findBracketPlacements(bracket).map(({ player, place, placeTo }) => [player.id, place, placeTo]);
+
+test("seeding pairs the top seed with the lowest and numbers every entrant", () => {
+  const bracket = createSeededBracket("single_elimination", players(4));
+  const [first, second] = bracket.rounds[0];
+
+  assert.deepEqual([first.player1.id, first.player2.id], ["p1", "p4"]);
+  assert.deepEqual([second.player1.id, second.player2.id], ["p2", "p3"]);
+  assert.deepEqual(bracket.seeds.map(seed => seed.seed), [1, 2, 3, 4]);
+  assert.equal(bracket.locked, false);
+});
+
+test("seeding gives byes to the top seeds and advances them", () => {
+  const bracket = createSeededBracket("single_elimination", players(3));
+  const bye = findMatch(bracket, "r1m1");
+
+  assert.equal(bye.autoAdvance, true);
+  assert.equal(bye.winner.id, "p1");
+  assert.equal(findMatch(bracket, "r2m1").player1.id, "p1");
+});
+
+test("double elimination drops winners-side losers and skips the reset when the winners side takes the final", () => {
+  const bracket = createSeededBracket("double_elimination", players(4));
+  report(bracket, "r1m1", "p1");
+  report(bracket, "r1m2", "p2");
+
+  const opening = findMatch(bracket, "l1m1");
+  assert.deepEqual([opening.player1.id, opening.player2.id], ["p4", "p3"]);
+
+  report(bracket, "r2m1", "p1");
+  report(bracket, "l1m1", "p3");
+  assert.deepEqual([findMatch(bracket, "l2m1").player1.id, findMatch(bracket, "l2m1").player2.id], ["p3", "p2"]);
+  report(bracket, "l2m1", "p2");
+
+  report(bracket, "gf1", "p1");
+  assert.equal(findMatch(bracket, "gf2").skipped, true);
+  assert.equal(findBracketChampion(bracket).id, "p1");
+});
+
+test("double elimination plays the reset when the losers side takes the grand final", () => {
+  const bracket = createSeededBracket("double_elimination", players(4));
+  ["r1m1:p1", "r1m2:p2", "r2m1:p1", "l1m1:p3", "l2m1:p2", "gf1:p2"].forEach(result => {
+    const [matchId, winnerId] = result.split(":");
+    report(bracket, matchId, winnerId);
+  });
+
+  const reset = findMatch(bracket, "gf2");
+  assert.deepEqual([reset.player1.id, reset.player2.id], ["p1", "p2"]);
+  assert.equal(findBracketChampion(bracket), null);
+
+  report(bracket, "gf2", "p2");
+  assert.equal(findBracketChampion(bracket).id, "p2");
+  assert.deepEqual(placementsOf(bracket), [
+    ["p2", 1, 1],
+    ["p1", 2, 2],
+    ["p3", 3, 3],
+    ["p4", 4, 4],
+  ]);
+});
+
+test("reverting a result also undoes the results that depended on it", () => {
+  const bracket = createSeededBracket("single_elimination", players(4));
+  report(bracket, "r1m1", "p1");
+  report(bracket, "r1m2", "p2");
+  const final = report(bracket, "r2m1", "p1");
+  final.ratingDelta = { p1: 12, p2: -12 };
+
+  const undone = revertMatchResult(bracket, findMatch(bracket, "r1m1"));
+
+  assert.deepEqual(undone.map(result => result.matchId), ["r1m1", "r2m1"]);
+  assert.deepEqual(undone[1].ratingDelta, { p1: 12, p2: -12 });
+  assert.equal(final.winner, null);
+  assert.equal(final.player1, null);
+  assert.equal(final.player2.id, "p2");
+  assert.equal(final.ratingDelta, undefined);
+});
+
+test("placements share a range between players knocked out in the same round", () => {
+  const bracket = createSeededBracket("single_elimination", players(4));
+  assert.equal(findBracketPlacements(bracket), null);
+
+  report(bracket, "r1m1", "p1");
+  report(bracket, "r1m2", "p3");
+  report(bracket, "r2m1", "p3");
+
+  assert.deepEqual(placementsOf(bracket), [
+    ["p3", 1, 1],
+    ["p1", 2, 2],
+    ["p4", 3, 4],
+    ["p2", 3, 4],
+  ]);
+  assert.deepEqual(
+    [...tallyBracketRecords(bracket).values()].find(record => record.playerId === "p3"),
+    { playerId: "p3", wins: 2, losses: 0 }
+  );
+});
+
+test("round-robin placements follow the group standings when there are no playoffs", () => {
+  const bracket = createSeededBracket("round_robin", players(3), { groupCount: 1, advancePerGroup: 0 });
+  const [group] = bracket.groups;
+  assert.equal(group.matches.length, 3);
+
+  group.matches.forEach(match => {
+    const ids = [match.player1.id, match.player2.id].sort();
+    report(bracket, match.id, ids[0]);
+  });
+
+  assert.deepEqual(placementsOf(bracket), [
+    ["p1", 1, 1],
+    ["p2", 2, 2],
+    ["p3", 3, 3],
+  ]);
+});
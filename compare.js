@@ -0,0 +1,189 @@
+// Player comparison for /compare and its share card. Everything here is pure:
+// the site loads players, stats, event records and the shared events' brackets,
+// and buildComparison lines them up side by side. Head-to-head records come from
+// bracket matches the compared players actually played against each other.
+
+const { TIERS, DEFAULT_RATING } = require("./rankings");
+const { listBracketMatches, findBracketPodium, parseBracket } = require("./bracket");
+
+const MAX_COMPARE_PLAYERS = 4;
+
+function matchStage(match) {
+  if (match.groupId) return `Group ${match.groupId}`;
+  if (match.bracketSide === "finals") return match.resetOf ? "Grand final reset" : "Grand final";
+  if (match.bracketSide === "losers") return `Losers round ${match.round}`;
+  return `Round ${match.round}`;
+}
+
+// Tier steps between two stats on the same game ladder; positive means `stat` is higher.
+function tierDelta(ladders, game, stat, reference) {
+  if (!stat || !reference) return null;
+  const ladder = ladders[game] || TIERS;
+  const index = ladder.indexOf(stat.tier);
+  const referenceIndex = ladder.indexOf(reference.tier);
+  if (index === -1 || referenceIndex === -1) return null;
+  return index - referenceIndex;
+}
+
+function summarizePlayer(player, stats, records) {
+  const totalPoints = stats.reduce((sum, stat) => sum + (stat.points || 0), 0);
+  return {
+    id: player.id,
+    username: player.username,
+    totalPoints,
+    kitCount: stats.length,
+    averagePoints: stats.length > 0 ? Number((totalPoints / stats.length).toFixed(1)) : 0,
+    bestRating: stats.length > 0 ? Math.max(...stats.map(stat => stat.rating ?? DEFAULT_RATING)) : null,
+    eventCount: records.length,
+    eventWins: records.reduce((sum, record) => sum + (record.wins || 0), 0),
+    eventLosses: records.reduce((sum, record) => sum + (record.losses || 0), 0),
+  };
+}
+
+// One row per game/kit any compared player is ranked in; deltas are against the first player.
+function buildKitRows(players, statsByPlayer, ladders) {
+  const rows = new Map();
+  players.forEach((player, index) => {
+    (statsByPlayer.get(String(player.id)) || []).forEach(stat => {
+      const key = `${stat.game}\u0000${stat.kit}`;
+      if (!rows.has(key)) rows.set(key, { game: stat.game, kit: stat.kit, stats: players.map(() => null) });
+      rows.get(key).stats[index] = stat;
+    });
+  });
+
+  return [...rows.values()]
+    .map(row => ({
+      game: row.game,
+      kit: row.kit,
+      entries: row.stats.map((stat, index) =>
+        stat
+          ? {
+              tier: stat.tier,
+              points: stat.points || 0,
+              rating: stat.rating ?? DEFAULT_RATING,
+              delta: index === 0 ? null : tierDelta(ladders, row.game, stat, row.stats[0]),
+            }
+          : null
+      ),
+    }))
+    .sort((a, b) => String(a.game).localeCompare(String(b.game)) || String(a.kit).localeCompare(String(b.kit)));
+}
+
+// players: in display order. stats and records: rows for any of the players.
+// events: every event at least two of them entered, with its bracket. ladders:
+// game name to tiers, weakest first.
+function buildComparison({ players, stats = [], records = [], events = [], ladders = {} }) {
+  const ids = players.map(player => String(player.id));
+  const statsByPlayer = new Map(ids.map(id => [id, []]));
+  stats.forEach(stat => statsByPlayer.get(String(stat.player_id))?.push(stat));
+  const recordsByPlayer = new Map(ids.map(id => [id, []]));
+  records.forEach(record => recordsByPlayer.get(String(record.player_id))?.push(record));
+
+  const pairs = [];
+  for (let a = 0; a < players.length; a += 1) {
+    for (let b = a + 1; b < players.length; b += 1) {
+      pairs.push({ players: [players[a].username, players[b].username], ids: [ids[a], ids[b]], wins: [0, 0], matches: [] });
+    }
+  }
+  const pairFor = (first, second) =>
+    pairs.find(pair => pair.ids.includes(first) && pair.ids.includes(second) && first !== second) || null;
+
+  const sharedEvents = [...events]
+    .sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")))
+    .map(event => {
+      const bracket = parseBracket(event.bracket);
+      listBracketMatches(bracket).forEach(match => {
+        if (!match.winner || !match.loser || match.autoAdvance) return;
+        const winnerId = String(match.winner.id);
+        const pair = pairFor(winnerId, String(match.loser.id));
+        if (!pair) return;
+        pair.wins[pair.ids.indexOf(winnerId)] += 1;
+        pair.matches.push({
+          eventId: event.id,
+          eventName: event.name,
+          stage: matchStage(match),
+          winner: match.winner.username,
+          playedAt: match.completedAt || event.created_at || null,
+        });
+      });
+
+      const podium = findBracketPodium(bracket) || [];
+      return {
+        id: event.id,
+        name: event.name,
+        game: event.game,
+        kit: event.kit,
+        createdAt: event.created_at,
+        entries: ids.map(id => {
+          const record = (recordsByPlayer.get(id) || []).find(row => String(row.event_id) === String(event.id));
+          if (!record) return null;
+          const finish = podium.find(entry => String(entry.player.id) === id);
+          return { wins: record.wins || 0, losses: record.losses || 0, place: finish ? finish.place : null };
+        }),
+      };
+    });
+
+  pairs.forEach(pair => pair.matches.sort((a, b) => String(b.playedAt || "").localeCompare(String(a.playedAt || ""))));
+
+  return {
+    players: players.map(player =>
+      summarizePlayer(player, statsByPlayer.get(String(player.id)), recordsByPlayer.get(String(player.id)))
+    ),
+    kits: buildKitRows(players, statsByPlayer, ladders),
+    headToHead: pairs.map(({ players: names, wins, matches }) => ({ players: names, wins, matches })),
+    sharedEvents,
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// A 1200x630 SVG summary, sized for link previews.
+function renderComparisonCard(comparison) {
+  const { players, headToHead } = comparison;
+  const width = 1200;
+  const height = 630;
+  const columnWidth = (width - 120) / players.length;
+  const columns = players
+    .map((player, index) => {
+      const x = 60 + columnWidth * index + columnWidth / 2;
+      return [
+        `<text x="${x}" y="250" class="name">${escapeXml(player.username)}</text>`,
+        `<text x="${x}" y="320" class="value">${player.totalPoints}</text>`,
+        `<text x="${x}" y="350" class="label">POINTS</text>`,
+        `<text x="${x}" y="420" class="value">${player.bestRating ?? "-"}</text>`,
+        `<text x="${x}" y="450" class="label">BEST RATING</text>`,
+        `<text x="${x}" y="510" class="stat">${player.eventWins}W - ${player.eventLosses}L in events</text>`,
+      ].join("");
+    })
+    .join("");
+
+  const played = headToHead.filter(pair => pair.matches.length > 0);
+  const summary =
+    played.length === 0
+      ? "No recorded matches against each other yet"
+      : played
+          .slice(0, 3)
+          .map(pair => `${pair.players[0]} ${pair.wins[0]}-${pair.wins[1]} ${pair.players[1]}`)
+          .join("   ·   ");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>
+text { font-family: Sora, Inter, Arial, sans-serif; fill: #e8edff; text-anchor: middle; }
+.title { font-size: 28px; font-weight: 700; fill: #7ea2ff; letter-spacing: 4px; }
+.name { font-size: 40px; font-weight: 700; }
+.value { font-size: 44px; font-weight: 600; }
+.label { font-size: 16px; fill: #8f9bc2; letter-spacing: 3px; }
+.stat { font-size: 20px; fill: #b8c3e6; }
+.summary { font-size: 24px; font-weight: 600; }
+</style>
+<rect width="${width}" height="${height}" fill="#070c18"/>
+<rect x="24" y="24" width="${width - 48}" height="${height - 48}" rx="28" fill="#0e1629" stroke="#1f2d4d" stroke-width="2"/>
+<text x="${width / 2}" y="100" class="title">RANKTIERS HEAD-TO-HEAD</text>
+<text x="${width / 2}" y="160" class="summary">${escapeXml(summary)}</text>
+${columns}
+</svg>`;
+}
+
+module.exports = { MAX_COMPARE_PLAYERS, buildComparison, renderComparisonCard };
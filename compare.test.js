@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildComparison, renderComparisonCard } = require("./compare");
+const { createSeededBracket, assignWinnerToNextMatch, findMatch } = require("./bracket");
+
+const steve = { id: "p1", username: "Steve" };
+const alex = { id: "p2", username: "Alex" };
+const cara = { id: "p3", username: "Cara" };
+
+function decidedEvent() {
+  const bracket = createSeededBracket("single_elimination", [steve, alex, cara, { id: "p4", username: "Dan" }]);
+  [["r1m1", "p1"], ["r1m2", "p2"], ["r2m1", "p2"]].forEach(([matchId, winnerId]) => {
+    const match = findMatch(bracket, matchId);
+    match.winner = match.player1.id === winnerId ? match.player1 : match.player2;
+    match.loser = match.player1.id === winnerId ? match.player2 : match.player1;
+    match.completedAt = `2026-03-0${match.round}T00:00:00Z`;
+    assignWinnerToNextMatch(bracket, match);
+  });
+  return { id: 5, name: "Axe Cup", game: "Minecraft", kit: "Axe", created_at: "2026-03-01", bracket };
+}
+
+function compareSteveAndAlex() {
+  return buildComparison({
+    players: [steve, alex],
+    stats: [
+      { player_id: "p1", game: "Minecraft", kit: "Axe", tier: "HT3", points: 30, rating: 1100 },
+      { player_id: "p1", game: "Minecraft", kit: "Sword", tier: "LT4", points: 10, rating: 1050 },
+      { player_id: "p2", game: "Minecraft", kit: "Axe", tier: "LT2", points: 45, rating: 1250 },
+    ],
+    records: [
+      { player_id: "p1", event_id: 5, wins: 1, losses: 1 },
+      { player_id: "p2", event_id: 5, wins: 2, losses: 0 },
+    ],
+    events: [decidedEvent()],
+  });
+}
+
+test("player summaries total points, ratings and event records", () => {
+  const [first, second] = compareSteveAndAlex().players;
+  assert.deepEqual(
+    { totalPoints: first.totalPoints, kitCount: first.kitCount, averagePoints: first.averagePoints, bestRating: first.bestRating },
+    { totalPoints: 40, kitCount: 2, averagePoints: 20, bestRating: 1100 }
+  );
+  assert.deepEqual([second.eventWins, second.eventLosses, second.eventCount], [2, 0, 1]);
+});
+
+test("kit rows line up shared kits with tier steps against the first player", () => {
+  const { kits } = compareSteveAndAlex();
+  assert.deepEqual(kits.map(row => row.kit), ["Axe", "Sword"]);
+  assert.equal(kits[0].entries[0].delta, null);
+  assert.equal(kits[0].entries[1].delta, 1);
+  assert.equal(kits[1].entries[1], null);
+});
+
+test("head-to-head only counts matches the compared players played against each other", () => {
+  const comparison = compareSteveAndAlex();
+  const [pair] = comparison.headToHead;
+  assert.deepEqual(pair.players, ["Steve", "Alex"]);
+  assert.deepEqual(pair.wins, [0, 1]);
+  assert.deepEqual(pair.matches.map(match => [match.stage, match.winner]), [["Round 2", "Alex"]]);
+
+  const [event] = comparison.sharedEvents;
+  assert.deepEqual(event.entries, [
+    { wins: 1, losses: 1, place: 2 },
+    { wins: 2, losses: 0, place: 1 },
+  ]);
+});
+
+test("the share card escapes player names", () => {
+  const comparison = buildComparison({ players: [{ id: "x", username: "<b>&" }, cara] });
+  const svg = renderComparisonCard(comparison);
+  assert.match(svg, /^<svg /);
+  assert.ok(svg.includes("&#60;b&#62;&#38;"));
+  assert.ok(!svg.includes("<b>"));
+  assert.ok(svg.includes("No recorded matches against each other yet"));
+});
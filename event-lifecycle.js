@@ -0,0 +1,159 @@
+// Event lifecycle shared by the web app and the Discord bot. An event starts as a
+// draft, opens registration, moves to check-in (by hand or automatically once the
+// check-in window before starts_at opens), goes live when an admin starts it and
+// the bracket is built from checked-in players, and ends completed once the bracket
+// is decided and placements are paid out.
+
+const EVENT_STATUSES = {
+  draft: "Draft",
+  registration: "Registration open",
+  check_in: "Check-in open",
+  live: "Live",
+  completed: "Completed",
+};
+
+// Status changes an admin can make directly; going live needs the start action.
+const EVENT_STATUS_TRANSITIONS = {
+  draft: ["registration"],
+  registration: ["draft", "check_in"],
+  check_in: ["registration"],
+  live: ["completed"],
+  completed: [],
+};
+
+const PUBLIC_EVENT_STATUSES = ["registration", "check_in", "live", "completed"];
+const DEFAULT_CHECK_IN_MINUTES = 30;
+
+// Ranking points paid into the event kit's player_stats. Each key pays from that place
+// down to the next key, so 3 covers 3rd-4th and 5 covers 5th-8th; 9=0 ends the payout.
+const DEFAULT_PLACEMENT_POINTS = { 1: 50, 2: 30, 3: 20, 5: 10, 9: 0 };
+
+function checkInOpensAt(event) {
+  if (!event?.starts_at) return null;
+  const startsAt = new Date(event.starts_at).getTime();
+  if (Number.isNaN(startsAt)) return null;
+  return new Date(startsAt - Math.max(0, event.check_in_minutes ?? DEFAULT_CHECK_IN_MINUTES) * 60 * 1000);
+}
+
+// Events from before the lifecycle have no status and already have a bracket.
+function effectiveEventStatus(event, now = new Date()) {
+  const status = EVENT_STATUSES[event?.status] ? event.status : "live";
+  if (status !== "registration") return status;
+  const opensAt = checkInOpensAt(event);
+  return opensAt && now >= opensAt ? "check_in" : status;
+}
+
+// The admin form sends datetime-local values, which are read as UTC.
+function parseEventStart(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function toDateTimeInput(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 16);
+}
+
+function formatEventTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const formatted = date.toLocaleString("en-GB", {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  return `${formatted} UTC`;
+}
+
+// Reads "1=50, 2=30, 3=20" from the admin form. Returns null when malformed and {}
+// for a blank field, which pays nothing.
+function parsePlacementPoints(value) {
+  const text = String(value || "").trim();
+  if (!text) return {};
+  const payout = {};
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const match = /^(\d+)=(\d+)$/.exec(part);
+    if (!match || Number(match[1]) < 1) return null;
+    payout[Number(match[1])] = Number(match[2]);
+  }
+  return payout;
+}
+
+function formatPlacementPoints(payout) {
+  return Object.entries(payout || {})
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([place, points]) => `${place}=${points}`)
+    .join(", ");
+}
+
+// Events created before payouts were configurable have none stored and use the default.
+function placementPointsFor(event) {
+  const payout = event?.placement_points;
+  return payout && typeof payout === "object" ? payout : DEFAULT_PLACEMENT_POINTS;
+}
+
+function sortedPayout(payout) {
+  return Object.entries(payout || {})
+    .map(([place, points]) => [Number(place), Number(points) || 0])
+    .sort(([a], [b]) => a - b);
+}
+
+// Points for a finishing place: the value of the highest configured place at or above it.
+function placementPointsForPlace(payout, place) {
+  let points = 0;
+  for (const [from, value] of sortedPayout(payout)) {
+    if (from > place) break;
+    points = value;
+  }
+  return points;
+}
+
+// [{ label, points }] for display, e.g. "3rd-4th" +20 and "9th+" for an open-ended last key.
+function describePlacementPoints(payout) {
+  const entries = sortedPayout(payout);
+  return entries
+    .map(([from, points], index) => {
+      const to = index + 1 < entries.length ? entries[index + 1][0] - 1 : null;
+      const label = to === from ? ordinal(from) : to === null ? `${ordinal(from)}+` : `${ordinal(from)}-${ordinal(to)}`;
+      return { label, points };
+    })
+    .filter(entry => entry.points > 0);
+}
+
+function ordinal(place) {
+  const suffixes = { one: "st", two: "nd", few: "rd", other: "th" };
+  return `${place}${suffixes[new Intl.PluralRules("en-US", { type: "ordinal" }).select(place)]}`;
+}
+
+// "1st", "2nd", or "Top 4" for a shared 3-4 finish.
+function placementLabel(place, placeTo = place) {
+  if (!place) return null;
+  return placeTo > place ? `Top ${placeTo}` : ordinal(place);
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  EVENT_STATUS_TRANSITIONS,
+  PUBLIC_EVENT_STATUSES,
+  DEFAULT_CHECK_IN_MINUTES,
+  DEFAULT_PLACEMENT_POINTS,
+  checkInOpensAt,
+  effectiveEventStatus,
+  parseEventStart,
+  toDateTimeInput,
+  formatEventTime,
+  parsePlacementPoints,
+  formatPlacementPoints,
+  placementPointsFor,
+  placementPointsForPlace,
+  describePlacementPoints,
+  placementLabel,
+};
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_PLACEMENT_POINTS,
+  parseEventStart,
+  effectiveEventStatus,
+  parsePlacementPoints,
+  placementPointsFor,
+  placementPointsForPlace,
+  describePlacementPoints,
+} = require("./event-lifecycle");
+
+test("each place pays from the nearest configured place above it", () => {
+  const payout = { 1: 50, 2: 30, 3: 20, 5: 10, 9: 0 };
+  assert.deepEqual(
+    [1, 2, 3, 4, 5, 8, 9, 32].map(place => placementPointsForPlace(payout, place)),
+    [50, 30, 20, 20, 10, 10, 0, 0]
+  );
+});
+
+test("places above the first configured key and empty payouts pay nothing", () => {
+  assert.equal(placementPointsForPlace({ 3: 15 }, 1), 0);
+  assert.equal(placementPointsForPlace({}, 1), 0);
+  assert.equal(placementPointsForPlace(null, 1), 0);
+});
+
+test("events without their own payout use the defaults, but an empty one pays nothing", () => {
+  assert.equal(placementPointsFor({ placement_points: null }), DEFAULT_PLACEMENT_POINTS);
+  assert.deepEqual(placementPointsFor({ placement_points: {} }), {});
+  assert.deepEqual(parsePlacementPoints(""), {});
+  assert.deepEqual(parsePlacementPoints("1=40, 2=25"), { 1: 40, 2: 25 });
+  assert.equal(parsePlacementPoints("0=10"), null);
+  assert.deepEqual(describePlacementPoints({ 1: 40, 2: 25, 4: 0 }), [
+    { label: "1st", points: 40 },
+    { label: "2nd-3rd", points: 25 },
+  ]);
+});
+
+test("parseEventStart reads datetime-local input as UTC", () => {
+  assert.equal(parseEventStart("2026-05-01T18:30").toISOString(), "2026-05-01T18:30:00.000Z");
+  assert.equal(parseEventStart(" 2026-05-01T18:30 ").toISOString(), "2026-05-01T18:30:00.000Z");
+});
+
+test("parseEventStart rejects malformed and impossible dates", () => {
+  ["", null, "2026-05-01", "2026-05-01 18:30", "2026-02-30T10:00", "2026-13-01T10:00"].forEach(value => {
+    assert.equal(parseEventStart(value), null, String(value));
+  });
+});
+
+test("registration turns into check-in once the window opens", () => {
+  const event = { status: "registration", starts_at: "2026-05-01T18:00:00Z", check_in_minutes: 30 };
+  assert.equal(effectiveEventStatus(event, new Date("2026-05-01T17:29:00Z")), "registration");
+  assert.equal(effectiveEventStatus(event, new Date("2026-05-01T17:30:00Z")), "check_in");
+  assert.equal(effectiveEventStatus({ status: "unknown" }), "live");
+});
@@ -0,0 +1,139 @@
+// The games the site ranks and what differs between them: the kit list, the
+// tier ladder (weakest first, like TIERS), how player avatars are drawn and
+// how linked accounts prove ownership. Rows come from the games table and are
+// cached per process for a short TTL; invalidate() after editing a game.
+
+const { TIERS } = require("./rankings");
+
+const DEFAULT_GAME_NAME = "Minecraft";
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const GENERIC_USERNAME_PATTERN = /^[\p{L}\p{N}_ .#-]{2,32}$/u;
+
+// Turn a player row into an avatar image URL, or null when there is none.
+const AVATAR_PROVIDERS = {
+  minecraft(player) {
+    if (player.minecraft_uuid) {
+      const normalized = String(player.minecraft_uuid).replace(/-/g, "");
+      return `https://crafatar.com/renders/body/${normalized}?size=256&overlay`;
+    }
+    const username = player.minecraft_username || player.username;
+    return username ? `https://minotar.net/armor/body/${encodeURIComponent(username)}/256.png` : null;
+  },
+  // avatar_template is a URL with a {username} placeholder.
+  template(player, game) {
+    if (!game.avatarTemplate || !player.username) return null;
+    return game.avatarTemplate.replace("{username}", encodeURIComponent(player.username));
+  },
+  none() {
+    return null;
+  },
+};
+
+// "minecraft" links are proven with a /verify code typed on the server;
+// "none" stores the name as self-reported and never marks it verified.
+const LINK_VERIFICATIONS = {
+  minecraft: "Verified in-game with a one-time code",
+  none: "Self-reported",
+};
+
+// Rows created before the per-game columns existed keep today's Minecraft behaviour.
+const LEGACY_DEFAULTS = {
+  minecraft: {
+    avatar_provider: "minecraft",
+    link_verification: "minecraft",
+    account_label: "Minecraft IGN",
+    username_pattern: "^[A-Za-z0-9_]{3,16}$",
+  },
+};
+
+function slugifyGameName(name = "") {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function compilePattern(source, gameName) {
+  if (!source) return GENERIC_USERNAME_PATTERN;
+  try {
+    return new RegExp(source, "u");
+  } catch (error) {
+    console.error(`Invalid username pattern for ${gameName}`, error);
+    return GENERIC_USERNAME_PATTERN;
+  }
+}
+
+function normalizeGame(row) {
+  const legacy = LEGACY_DEFAULTS[String(row.name).toLowerCase()] || {};
+  const pick = key => row[key] ?? legacy[key] ?? null;
+  const tiers = Array.isArray(row.tiers) ? row.tiers.filter(Boolean) : [];
+  const kits = Array.isArray(row.kits) ? row.kits.filter(Boolean) : [];
+
+  return {
+    id: row.id ?? null,
+    name: row.name,
+    slug: row.slug || slugifyGameName(row.name),
+    tiers: tiers.length > 0 ? tiers : [...TIERS],
+    kits,
+    avatarProvider: AVATAR_PROVIDERS[pick("avatar_provider")] ? pick("avatar_provider") : "none",
+    avatarTemplate: pick("avatar_template"),
+    verification: LINK_VERIFICATIONS[pick("link_verification")] ? pick("link_verification") : "none",
+    accountLabel: pick("account_label") || `${row.name} username`,
+    usernamePattern: compilePattern(pick("username_pattern"), row.name),
+  };
+}
+
+// Stands in when the games table can't be read, so pages still render.
+function defaultGame() {
+  return normalizeGame({ name: DEFAULT_GAME_NAME });
+}
+
+function avatarUrlFor(game, player) {
+  if (!game || !player) return null;
+  return AVATAR_PROVIDERS[game.avatarProvider](player, game);
+}
+
+// Parses a comma separated admin field ("LT3, HT3, ...") into a list without blanks or repeats.
+function parseGameList(value = "") {
+  return [...new Set(String(value).split(",").map(item => item.trim()).filter(Boolean))];
+}
+
+function createGameCatalog(supabase, { cacheTtlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  let cached = null;
+
+  // Every configured game, by name. With no rows yet the site still ranks Minecraft.
+  async function listGames() {
+    if (cached && cached.expiresAt > Date.now()) return cached.games;
+    const { data, error } = await supabase.from("games").select("*").order("name");
+    if (error) throw error;
+    const rows = (data || []).filter(row => row.name);
+    const games = rows.length > 0 ? rows.map(normalizeGame) : [defaultGame()];
+    cached = { games, expiresAt: Date.now() + cacheTtlMs };
+    return games;
+  }
+
+  // Looks a game up by name or slug, ignoring case.
+  async function findGame(nameOrSlug) {
+    const key = String(nameOrSlug || "").trim().toLowerCase();
+    if (!key) return null;
+    const games = await listGames();
+    return games.find(game => game.name.toLowerCase() === key || game.slug === key) || null;
+  }
+
+  function invalidate() {
+    cached = null;
+  }
+
+  return { listGames, findGame, invalidate };
+}
+
+module.exports = {
+  DEFAULT_GAME_NAME,
+  AVATAR_PROVIDERS,
+  LINK_VERIFICATIONS,
+  defaultGame,
+  avatarUrlFor,
+  parseGameList,
+  slugifyGameName,
+  createGameCatalog,
+};
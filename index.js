@@ -3,9 +3,10 @@ const express = require("express");
 const session = require("express-session");
 const path = require("path");
 const multer = require("multer");
+const sharp = require("sharp");
 const { createClient } = require("@supabase/supabase-js");
 const cors = require("cors");
-const fs = require("fs");
+const crypto = require("crypto");
 const fallbackFetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
 const baseFetch = typeof globalThis.fetch === "function" ? globalThis.fetch.bind(globalThis) : fallbackFetch;
 const AbortControllerClass = typeof globalThis.AbortController === "function" ? globalThis.AbortController : null;
@@ -36,9 +37,71 @@ async function fetchWithTimeout(resource, options = {}) {
 const bcrypt = require("bcrypt");
 const { WebhookClient, EmbedBuilder } = require("discord.js");
 const { version: APP_VERSION = "1" } = require("./package.json");
+const {
+  EVENT_FORMATS,
+  DEFAULT_EVENT_FORMAT,
+  buildEventBracket,
+  createSeededBracket,
+  isBracketLocked,
+  listBracketMatches,
+  propagateAutoAdvances,
+  assignWinnerToNextMatch,
+  revertMatchResult,
+  tallyBracketRecords,
+  parseBracket,
+  findMatch,
+  findBracketPlacements,
+} = require("./bracket");
+const { createSupabaseSessionStore } = require("./session-store");
+const { createMailer } = require("./mailer");
+const { createRateLimiter } = require("./rate-limit");
+const { createProofStorage } = require("./proof-storage");
+const { ACHIEVEMENT_RULES, createAchievementEngine } = require("./achievements");
+const { MAX_COMPARE_PLAYERS, buildComparison, renderComparisonCard } = require("./compare");
+const {
+  EVENT_STATUSES,
+  EVENT_STATUS_TRANSITIONS,
+  PUBLIC_EVENT_STATUSES,
+  DEFAULT_CHECK_IN_MINUTES,
+  checkInOpensAt,
+  effectiveEventStatus,
+  parseEventStart,
+  toDateTimeInput,
+  formatEventTime,
+  parsePlacementPoints,
+  formatPlacementPoints,
+  placementPointsFor,
+  placementPointsForPlace,
+  describePlacementPoints,
+  placementLabel,
+} = require("./event-lifecycle");
+const {
+  DEFAULT_GAME_NAME,
+  AVATAR_PROVIDERS,
+  LINK_VERIFICATIONS,
+  defaultGame,
+  avatarUrlFor,
+  parseGameList,
+  slugifyGameName,
+  createGameCatalog,
+} = require("./games");
+const {
+  TIERS,
+  DEFAULT_RATING,
+  LEADERBOARD_SORTS,
+  DEFAULT_LEADERBOARD_SORT,
+  createRankings,
+} = require("./rankings");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const SESSION_SECRET = process.env.SESSION_SECRET || "";
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+if (IS_PRODUCTION && (!SESSION_SECRET || SESSION_SECRET === "dev_secret")) {
+  throw new Error("SESSION_SECRET must be set to a long random value in production.");
+}
 const SUPABASE_URL =
   process.env.SUPABASE_URL ||
   process.env.NEXT_PUBLIC_SUPABASE_URL ||
@@ -57,38 +120,212 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { global: { fetch: fetchWithTimeout } });
+const {
+  loadLeaderboardPage,
+  loadPlayerStandings,
+  loadPlayerProfile,
+  searchPlayers,
+  listKits,
+  listSeasons,
+  loadPlayerSeasonHistory,
+  invalidateLeaderboards,
+} = createRankings(
+  supabase,
+  { cacheTtlMs: Math.max(0, parseInt(process.env.LEADERBOARD_CACHE_TTL_MS || "", 10) || 30000) }
+);
+const gameCatalog = createGameCatalog(supabase);
 
 const EVENTS_TABLE = "events";
+const achievementEngine = createAchievementEngine(supabase, {
+  listGames: gameCatalog.listGames,
+  eventsTable: EVENTS_TABLE,
+  onAward: ({ player, achievement }) => sendDiscordAchievement({ username: player.username, achievement }),
+});
 const PLAYER_EVENT_RECORDS_TABLE = "player_event_records";
+const EVENT_REGISTRATIONS_TABLE = "event_registrations";
+const SUBMISSIONS_TABLE = "submissions";
+const STAT_HISTORY_TABLE = "player_stat_history";
+const SEASONS_TABLE = "seasons";
+const STAFF_TABLE = "staff_accounts";
+const SESSIONS_TABLE = "http_sessions";
+const PASSWORD_RESETS_TABLE = "password_resets";
+const AUDIT_LOG_TABLE = "admin_audit_log";
+const TIER_TESTS_TABLE = "tier_tests";
+const TIER_TEST_COOLDOWN_DAYS = Math.max(0, parseInt(process.env.TIER_TEST_COOLDOWN_DAYS ?? "14", 10) || 0);
+const SUBMISSION_STATUSES = ["pending", "needs_info", "approved", "rejected"];
+const DISCORD_LINKS_TABLE = "discord_links";
+const DISCORD_API_BASE = "https://discord.com/api/v10";
+const DISCORD_OAUTH = {
+  clientId: process.env.DISCORD_CLIENT_ID || "",
+  clientSecret: process.env.DISCORD_CLIENT_SECRET || "",
+  redirectUri: process.env.DISCORD_REDIRECT_URI || "",
+};
 const MINECRAFT_SERVER_IP = process.env.MINECRAFT_SERVER_IP || "play.ranktiers.gg";
 const DISCORD_INVITE = process.env.DISCORD_INVITE || "https://discord.gg/wQMUPyxcQj";
-const MAX_SEARCH_RESULTS = 20;
+// Origin used for links sent outside the site (invites, password resets).
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const SEARCH_PAGE_SIZE = 20;
+const AUTOCOMPLETE_LIMIT = 8;
 const ASSET_VERSION = process.env.ASSET_VERSION || APP_VERSION;
 
 // -------------------- FILE UPLOAD --------------------
 const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+const PROOF_MAX_MB = Math.max(1, parseInt(process.env.PROOF_MAX_MB || "", 10) || 8);
+const PROOF_MAX_DIMENSION = 2560;
+const PROOF_THUMB_WIDTH = 320;
+// The declared type and the extension must agree; sharp then has to decode the bytes.
+const PROOF_IMAGE_TYPES = {
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/webp": [".webp"],
+  "image/gif": [".gif"],
+};
+const PROOF_TYPE_ERROR = "Screenshots must be PNG, JPEG, WebP or GIF images.";
+
+const proofStorage = createProofStorage({
+  backend: process.env.PROOF_STORAGE || "local",
+  dir: UPLOAD_DIR,
+  supabase,
+  bucket: process.env.PROOF_BUCKET || "proofs",
+});
 
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, UPLOAD_DIR),
-  filename: (_, file, cb) => cb(null, Date.now() + "-" + file.originalname.replace(/\s+/g, "-")),
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROOF_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    const allowed = (PROOF_IMAGE_TYPES[file.mimetype] || []).includes(extension);
+    if (!allowed) req.proofError = PROOF_TYPE_ERROR;
+    cb(null, allowed);
+  },
 });
-const upload = multer({ storage });
+
+// Parses the optional proof screenshot, leaving a form-friendly message in
+// req.proofError instead of failing the request when the file is refused.
+function acceptProofUpload(req, res, next) {
+  proofUpload.single("screenshot")(req, res, error => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+    req.proofError =
+      error.code === "LIMIT_FILE_SIZE" ? `Screenshots must be ${PROOF_MAX_MB} MB or smaller.` : "Attach a single screenshot.";
+    next();
+  });
+}
+
+function proofThumbName(name) {
+  return name.replace(/\.webp$/, "-thumb.webp");
+}
+
+// Re-encodes the upload under a random name, which drops EXIF/GPS metadata and
+// anything smuggled after the image data, and stores a thumbnail beside it.
+async function storeProofImage(file) {
+  const image = sharp(file.buffer, { limitInputPixels: 50_000_000 }).rotate();
+  const [full, thumb] = await Promise.all([
+    image
+      .clone()
+      .resize({ width: PROOF_MAX_DIMENSION, height: PROOF_MAX_DIMENSION, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer(),
+    image.clone().resize({ width: PROOF_THUMB_WIDTH, withoutEnlargement: true }).webp({ quality: 70 }).toBuffer(),
+  ]);
+
+  const name = `${crypto.randomUUID()}.webp`;
+  await proofStorage.save(name, full, "image/webp");
+  try {
+    await proofStorage.save(proofThumbName(name), thumb, "image/webp");
+  } catch (error) {
+    await removeProofImage(name);
+    throw error;
+  }
+  return name;
+}
+
+async function removeProofImage(name) {
+  try {
+    await proofStorage.remove([...new Set([name, proofThumbName(name)])]);
+  } catch (error) {
+    console.error("Failed to remove proof image", error);
+  }
+}
 
 // -------------------- EXPRESS CONFIG --------------------
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use(express.static(path.join(__dirname, "public")));
 app.use(express.urlencoded({ extended: true }));
-app.use(cors());
+// Secure cookies need the real protocol from the reverse proxy in production.
+if (IS_PRODUCTION) app.set("trust proxy", 1);
+if (!SESSION_SECRET) console.warn("SESSION_SECRET is not set; using an insecure development secret.");
 app.use(
   session({
-    secret: process.env.SESSION_SECRET || "dev_secret",
+    name: "ranktiers.sid",
+    secret: SESSION_SECRET || "dev_secret",
+    store: createSupabaseSessionStore(session, supabase, { table: SESSIONS_TABLE, ttlMs: SESSION_MAX_AGE_MS }),
     resave: false,
-    saveUninitialized: true,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: IS_PRODUCTION,
+      maxAge: SESSION_MAX_AGE_MS,
+    },
   })
 );
 
+// -------------------- CSRF --------------------
+// Synchronizer tokens: every state-changing request must echo the session's
+// token in a _csrf field or X-CSRF-Token header. Forms get it from
+// partials/csrf; csrfToken() only creates a session when a form is rendered.
+// The Minecraft plugin authenticates with a bearer secret instead of a session.
+const CSRF_EXEMPT_PATHS = ["/minecraft/verify"];
+// Multipart routes that run verifyCsrf themselves after parsing the upload.
+const CSRF_MULTIPART_PATHS = ["/submit"];
+
+function ensureCsrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  return req.session.csrfToken;
+}
+
+function hasValidCsrfToken(req) {
+  const expected = req.session?.csrfToken;
+  const provided = req.body?._csrf || req.get("x-csrf-token") || "";
+  if (!expected || typeof provided !== "string" || !provided) return false;
+  const a = crypto.createHash("sha256").update(expected).digest();
+  const b = crypto.createHash("sha256").update(provided).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function rejectCsrf(req, res) {
+  res.status(403).send("Your form expired or came from another site. Go back, refresh the page and try again.");
+}
+
+// Route-level check for multipart forms, whose fields are only parsed after the upload middleware runs.
+function verifyCsrf(req, res, next) {
+  if (!hasValidCsrfToken(req)) return rejectCsrf(req, res);
+  next();
+}
+
+// Issues a fresh session id on login to prevent session fixation, keeping any
+// other identity that is already signed in (a staff member's site account).
+function establishSession(req, fields) {
+  const preserved = { user: req.session.user, admin: req.session.admin };
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      Object.assign(req.session, preserved, fields);
+      resolve();
+    });
+  });
+}
+
+app.use((req, res, next) => {
+  res.locals.csrfToken = () => ensureCsrfToken(req);
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+  if (CSRF_EXEMPT_PATHS.includes(req.path)) return next();
+  if (req.is("multipart/form-data") && CSRF_MULTIPART_PATHS.includes(req.path)) return next();
+  verifyCsrf(req, res, next);
+});
+
 app.use((req, res, next) => {
   res.locals.currentUser = req.session.user || null;
   res.locals.currentAdmin = req.session.admin || null;
@@ -96,78 +333,58 @@ app.use((req, res, next) => {
   res.locals.discordInvite = DISCORD_INVITE;
   res.locals.navSearchQuery = "";
   res.locals.assetVersion = ASSET_VERSION;
+  res.locals.proofMaxMb = PROOF_MAX_MB;
+  res.locals.EVENT_STATUSES = EVENT_STATUSES;
+  res.locals.formatEventTime = formatEventTime;
+  res.locals.placementLabel = placementLabel;
   next();
 });
 
-const TIERS = ["LT5", "HT5", "LT4", "HT4", "LT3", "HT3", "LT2", "HT2", "LT1", "HT1"];
-
-function buildBracket(players) {
-  const sanitized = players.filter(Boolean);
-  if (sanitized.length === 0) return { rounds: [] };
-
-  const bracketSize = Math.max(2, 1 << Math.ceil(Math.log2(sanitized.length)));
-  const slots = [...sanitized];
-  while (slots.length < bracketSize) slots.push(null);
-
-  const rounds = [];
-  let previousRound = [];
-
-  const firstRound = [];
-  for (let i = 0; i < slots.length; i += 2) {
-    const matchId = `r1m${i / 2 + 1}`;
-    firstRound.push({
-      id: matchId,
-      round: 1,
-      match: i / 2 + 1,
-      player1: slots[i],
-      player2: slots[i + 1],
-      winner: null,
-      loser: null,
-      autoAdvance: false,
-      source1: null,
-      source2: null,
-      nextMatchId: null,
-      nextMatchSlot: null,
-    });
+// The navbar game switcher stores the visitor's pick in the session; pages that
+// show a single game (home, search, account) default to it.
+app.use(async (req, res, next) => {
+  let games = [];
+  try {
+    games = await gameCatalog.listGames();
+  } catch (error) {
+    console.error("Failed to load games", error);
+    games = [defaultGame()];
   }
-  rounds.push(firstRound);
-  previousRound = firstRound;
-
-  let roundNumber = 2;
-  while (previousRound.length > 1) {
-    const currentRound = [];
-    for (let i = 0; i < previousRound.length; i += 2) {
-      const matchId = `r${roundNumber}m${i / 2 + 1}`;
-      const match = {
-        id: matchId,
-        round: roundNumber,
-        match: i / 2 + 1,
-        player1: null,
-        player2: null,
-        winner: null,
-        loser: null,
-        autoAdvance: false,
-        source1: previousRound[i]?.id || null,
-        source2: previousRound[i + 1]?.id || null,
-        nextMatchId: null,
-        nextMatchSlot: null,
-      };
-      currentRound.push(match);
-      if (previousRound[i]) {
-        previousRound[i].nextMatchId = matchId;
-        previousRound[i].nextMatchSlot = "player1";
-      }
-      if (previousRound[i + 1]) {
-        previousRound[i + 1].nextMatchId = matchId;
-        previousRound[i + 1].nextMatchSlot = "player2";
-      }
-    }
-    rounds.push(currentRound);
-    previousRound = currentRound;
-    roundNumber++;
+  res.locals.navGames = games;
+  res.locals.currentGame =
+    games.find(game => game.name === req.session.game) ||
+    games.find(game => game.name === DEFAULT_GAME_NAME) ||
+    games[0];
+  res.locals.currentPath = req.originalUrl;
+  next();
+});
+
+// The tier ladder for a game by name; unknown games use the default ladder.
+async function ladderFor(gameName) {
+  try {
+    const game = await gameCatalog.findGame(gameName);
+    if (game) return game.tiers;
+  } catch (error) {
+    console.error("Failed to load game ladder", error);
   }
+  return TIERS;
+}
 
-  return { rounds };
+const SEED_KEYS = {
+  tier: "Tier, then points",
+  rating: "Skill rating",
+};
+
+// Stronger tier first (ladders are ordered weakest to strongest), then more points.
+// Seeding by rating puts the higher Elo first and falls back to the tier order.
+function compareSeedStrength(a, b, seedBy = "tier", tiers = TIERS) {
+  const byRating = seedBy === "rating" ? (b.rating ?? DEFAULT_RATING) - (a.rating ?? DEFAULT_RATING) : 0;
+  return (
+    byRating ||
+    tiers.indexOf(b.tier) - tiers.indexOf(a.tier) ||
+    (b.points || 0) - (a.points || 0) ||
+    (a.username || "").localeCompare(b.username || "")
+  );
 }
 
 async function fetchPlayersByIds(ids = []) {
@@ -186,94 +403,6 @@ async function fetchPlayersByIds(ids = []) {
   return players;
 }
 
-function indexBracketMatches(bracket) {
-  const map = new Map();
-  if (!bracket || !Array.isArray(bracket.rounds)) return map;
-  bracket.rounds.forEach(round => {
-    round.forEach(match => {
-      map.set(match.id, match);
-    });
-  });
-  return map;
-}
-
-function propagateAutoAdvances(bracket) {
-  const matchMap = indexBracketMatches(bracket);
-  const queue = [];
-  matchMap.forEach(match => {
-    const onlyOne = (match.player1 && !match.player2) || (!match.player1 && match.player2);
-    if (onlyOne && !match.winner) {
-      match.autoAdvance = true;
-      match.winner = match.player1 || match.player2;
-      queue.push(match);
-    }
-  });
-
-  while (queue.length > 0) {
-    const match = queue.shift();
-    if (!match.nextMatchId || !match.winner) continue;
-    const next = matchMap.get(match.nextMatchId);
-    if (!next) continue;
-    next[match.nextMatchSlot] = match.winner;
-    const onlyOne = (next.player1 && !next.player2) || (!next.player1 && next.player2);
-    if (onlyOne && !next.winner) {
-      next.autoAdvance = true;
-      next.winner = next.player1 || next.player2;
-      queue.push(next);
-    }
-  }
-}
-
-function assignWinnerToNextMatch(bracket, match) {
-  if (!match.nextMatchId || !match.winner) return;
-  const matchMap = indexBracketMatches(bracket);
-  const next = matchMap.get(match.nextMatchId);
-  if (!next) return;
-  next[match.nextMatchSlot] = match.winner;
-  const onlyOne = (next.player1 && !next.player2) || (!next.player1 && next.player2);
-  if (onlyOne && !next.winner) {
-    next.autoAdvance = true;
-    next.winner = next.player1 || next.player2;
-    assignWinnerToNextMatch(bracket, next);
-  }
-}
-
-function normalizeBracketObject(maybeBracket) {
-  if (!maybeBracket || typeof maybeBracket !== "object") {
-    return { rounds: [] };
-  }
-
-  if (!Array.isArray(maybeBracket.rounds)) {
-    return { ...maybeBracket, rounds: [] };
-  }
-
-  return maybeBracket;
-}
-
-function parseBracket(rawBracket) {
-  if (typeof rawBracket === "string") {
-    try {
-      const parsed = JSON.parse(rawBracket);
-      return normalizeBracketObject(parsed);
-    } catch (error) {
-      console.error("Failed to parse bracket JSON", error);
-      return { rounds: [] };
-    }
-  }
-
-  return normalizeBracketObject(rawBracket);
-}
-
-function findMatch(bracket, matchId) {
-  if (!bracket || !Array.isArray(bracket.rounds)) return null;
-  for (const round of bracket.rounds) {
-    for (const match of round) {
-      if (match.id === matchId) return match;
-    }
-  }
-  return null;
-}
-
 app.get("/discord", (_, res) => {
   res.redirect(DISCORD_INVITE);
 });
@@ -299,7 +428,59 @@ async function sendDiscordTierUpdate({ username, game, kit, tier, updated }) {
   }
 }
 
+async function sendDiscordAchievement({ username, achievement }) {
+  if (!webhook) return;
+  try {
+    const embed = new EmbedBuilder()
+      .setTitle("🏆 Achievement Unlocked")
+      .setDescription(
+        `**${username}** earned **${achievement.name}**!${achievement.description ? `\n\n${achievement.description}` : ""}`
+      )
+      .setColor(0x9b59b6)
+      .setTimestamp();
+    if (/^https:\/\//.test(achievement.icon || "")) embed.setThumbnail(achievement.icon);
+    await webhook.send({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error sending Discord webhook:", err);
+  }
+}
+
+async function sendDiscordEventResults({ event, results }) {
+  if (!webhook) return;
+  try {
+    const medals = { 1: "🥇", 2: "🥈", 3: "🥉" };
+    const lines = results
+      .filter(result => result.place <= 8)
+      .map(
+        result =>
+          `${medals[result.place] || "🔹"} **${placementLabel(result.place, result.placeTo)}** ${result.player.username}` +
+          (result.points > 0 ? ` (+${result.points} pts)` : "")
+      );
+    const embed = new EmbedBuilder()
+      .setTitle("🏁 Event Results")
+      .setDescription(`**${event.name}** has finished!\n🎮 **${event.game}** · ${event.kit}\n\n${lines.join("\n")}`)
+      .setColor(0xe67e22)
+      .setTimestamp();
+    if (PUBLIC_BASE_URL) embed.setURL(`${PUBLIC_BASE_URL}/events/${event.id}`);
+    await webhook.send({ embeds: [embed] });
+  } catch (err) {
+    console.error("Error sending Discord webhook:", err);
+  }
+}
+
 // -------------------- UTILITY FUNCTIONS --------------------
+// Invite and reset tokens are stored hashed so a leaked table can't be replayed.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Emailed links must not trust the Host header, so production requires PUBLIC_BASE_URL.
+function absoluteUrl(req, pathname) {
+  if (PUBLIC_BASE_URL) return `${PUBLIC_BASE_URL}${pathname}`;
+  if (IS_PRODUCTION) throw new Error("PUBLIC_BASE_URL must be set to build external links in production.");
+  return `${req.protocol}://${req.get("host")}${pathname}`;
+}
+
 async function getMinecraftUUID(username) {
   try {
     const res = await fetchWithTimeout(`https://api.mojang.com/users/profiles/minecraft/${username}`);
@@ -312,17 +493,6 @@ async function getMinecraftUUID(username) {
   }
 }
 
-function buildMinecraftRenderUrl(uuid, username) {
-  if (uuid) {
-    const normalized = uuid.replace(/-/g, "");
-    return `https://crafatar.com/renders/body/${normalized}?size=256&overlay`;
-  }
-  if (username) {
-    return `https://minotar.net/armor/body/${encodeURIComponent(username)}/256.png`;
-  }
-  return null;
-}
-
 const KIT_TEXTURE_BASE =
   "https://raw.githubusercontent.com/InventivetalentDev/minecraft-assets/1.21.10/assets/minecraft/textures";
 const KIT_TEXTURE_FALLBACK = `${KIT_TEXTURE_BASE}/item/netherite_sword.png`;
@@ -393,1086 +563,4320 @@ function requireAuth(req, res, next) {
   next();
 }
 
-function requireAdmin(req, res, next) {
-  if (!req.session.admin) return res.redirect("/admin/login");
-  next();
+// -------------------- STAFF ROLES --------------------
+const STAFF_ROLES = {
+  owner: "Owner",
+  admin: "Admin",
+  event_manager: "Event manager",
+  tester: "Tester",
+};
+const STAFF_PERMISSIONS = {
+  owner: ["staff", "audit", "submissions", "ladder", "events", "seasons", "tests"],
+  admin: ["audit", "submissions", "ladder", "events", "seasons", "tests"],
+  event_manager: ["events"],
+  tester: ["tests"],
+};
+
+function staffCan(staff, permission) {
+  return Boolean(staff && STAFF_PERMISSIONS[staff.role]?.includes(permission));
 }
 
-// -------------------- ACHIEVEMENTS --------------------
-async function checkAndAwardAchievements(playerId, totalPoints, tier) {
-  const { data: achievements } = await supabase.from("achievements").select("*");
-  if (!achievements) return;
-
-  for (const ach of achievements) {
-    let qualifies = false;
-    if (ach.condition_type === "points" && totalPoints >= ach.condition_value) qualifies = true;
-    if (ach.condition_type === "tier" && tier === ach.condition_value) qualifies = true;
-
-    if (qualifies) {
-      const { data: existing } = await supabase
-        .from("player_achievements")
-        .select("*")
-        .eq("player_id", playerId)
-        .eq("achievement_id", ach.id)
-        .maybeSingle();
+function staffHome(staff) {
+  return staff.role === "tester" ? "/tester" : "/admin/dashboard";
+}
+
+// Re-reads the account on every staff request so revoked or re-roled staff
+// lose access immediately instead of when their session expires.
+async function loadSessionStaff(req) {
+  if (!req.session.admin?.id) return null;
+  const { data: staff, error } = await supabase
+    .from(STAFF_TABLE)
+    .select("id, username, role, active")
+    .eq("id", req.session.admin.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!staff || !staff.active) {
+    req.session.admin = null;
+    return null;
+  }
+  req.session.admin = { id: staff.id, username: staff.username, role: staff.role };
+  return req.session.admin;
+}
 
-      if (!existing)
-        await supabase.from("player_achievements").insert([{ player_id: playerId, achievement_id: ach.id }]);
+// Guards staff routes; without a permission any active staff account may pass.
+function requireAdmin(permission = null) {
+  return async (req, res, next) => {
+    const staff = await loadSessionStaff(req);
+    if (!staff) return res.redirect("/admin/login");
+    if (permission && !staffCan(staff, permission)) {
+      req.session.adminError = "Your staff role doesn't have access to that page.";
+      return res.redirect(staffHome(staff));
     }
+    next();
+  };
+}
+
+// -------------------- ACHIEVEMENTS --------------------
+// Called after anything that can earn an achievement. Failures are only logged so
+// they never undo the tier change, result or edit that triggered them.
+async function awardAchievements(player) {
+  try {
+    await achievementEngine.evaluatePlayer(player);
+  } catch (error) {
+    console.error("Failed to evaluate achievements", error);
   }
 }
 
-// -------------------- AUTH --------------------
-app.get("/register", (_, res) => res.render("register", { error: null, pageTitle: "Create Account", navActive: null }));
-app.post("/register", async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password)
-    return res.render("register", { error: "Email and password required", pageTitle: "Create Account", navActive: null });
+// -------------------- STAT HISTORY --------------------
+// Appends an immutable history row whenever a player_stats tier or points value changes.
+async function recordStatChange({ stat, previous = null, source, sourceId = null, changedBy = null }) {
+  const oldTier = previous?.tier ?? null;
+  const oldPoints = previous?.points ?? null;
+  if (previous && oldTier === stat.tier && oldPoints === stat.points) return;
+
+  const { error } = await supabase.from(STAT_HISTORY_TABLE).insert([
+    {
+      stat_id: stat.id != null ? String(stat.id) : null,
+      player_id: stat.player_id,
+      game: stat.game,
+      kit: stat.kit,
+      old_tier: oldTier,
+      new_tier: stat.tier,
+      old_points: oldPoints,
+      new_points: stat.points,
+      source,
+      source_id: sourceId != null ? String(sourceId) : null,
+      changed_by: changedBy,
+    },
+  ]);
+  if (error) console.error("Failed to record stat history", error);
+}
 
-  const { data: existing } = await supabase.from("users").select("*").eq("email", email).single();
-  if (existing)
-    return res.render("register", { error: "Email already registered", pageTitle: "Create Account", navActive: null });
+async function loadStatHistory(playerId, { game, kit } = {}) {
+  let query = supabase
+    .from(STAT_HISTORY_TABLE)
+    .select("id, game, kit, old_tier, new_tier, old_points, new_points, source, source_id, changed_by, created_at")
+    .eq("player_id", playerId)
+    .order("created_at", { ascending: false });
+  if (game) query = query.eq("game", game);
+  if (kit) query = query.eq("kit", kit);
 
-  const password_hash = await bcrypt.hash(password, 10);
-  await supabase.from("users").insert([{ email, password_hash }]);
-  res.redirect("/login");
-});
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
 
-app.get("/login", (_, res) => res.render("login", { error: null, pageTitle: "Login", navActive: null }));
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password)
-    return res.render("login", { error: "Email and password required", pageTitle: "Login", navActive: null });
+// -------------------- AUDIT LOG --------------------
+// Appends one entry for a staff mutation. Like stat history, a failed write is
+// logged rather than undoing the action it describes.
+async function recordAudit(req, { action, table = null, targetId = null, playerId = null, before = null, after = null }) {
+  const actor = req.session.admin || {};
+  const { error } = await supabase.from(AUDIT_LOG_TABLE).insert([
+    {
+      actor_id: actor.id || null,
+      actor_username: actor.username || "unknown",
+      actor_role: actor.role || null,
+      action,
+      target_table: table,
+      target_id: targetId != null ? String(targetId) : null,
+      player_id: playerId || null,
+      before_data: before,
+      after_data: after,
+    },
+  ]);
+  if (error) console.error("Failed to record audit entry", error);
+}
 
-  const { data: user } = await supabase.from("users").select("*").eq("email", email).single();
-  if (!user)
-    return res.render("login", { error: "Invalid credentials", pageTitle: "Login", navActive: null });
+function summarizeMatchPlayer(player) {
+  return player ? { id: player.id, username: player.username } : null;
+}
 
-  const valid = await bcrypt.compare(password, user.password_hash);
-  if (!valid)
-    return res.render("login", { error: "Invalid credentials", pageTitle: "Login", navActive: null });
+// -------------------- RATINGS --------------------
+const PROVISIONAL_MATCHES = 30;
+
+// Elo with a larger K-factor while a player's rating is still provisional.
+function calculateEloChange(winner, loser) {
+  const expectedWin = 1 / (1 + 10 ** (((loser.rating ?? DEFAULT_RATING) - (winner.rating ?? DEFAULT_RATING)) / 400));
+  const kFactor = stat => ((stat.rated_matches || 0) < PROVISIONAL_MATCHES ? 40 : 24);
+  return {
+    winnerDelta: Math.round(kFactor(winner) * (1 - expectedWin)),
+    loserDelta: -Math.round(kFactor(loser) * (1 - expectedWin)),
+  };
+}
 
-  req.session.user = { id: user.id, email: user.email };
-  res.redirect("/account");
-});
+async function loadEventRatingStats(event, playerIds) {
+  const { data, error } = await supabase
+    .from("player_stats")
+    .select("id, player_id, rating, rated_matches")
+    .eq("game", event.game)
+    .eq("kit", event.kit)
+    .in("player_id", playerIds);
+  if (error) throw new Error(`Failed to load ratings: ${error.message}`);
+  return new Map((data || []).map(stat => [String(stat.player_id), stat]));
+}
 
-app.get("/logout", (req, res) => req.session.destroy(() => res.redirect("/")));
+async function adjustEventRating(event, playerId, ratingDelta, matchDelta) {
+  const { error } = await supabase.rpc("adjust_player_rating", {
+    p_player_id: playerId,
+    p_game: event.game,
+    p_kit: event.kit,
+    p_rating_delta: ratingDelta,
+    p_match_delta: matchDelta,
+  });
+  if (error) throw new Error(`Failed to update rating: ${error.message}`);
+}
 
-// -------------------- ACCOUNT LINKING --------------------
-app.get("/account", requireAuth, async (req, res) => {
-  const { data: linked } = await supabase
-    .from("user_linked_accounts")
-    .select("*")
-    .eq("user_id", req.session.user.id);
+// Saves the event's bracket only if nobody else has saved it since the event was loaded,
+// bumping bracket_version. Returns false when another write got there first.
+async function saveEventBracket(event, bracket) {
+  const version = event.bracket_version || 0;
+  const { data, error } = await supabase
+    .from(EVENTS_TABLE)
+    .update({ bracket, bracket_version: version + 1 })
+    .eq("id", event.id)
+    .eq("bracket_version", version)
+    .select("id");
+  if (error) throw new Error(`Failed to save bracket: ${error.message}`);
+  if (!data || data.length === 0) return false;
+  event.bracket_version = version + 1;
+  return true;
+}
 
-  const { data: games } = await supabase.from("games").select("*").order("name");
-  const minecraftOnly = (games || []).filter(game => game.name?.toLowerCase() === "minecraft");
-  const availableGames = minecraftOnly.length > 0 ? minecraftOnly : [{ name: "Minecraft" }];
+// Updates both players' ratings for the event's kit and returns the per-player delta
+// so a later correction can undo exactly what this match changed.
+async function applyMatchRating(event, winner, loser) {
+  const stats = await loadEventRatingStats(event, [winner.id, loser.id]);
+  const winnerStat = stats.get(String(winner.id));
+  const loserStat = stats.get(String(loser.id));
+  if (!winnerStat || !loserStat) return null;
+
+  const { winnerDelta, loserDelta } = calculateEloChange(winnerStat, loserStat);
+  await adjustEventRating(event, winner.id, winnerDelta, 1);
+  await adjustEventRating(event, loser.id, loserDelta, 1);
+  invalidateLeaderboards();
+  return { [winner.id]: winnerDelta, [loser.id]: loserDelta };
+}
 
-  res.render("account", {
-    linked: linked || [],
-    games: availableGames,
-    error: null,
-    pageTitle: "Account",
-    navActive: null,
+async function revertMatchRatings(event, results) {
+  const totals = new Map();
+  results.forEach(result => {
+    Object.entries(result.ratingDelta || {}).forEach(([playerId, delta]) => {
+      const entry = totals.get(playerId) || { delta: 0, matches: 0 };
+      entry.delta += delta;
+      entry.matches += 1;
+      totals.set(playerId, entry);
+    });
   });
-});
-
-app.post("/account/link", requireAuth, async (req, res) => {
-  const { game, game_username } = req.body;
-  if (!game || !game_username) return res.redirect("/account");
+  if (totals.size === 0) return;
 
-  if (game !== "Minecraft") {
-    return res.redirect("/account");
+  for (const [playerId, { delta, matches }] of totals) {
+    await adjustEventRating(event, playerId, -delta, -matches);
   }
+  invalidateLeaderboards();
+}
+
+// -------------------- TIER RESULTS --------------------
+async function findOrCreatePlayer(username) {
+  const { data: existing, error } = await supabase
+    .from("players")
+    .select("*")
+    .eq("username", username)
+    .limit(1);
+  if (error) throw new Error(`Failed to load player: ${error.message}`);
+  if (existing && existing.length > 0) return existing[0];
+
+  const { data: created, error: createError } = await supabase
+    .from("players")
+    .insert([{ username }])
+    .select()
+    .single();
+  if (createError) throw new Error(`Failed to create player: ${createError.message}`);
+  return created;
+}
 
+// Writes a granted tier to player_stats and fans it out: stat history, leaderboard
+// cache, achievements and the Discord webhook. Used by submissions and tier tests.
+async function applyTierResult({ player, game, kit, tier, points, source, sourceId = null, changedBy = null }) {
   const { data: existing } = await supabase
-    .from("user_linked_accounts")
+    .from("player_stats")
     .select("*")
-    .eq("user_id", req.session.user.id)
+    .eq("player_id", player.id)
     .eq("game", game)
-    .single();
+    .eq("kit", kit)
+    .maybeSingle();
 
-  if (existing)
-    await supabase
-      .from("user_linked_accounts")
-      .update({ game_username, game_id: null })
-      .eq("id", existing.id);
-  else
-    await supabase.from("user_linked_accounts").insert([
-      {
-        user_id: req.session.user.id,
-        game,
-        game_username,
-        game_id: null,
-      },
-    ]);
+  let updated = false;
+  let stat;
+  if (existing) {
+    const { data, error } = await supabase
+      .from("player_stats")
+      .update({ tier, points: points || existing.points })
+      .eq("id", existing.id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update player stats: ${error.message}`);
+    stat = data;
+    updated = true;
+  } else {
+    const { data, error } = await supabase
+      .from("player_stats")
+      .insert([
+        {
+          player_id: player.id,
+          game,
+          kit,
+          tier,
+          points: points || 0,
+        },
+      ])
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to create player stats: ${error.message}`);
+    stat = data;
+  }
 
-  res.redirect("/account");
-});
+  await recordStatChange({ stat, previous: existing, source, sourceId, changedBy });
+  invalidateLeaderboards();
 
-// -------------------- ADMIN --------------------
-app.get("/admin/login", (_, res) => res.render("admin-login", { error: null, pageTitle: "Admin Login", navActive: null }));
-app.post("/admin/login", (req, res) => {
-  const { username, password } = req.body;
-  if (username === process.env.ADMIN_USER && password === process.env.ADMIN_PASS) {
-    req.session.admin = { username };
-    return res.redirect("/admin/dashboard");
-  }
-  res.render("admin-login", { error: "Invalid credentials", pageTitle: "Admin Login", navActive: null });
-});
-app.get("/admin/logout", (req, res) => {
-  req.session.admin = null;
-  res.redirect("/admin/login");
-});
+  await awardAchievements(player);
 
-app.get("/admin/overview", requireAdmin, async (req, res) => { // <-- CHANGED from /admin/dashboard
-  const { data: games } = await supabase.from("games").select("*");
-  const { data: players } = await supabase.from("players").select("*");
-  const { data: submissions } = await supabase.from("submissions").select("*").order("created_at", { ascending: true });
-  const minecraftGames = (games || []).filter(game => game.name?.toLowerCase() === "minecraft");
-  res.render("admin-dashboard", {
-    games: minecraftGames.length > 0 ? minecraftGames : games || [],
-    players,
-    submissions,
-    stats: [],
-    TIERS,
-    pageTitle: "Admin Dashboard",
-    navActive: null,
-  }); // <-- ADDED stats: [], TIERS
-});
+  await sendDiscordTierUpdate({
+    username: player.username,
+    game,
+    kit,
+    tier,
+    updated,
+  });
 
-app.post("/admin/game/add", requireAdmin, async (req, res) => {
-  const { name } = req.body;
-  if (!name) return res.redirect("/admin/dashboard");
-  await supabase.from("games").insert([{ name }]);
-  res.redirect("/admin/dashboard");
-});
+  return { stat, previous: existing, updated };
+}
 
-// -------------------- MAIN PAGES --------------------
-app.get("/", async (req, res) => {
-  let games = [];
-  try {
-    const { data, error } = await supabase.from("games").select("*").order("name");
-    if (error) throw error;
-    games = data || [];
-  } catch (error) {
-    console.error("Failed to load games", error);
-  }
+// -------------------- SUBMISSION REVIEW --------------------
+const OPEN_SUBMISSION_STATUSES = ["pending", "needs_info"];
 
-  let linkedAccounts = [];
-  if (req.session.user) {
-    try {
-      const { data, error } = await supabase
-        .from("user_linked_accounts")
-        .select("*")
-        .eq("user_id", req.session.user.id)
-        .eq("game", "Minecraft");
-      if (error) throw error;
-      linkedAccounts = data || [];
-    } catch (error) {
-      console.error("Failed to load linked accounts", error);
-    }
+async function applyApprovedSubmission(submission) {
+  let player = null;
+  if (submission.player_id) {
+    const { data } = await supabase.from("players").select("*").eq("id", submission.player_id).maybeSingle();
+    player = data;
   }
+  if (!player) player = await findOrCreatePlayer(submission.player_name);
 
-  const minecraftOnly = (games || []).filter(game => game.name?.toLowerCase() === "minecraft");
-  const featuredGames = minecraftOnly.length > 0 ? minecraftOnly : [{ name: "Minecraft" }];
+  const { stat, previous, updated } = await applyTierResult({
+    player,
+    game: submission.game,
+    kit: submission.kit,
+    tier: submission.tier,
+    points: submission.points,
+    source: "submission",
+    sourceId: submission.id,
+    changedBy: submission.reviewed_by || null,
+  });
 
-  let upcomingEvent = null;
-  let upcomingEventTextures = {};
-  let spotlightPlayers = [];
-  let spotlightKitTextures = {};
-  try {
-    const { data, error } = await supabase
-      .from(EVENTS_TABLE)
-      .select("id, name, kit, created_at")
-      .eq("game", "Minecraft")
-      .order("created_at", { ascending: false })
-      .limit(1);
-    if (error) throw error;
-    if (data && data.length > 0) {
-      upcomingEvent = data[0];
-      upcomingEventTextures = buildKitTextureMap([upcomingEvent.kit]);
-    }
-  } catch (error) {
-    console.error("Failed to load featured event", error);
-  }
+  return { player, stat, previous, updated };
+}
 
-  try {
-    const { data, error } = await supabase
-      .from("player_stats")
-      .select("player_id, kit, points, players(username, minecraft_uuid, minecraft_username)")
-      .eq("game", "Minecraft");
+// Moves an open submission to a reviewed status. Returns null when someone else already closed it.
+async function transitionSubmission(id, fields) {
+  const { data, error } = await supabase
+    .from(SUBMISSIONS_TABLE)
+    .update(fields)
+    .eq("id", id)
+    .in("status", OPEN_SUBMISSION_STATUSES)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
 
-    if (error) throw error;
+// -------------------- LOGIN SECURITY --------------------
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 10;
+// bcrypt silently ignores everything past 72 bytes.
+const PASSWORD_MAX_BYTES = 72;
+const COMMON_PASSWORD_WORDS = ["password", "qwerty", "letmein", "welcome", "123456", "minecraft", "ranktiers"];
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Per-IP limits sit in front of the per-account lockout so one address can't
+// spray guesses across many accounts.
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+const passwordResetLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+const passwordResetEmailLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 3 });
+
+if (IS_PRODUCTION && !process.env.MAIL_TRANSPORT)
+  console.warn("MAIL_TRANSPORT is not set; password reset emails will only be written to the log.");
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || "log",
+  from: process.env.MAIL_FROM || undefined,
+  file: process.env.MAIL_FILE || undefined,
+  url: process.env.SMTP_URL || undefined,
+});
 
-    const aggregated = new Map();
-    (data || []).forEach(row => {
-      if (!row || !row.player_id) return;
-      if (!aggregated.has(row.player_id)) {
-        aggregated.set(row.player_id, {
-          playerId: row.player_id,
-          player: row.players || {},
-          totalPoints: 0,
-          kits: new Set(),
-        });
-      }
-      const entry = aggregated.get(row.player_id);
-      entry.totalPoints += row.points || 0;
-      if (row.kit) entry.kits.add(row.kit);
-    });
+function formatWait(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
 
-    const sorted = Array.from(aggregated.values())
-      .map(entry => ({
-        ...entry,
-        kits: Array.from(entry.kits),
-      }))
-      .sort((a, b) => b.totalPoints - a.totalPoints)
-      .slice(0, 3);
+// Returns an error message once the key has used up its attempts, otherwise null.
+function throttle(limiter, key) {
+  const { allowed, retryAfterMs } = limiter.hit(key);
+  return allowed ? null : `Too many attempts. Try again in ${formatWait(retryAfterMs)}.`;
+}
 
-    const withUsernames = sorted.filter(entry => entry.player?.username);
+function lockoutRemainingMs(account) {
+  const until = account.locked_until ? new Date(account.locked_until).getTime() : 0;
+  return Math.max(0, until - Date.now());
+}
 
-    const kitNames = new Set();
-    spotlightPlayers = withUsernames.map(entry => {
-      const username = entry.player.username;
-      const lookupName = entry.player?.minecraft_username || username;
-      const renderUrl = buildMinecraftRenderUrl(entry.player?.minecraft_uuid, lookupName);
-      entry.kits.forEach(kit => {
-        if (kit) kitNames.add(kit);
-      });
+function lockoutMessage(account) {
+  return `This account is locked after too many failed logins. Try again in ${formatWait(lockoutRemainingMs(account))}.`;
+}
 
-      return {
-        username,
-        totalPoints: entry.totalPoints,
-        kits: entry.kits,
-        renderUrl,
-        profileUrl: `/profile/${encodeURIComponent(username)}`,
-      };
-    });
+// Counts a wrong password; the LOGIN_MAX_FAILURES-th in a row locks the account.
+async function recordLoginFailure(table, account) {
+  const failures = (account.failed_login_count || 0) + 1;
+  const locked = failures >= LOGIN_MAX_FAILURES;
+  const { error } = await supabase
+    .from(table)
+    .update({
+      failed_login_count: locked ? 0 : failures,
+      locked_until: locked ? new Date(Date.now() + LOGIN_LOCKOUT_MS).toISOString() : null,
+    })
+    .eq("id", account.id);
+  if (error) throw error;
+}
 
-    spotlightKitTextures = buildKitTextureMap([...kitNames]);
-  } catch (error) {
-    console.error("Failed to load spotlight players", error);
-  }
+async function clearLoginFailures(table, account) {
+  if (!account.failed_login_count && !account.locked_until) return;
+  const { error } = await supabase.from(table).update({ failed_login_count: 0, locked_until: null }).eq("id", account.id);
+  if (error) throw error;
+}
 
-  res.render("index", {
-    games: featuredGames,
-    linkedAccounts,
-    upcomingEvent,
-    upcomingEventTextures,
-    spotlightPlayers,
-    spotlightKitTextures,
-    pageTitle: "Home",
-    navActive: "home",
-  });
-});
+// Returns why a new password is too weak, or null when it is acceptable.
+// identifier is the email or username it must not contain.
+function validatePassword(password, { identifier } = {}) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH)
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) return `Password must be at most ${PASSWORD_MAX_BYTES} bytes.`;
+  if (!/[A-Za-z]/.test(password) || !/[^A-Za-z]/.test(password))
+    return "Password must mix letters with numbers or symbols.";
+  const lowered = password.toLowerCase();
+  const name = String(identifier || "").toLowerCase().split("@")[0];
+  if (name.length >= 3 && lowered.includes(name)) return "Password must not contain your email or username.";
+  if (COMMON_PASSWORD_WORDS.some(word => lowered.includes(word))) return "Password is too easy to guess.";
+  return null;
+}
 
-app.get("/search", async (req, res) => {
-  const query = (req.query.q || "").trim();
-  let results = [];
-  let searchError = null;
-  let kitTextures = {};
+// -------------------- AUTH --------------------
+app.get("/register", (_, res) => res.render("register", { error: null, pageTitle: "Create Account", navActive: null }));
+app.post("/register", async (req, res) => {
+  const { email, password } = req.body;
+  const render = (error, status = 200) =>
+    res.status(status).render("register", { error, pageTitle: "Create Account", navActive: null });
+  const throttled = throttle(registerLimiter, `register:${req.ip}`);
+  if (throttled) return render(throttled, 429);
+  if (!email || !password) return render("Email and password required");
 
-  if (query) {
-    try {
-      const { data: playersData, error: playersError } = await supabase
-        .from("players")
-        .select("id, username, minecraft_uuid, minecraft_username")
-        .ilike("username", `%${query}%`)
-        .order("username")
-        .limit(MAX_SEARCH_RESULTS);
-
-      if (playersError) throw playersError;
-
-      const playerIds = (playersData || []).map(player => player.id).filter(Boolean);
-      const statsMap = new Map();
-
-      if (playerIds.length > 0) {
-        const { data: statsData, error: statsError } = await supabase
-          .from("player_stats")
-          .select("player_id, kit, tier, points")
-          .in("player_id", playerIds)
-          .eq("game", "Minecraft");
-
-        if (statsError) throw statsError;
-
-        (statsData || []).forEach(stat => {
-          if (!statsMap.has(stat.player_id)) {
-            statsMap.set(stat.player_id, {
-              totalPoints: 0,
-              kits: [],
-              bestTier: null,
-            });
-          }
-          const entry = statsMap.get(stat.player_id);
-          entry.totalPoints += stat.points || 0;
-          if (stat.kit) {
-            entry.kits.push({ kit: stat.kit, tier: stat.tier });
-          }
-          if (stat.tier) {
-            const currentIndex = TIERS.indexOf(entry.bestTier);
-            const tierIndex = TIERS.indexOf(stat.tier);
-            if (tierIndex !== -1 && (currentIndex === -1 || tierIndex < currentIndex)) {
-              entry.bestTier = stat.tier;
-            }
-          }
-        });
-      }
+  const passwordError = validatePassword(password, { identifier: email });
+  if (passwordError) return render(passwordError);
 
-      const kitNames = new Set();
-      results = (playersData || []).map(player => {
-        const stats = statsMap.get(player.id) || { totalPoints: 0, kits: [], bestTier: null };
-        stats.kits.forEach(kit => {
-          if (kit?.kit) kitNames.add(kit.kit);
-        });
-        const lookupName = player.minecraft_username || player.username;
-        return {
-          username: player.username,
-          profileUrl: `/profile/${encodeURIComponent(player.username)}`,
-          renderUrl: buildMinecraftRenderUrl(player.minecraft_uuid, lookupName),
-          totalPoints: stats.totalPoints,
-          bestTier: stats.bestTier,
-          kits: stats.kits,
-        };
-      });
+  const { data: existing } = await supabase.from("users").select("*").eq("email", email).single();
+  if (existing) return render("Email already registered");
 
-      kitTextures = buildKitTextureMap([...kitNames]);
-    } catch (error) {
-      console.error("Failed to search players", error);
-      searchError = "We couldn't load search results right now. Please try again later.";
+  const password_hash = await bcrypt.hash(password, 10);
+  await supabase.from("users").insert([{ email, password_hash }]);
+  res.redirect("/login");
+});
+
+app.get("/login", (req, res) =>
+  res.render("login", {
+    error: null,
+    message: req.query.reset ? "Your password has been reset. Log in with your new password." : null,
+    pageTitle: "Login",
+    navActive: null,
+  })
+);
+app.post("/login", async (req, res) => {
+  const { email, password } = req.body;
+  const render = (error, status = 200) =>
+    res.status(status).render("login", { error, message: null, pageTitle: "Login", navActive: null });
+  const throttled = throttle(loginLimiter, `login:${req.ip}`);
+  if (throttled) return render(throttled, 429);
+  if (!email || !password) return render("Email and password required");
+
+  try {
+    const { data: user, error } = await supabase.from("users").select("*").eq("email", email).maybeSingle();
+    if (error) throw error;
+    if (!user) return render("Invalid credentials");
+    if (lockoutRemainingMs(user)) return render(lockoutMessage(user), 429);
+
+    const valid = await bcrypt.compare(password, user.password_hash);
+    if (!valid) {
+      await recordLoginFailure("users", user);
+      return render("Invalid credentials");
     }
-  }
 
-  res.render("search", {
-    query,
-    results,
-    searchError,
-    kitTextures,
-    pageTitle: "Search Players",
-    navActive: "search",
-    maxResults: MAX_SEARCH_RESULTS,
-    navSearchQuery: query,
-  });
+    await clearLoginFailures("users", user);
+    await establishSession(req, { user: { id: user.id, email: user.email } });
+    res.redirect("/account");
+  } catch (error) {
+    console.error("Failed to log in user", error);
+    render("Login is temporarily unavailable.");
+  }
 });
 
-app.get("/terms", (req, res) => {
-  res.render("terms", { pageTitle: "Terms of Service", navActive: null });
-});
+app.get("/logout", (req, res) => req.session.destroy(() => res.redirect("/")));
 
-app.get("/privacy", (req, res) => {
-  res.render("privacy", { pageTitle: "Privacy Policy", navActive: null });
-});
+// -------------------- PASSWORD RESET --------------------
+const PASSWORD_RESET_SENT =
+  "If an account uses that email, we've sent it a link to reset the password. The link expires in 1 hour.";
+const PASSWORD_RESET_INVALID = "This reset link is invalid or has expired. Request a new one.";
+
+async function loadPasswordReset(token) {
+  const { data: reset, error } = await supabase
+    .from(PASSWORD_RESETS_TABLE)
+    .select("*, user:users(id, email)")
+    .eq("token_hash", hashToken(token))
+    .maybeSingle();
+  if (error) throw error;
+  if (!reset || !reset.user || reset.used_at || new Date(reset.expires_at) < new Date()) return null;
+  return reset;
+}
 
-app.get("/events", async (req, res) => {
-  let events = [];
-  let eventsError = null;
-  const kitFilter = (req.query.kit || "").trim();
-  let availableKits = [];
+app.get("/forgot-password", (_, res) =>
+  res.render("forgot-password", { error: null, message: null, pageTitle: "Reset Password", navActive: null })
+);
+app.post("/forgot-password", async (req, res) => {
+  const email = (req.body.email || "").trim();
+  const render = ({ error = null, message = null }, status = 200) =>
+    res.status(status).render("forgot-password", { error, message, pageTitle: "Reset Password", navActive: null });
+  const throttled = throttle(passwordResetLimiter, `reset:${req.ip}`);
+  if (throttled) return render({ error: throttled }, 429);
+  if (!email) return render({ error: "Enter the email you registered with." });
+  // Answer the same way whether or not the account exists (or the mail fails),
+  // and quietly stop mailing an address that is being flooded.
+  if (!passwordResetEmailLimiter.hit(email.toLowerCase()).allowed) return render({ message: PASSWORD_RESET_SENT });
 
   try {
-    const { data, error } = await supabase
-      .from(EVENTS_TABLE)
-      .select("id, name, game, kit, created_at")
-      .order("created_at", { ascending: false });
-
+    const { data: user, error } = await supabase.from("users").select("id, email").eq("email", email).maybeSingle();
     if (error) throw error;
-    const allEvents = data || [];
-    availableKits = Array.from(
-      new Set(allEvents.map(event => event.kit).filter(Boolean))
-    ).sort((a, b) => a.localeCompare(b));
-    events = kitFilter ? allEvents.filter(event => event.kit === kitFilter) : allEvents;
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex");
+      const { error: insertError } = await supabase.from(PASSWORD_RESETS_TABLE).insert([
+        {
+          user_id: user.id,
+          token_hash: hashToken(token),
+          expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString(),
+          requested_ip: req.ip,
+        },
+      ]);
+      if (insertError) throw insertError;
+
+      await mailer.send({
+        to: user.email,
+        subject: "Reset your RankTiers password",
+        text: [
+          "Someone asked to reset the password for your RankTiers account.",
+          "",
+          `Choose a new password here (the link expires in 1 hour): ${absoluteUrl(req, `/reset-password/${token}`)}`,
+          "",
+          "If this wasn't you, ignore this email and your password will stay the same.",
+        ].join("\n"),
+      });
+    }
   } catch (error) {
-    console.error("Failed to load events", error);
-    eventsError = "Unable to load events right now. Please try again later.";
+    console.error("Failed to send password reset email", error);
   }
+  render({ message: PASSWORD_RESET_SENT });
+});
 
-  const kitTextures = buildKitTextureMap(
-    (availableKits.length > 0 ? availableKits : (events || []).map(event => event.kit)).filter(Boolean)
-  );
-
-  res.render("events", {
-    events,
-    eventsError,
-    kitTextures,
-    kitFilter,
-    availableKits,
-    pageTitle: "Events",
-    navActive: "events",
+app.get("/reset-password/:token", async (req, res) => {
+  let reset = null;
+  try {
+    reset = await loadPasswordReset(req.params.token);
+  } catch (error) {
+    console.error("Failed to load password reset", error);
+  }
+  res.render("reset-password", {
+    valid: Boolean(reset),
+    error: reset ? null : PASSWORD_RESET_INVALID,
+    pageTitle: "Reset Password",
+    navActive: null,
   });
 });
 
-app.get("/events/:id", async (req, res) => {
-  const eventId = req.params.id;
-  let event;
-
+app.post("/reset-password/:token", async (req, res) => {
+  const { password, confirm } = req.body;
+  let reset = null;
+  try {
+    reset = await loadPasswordReset(req.params.token);
+  } catch (error) {
+    console.error("Failed to load password reset", error);
+  }
+  const renderError = error =>
+    res.render("reset-password", { valid: Boolean(reset), error, pageTitle: "Reset Password", navActive: null });
+  if (!reset) return renderError(PASSWORD_RESET_INVALID);
+  const passwordError = validatePassword(password, { identifier: reset.user.email });
+  if (passwordError) return renderError(passwordError);
+  if (password !== confirm) return renderError("Passwords don't match.");
+
+  const usedAt = new Date().toISOString();
+  let claimed = null;
   try {
     const { data, error } = await supabase
-      .from(EVENTS_TABLE)
-      .select("*")
-      .eq("id", eventId)
+      .from(PASSWORD_RESETS_TABLE)
+      .update({ used_at: usedAt })
+      .eq("id", reset.id)
+      .is("used_at", null)
+      .select()
       .maybeSingle();
     if (error) throw error;
-    event = data;
+    claimed = data;
+    if (!claimed) return renderError(PASSWORD_RESET_INVALID);
+
+    const password_hash = await bcrypt.hash(password, 10);
+    const { error: userError } = await supabase
+      .from("users")
+      .update({ password_hash, failed_login_count: 0, locked_until: null })
+      .eq("id", reset.user_id);
+    if (userError) throw userError;
   } catch (error) {
-    console.error("Failed to fetch event", error);
-    const statusCode = error?.status === 408 ? 504 : 500;
-    return res.status(statusCode).send(statusCode === 504 ? "Event data request timed out." : "Unable to load event.");
+    console.error("Failed to reset password", error);
+    if (claimed) await supabase.from(PASSWORD_RESETS_TABLE).update({ used_at: null }).eq("id", reset.id);
+    return renderError("Could not save your new password. Please try again.");
   }
 
-  if (!event) return res.status(404).send("Event not found");
+  // Retire the user's other reset links and sign out every existing session.
+  const { error: retireError } = await supabase
+    .from(PASSWORD_RESETS_TABLE)
+    .update({ used_at: usedAt })
+    .eq("user_id", reset.user_id)
+    .is("used_at", null);
+  if (retireError) console.error("Failed to retire password reset links", retireError);
+  const { error: sessionsError } = await supabase.from(SESSIONS_TABLE).delete().eq("sess->user->>id", reset.user_id);
+  if (sessionsError) console.error("Failed to sign out sessions after password reset", sessionsError);
+
+  if (req.session.user?.id === reset.user_id) req.session.user = null;
+  res.redirect("/login?reset=1");
+});
 
-  const bracket = parseBracket(event.bracket);
-  let eventRecords = [];
-  let viewError = null;
+// -------------------- ACCOUNT LINKING --------------------
+app.get("/account", requireAuth, async (req, res) => {
+  const { data: linked } = await supabase
+    .from("user_linked_accounts")
+    .select("*")
+    .eq("user_id", req.session.user.id);
 
-  try {
-    const { data, error } = await supabase
-      .from(PLAYER_EVENT_RECORDS_TABLE)
-      .select("player_id, wins, losses, players(username)")
-      .eq("event_id", eventId);
+  const games = res.locals.navGames;
 
-    if (error) throw error;
-    if (data) eventRecords = data;
-  } catch (recordsError) {
-    console.error("Failed to fetch event records", recordsError);
-    viewError = recordsError?.status === 408
-      ? "Participant data timed out. Please refresh to try again."
-      : "Participant records are temporarily unavailable.";
+  const { data: submissions } = await supabase
+    .from(SUBMISSIONS_TABLE)
+    .select("id, player_name, game, kit, tier, points, status, review_note, submitter_response, created_at, reviewed_at")
+    .eq("user_id", req.session.user.id)
+    .order("created_at", { ascending: false });
+
+  const { data: discordLink } = await supabase
+    .from(DISCORD_LINKS_TABLE)
+    .select("discord_id, discord_username, linked_at")
+    .eq("user_id", req.session.user.id)
+    .maybeSingle();
+
+  const { data: tierTests } = await supabase
+    .from(TIER_TESTS_TABLE)
+    .select("id, game, kit, status, previous_tier, result_tier, notes, requested_at, completed_at, tester:staff_accounts(username)")
+    .eq("user_id", req.session.user.id)
+    .order("requested_at", { ascending: false });
+
+  // Tier tests need proven ownership, so only games with a verified link offer them.
+  const verifiedGames = games.filter(game => (linked || []).some(account => account.game === game.name && account.verified));
+  let testGames = [];
+  try {
+    testGames = await Promise.all(verifiedGames.map(async game => ({ name: game.name, kits: await listKits(game.name) })));
+  } catch (error) {
+    console.error("Failed to load kits for tier tests", error);
   }
 
-  res.render("event", {
-    event,
-    bracket,
-    adminView: false,
-    records: eventRecords,
-    adminMessage: null,
-    adminError: null,
-    eventError: viewError,
-    admin: req.session.admin || null,
-    pageTitle: event.name,
-    navActive: "events",
-    kitTexture: event.kit ? resolveKitTextureUrl(event.kit) : null,
+  const accountMessage = req.session.accountMessage || null;
+  const accountError = req.session.accountError || null;
+  req.session.accountMessage = null;
+  req.session.accountError = null;
+
+  res.render("account", {
+    linked: linked || [],
+    games,
+    submissions: submissions || [],
+    tierTests: tierTests || [],
+    testGames,
+    canRequestTest: verifiedGames.length > 0,
+    testCooldownDays: TIER_TEST_COOLDOWN_DAYS,
+    discordLink: discordLink || null,
+    discordConfigured: isDiscordOAuthConfigured(),
+    message: accountMessage,
+    error: accountError,
+    pageTitle: "Account",
+    navActive: null,
   });
 });
 
-app.get("/game/:name", async (req, res) => {
-  const { name } = req.params;
-  const { data: allStats } = await supabase
-    .from("player_stats")
-    .select("player_id, kit, tier, points, players(username)")
-    .eq("game", name);
-
-  if (!allStats || allStats.length === 0)
-    return res.render("game", {
-      stats: [],
-      gameName: name,
-      userLinked: [],
-      kitTextures: {},
-      pageTitle: `${name} Leaderboard`,
-      navActive: "leaderboard",
-    });
+const VERIFICATION_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const VERIFICATION_CODE_TTL_MS = 15 * 60 * 1000;
+const VERIFICATION_CODE_ATTEMPTS = 5;
 
-  const map = {};
-  allStats.forEach(stat => {
-    const pid = stat.player_id;
-    if (!map[pid]) map[pid] = { players: stat.players, total_points: 0, kits: [] };
-    map[pid].total_points += stat.points;
-    map[pid].kits.push({ kit: stat.kit, tier: stat.tier });
-  });
-  const stats = Object.values(map).sort((a, b) => b.total_points - a.total_points);
+function isVerificationCodeCollision(error) {
+  return error?.code === "23505" && String(error.message || "").includes("user_linked_accounts_code_idx");
+}
 
-  const kitNames = new Set();
-  stats.forEach(entry => {
-    (entry.kits || []).forEach(kit => {
-      if (kit?.kit) kitNames.add(kit.kit);
-    });
-  });
+function generateVerificationCode(length = 6) {
+  let code = "";
+  for (let i = 0; i < length; i += 1) code += VERIFICATION_CODE_ALPHABET[crypto.randomInt(VERIFICATION_CODE_ALPHABET.length)];
+  return code;
+}
 
-  let userLinked = [];
-  if (req.session.user) {
-    const { data } = await supabase
-      .from("user_linked_accounts")
-      .select("*")
-      .eq("user_id", req.session.user.id)
-      .eq("game", name);
-    userLinked = data || [];
-  }
+function normalizeMinecraftUUID(uuid = "") {
+  return String(uuid).replace(/-/g, "").toLowerCase();
+}
 
-  res.render("game", {
-    stats,
-    gameName: name,
-    userLinked,
-    kitTextures: buildKitTextureMap([...kitNames]),
-    pageTitle: `${name} Leaderboard`,
-    navActive: "leaderboard",
-  });
-});
+// Games without in-game verification keep the name as a self-reported link.
+async function saveSelfReportedLink(userId, game, game_username) {
+  const { data: existing, error: existingError } = await supabase
+    .from("user_linked_accounts")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("game", game.name)
+    .maybeSingle();
+  if (existingError) throw existingError;
+
+  const fields = { game_username, game_id: null, player_id: null, verified: false, verified_at: null };
+  const { error } = existing
+    ? await supabase.from("user_linked_accounts").update(fields).eq("id", existing.id)
+    : await supabase.from("user_linked_accounts").insert([{ user_id: userId, game: game.name, ...fields }]);
+  if (error) throw error;
+}
 
-// -------------------- PROFILE --------------------
-app.get("/profile/:username", async (req, res) => {
-  const { username } = req.params;
-  const { data: player } = await supabase.from("players").select("*").eq("username", username).single();
-  if (!player) return res.status(404).send("Player not found");
+// Starts (or restarts) ownership verification. The link stays unverified, with
+// game_id empty, until the server plugin confirms the code from that account.
+app.post("/account/link", requireAuth, async (req, res) => {
+  const game_username = (req.body.game_username || "").trim();
+  if (!req.body.game || !game_username) return res.redirect("/account");
 
-  const { data: stats } = await supabase
-    .from("player_stats")
-    .select("game, kit, tier, points")
-    .eq("player_id", player.id)
-    .order("points", { ascending: false });
+  let gameConfig = null;
+  try {
+    gameConfig = await gameCatalog.findGame(req.body.game);
+  } catch (error) {
+    console.error("Failed to load game for linking", error);
+  }
+  if (!gameConfig) {
+    req.session.accountError = "Choose a game to link.";
+    return res.redirect("/account");
+  }
+  const game = gameConfig.name;
+
+  if (!gameConfig.usernamePattern.test(game_username)) {
+    req.session.accountError = `That doesn't look like a valid ${gameConfig.accountLabel}.`;
+    return res.redirect("/account");
+  }
+
+  if (gameConfig.verification !== "minecraft") {
+    try {
+      await saveSelfReportedLink(req.session.user.id, gameConfig, game_username);
+      req.session.accountMessage = `Saved ${game_username} as your ${game} account. ${game} accounts can't be verified automatically, so it's listed as self-reported.`;
+    } catch (error) {
+      console.error("Failed to link account", error);
+      req.session.accountError = "Could not link that account. Please try again.";
+    }
+    return res.redirect("/account");
+  }
+
+  const uuid = await getMinecraftUUID(game_username);
+  if (!uuid) {
+    req.session.accountError = `No Minecraft account named ${game_username} was found.`;
+    return res.redirect("/account");
+  }
+
+  try {
+    const { data: claimed, error: claimedError } = await supabase
+      .from("user_linked_accounts")
+      .select("user_id")
+      .eq("game", game)
+      .eq("game_id", normalizeMinecraftUUID(uuid))
+      .eq("verified", true)
+      .maybeSingle();
+    if (claimedError) throw claimedError;
+    if (claimed && claimed.user_id !== req.session.user.id) {
+      req.session.accountError = `${game_username} has already been verified by another account.`;
+      return res.redirect("/account");
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from("user_linked_accounts")
+      .select("*")
+      .eq("user_id", req.session.user.id)
+      .eq("game", game)
+      .maybeSingle();
+    if (existingError) throw existingError;
+
+    if (existing?.verified && existing.game_id === normalizeMinecraftUUID(uuid)) {
+      if (existing.game_username !== game_username)
+        await supabase.from("user_linked_accounts").update({ game_username }).eq("id", existing.id);
+      req.session.accountMessage = `${game_username} is already verified.`;
+      return res.redirect("/account");
+    }
+
+    // Codes are unique (user_linked_accounts_code_idx), so a collision draws a fresh one.
+    let code = null;
+    for (let attempt = 1; !code; attempt += 1) {
+      const candidate = generateVerificationCode();
+      const fields = {
+        game_username,
+        game_id: null,
+        player_id: null,
+        verified: false,
+        verified_at: null,
+        verification_uuid: normalizeMinecraftUUID(uuid),
+        verification_code: candidate,
+        verification_expires_at: new Date(Date.now() + VERIFICATION_CODE_TTL_MS).toISOString(),
+      };
+
+      const { error } = existing
+        ? await supabase.from("user_linked_accounts").update(fields).eq("id", existing.id)
+        : await supabase.from("user_linked_accounts").insert([{ user_id: req.session.user.id, game, ...fields }]);
+      if (!error) code = candidate;
+      else if (!isVerificationCodeCollision(error) || attempt >= VERIFICATION_CODE_ATTEMPTS) throw error;
+    }
+
+    req.session.accountMessage = `Join ${MINECRAFT_SERVER_IP} as ${game_username} and type /verify ${code} to finish linking.`;
+  } catch (error) {
+    console.error("Failed to start account verification", error);
+    req.session.accountError = "Could not link that account. Please try again.";
+  }
+  res.redirect("/account");
+});
+
+app.post("/account/submissions/:id/respond", requireAuth, async (req, res) => {
+  const response = (req.body.response || "").trim();
+  if (!response) {
+    req.session.accountError = "Please include the requested information.";
+    return res.redirect("/account");
+  }
+
+  const { data: updated, error } = await supabase
+    .from(SUBMISSIONS_TABLE)
+    .update({ status: "pending", submitter_response: response, responded_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .eq("user_id", req.session.user.id)
+    .eq("status", "needs_info")
+    .select("id")
+    .maybeSingle();
+
+  if (error || !updated) {
+    if (error) console.error("Failed to respond to submission", error);
+    req.session.accountError = "That submission is no longer waiting on more information.";
+  } else {
+    req.session.accountMessage = "Thanks! Your submission is back in the review queue.";
+  }
+  res.redirect("/account");
+});
+
+// -------------------- DISCORD LINKING --------------------
+function isDiscordOAuthConfigured() {
+  return Boolean(DISCORD_OAUTH.clientId && DISCORD_OAUTH.clientSecret && DISCORD_OAUTH.redirectUri);
+}
+
+async function exchangeDiscordCode(code) {
+  const tokenRes = await fetchWithTimeout(`${DISCORD_API_BASE}/oauth2/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: DISCORD_OAUTH.clientId,
+      client_secret: DISCORD_OAUTH.clientSecret,
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: DISCORD_OAUTH.redirectUri,
+    }).toString(),
+  });
+  if (!tokenRes.ok) throw new Error(`Discord token exchange failed with ${tokenRes.status}`);
+  const { access_token: accessToken } = await tokenRes.json();
+
+  const userRes = await fetchWithTimeout(`${DISCORD_API_BASE}/users/@me`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!userRes.ok) throw new Error(`Discord user lookup failed with ${userRes.status}`);
+  return userRes.json();
+}
+
+app.get("/account/discord", requireAuth, (req, res) => {
+  if (!isDiscordOAuthConfigured()) {
+    req.session.accountError = "Discord linking is not available right now.";
+    return res.redirect("/account");
+  }
+
+  const state = crypto.randomBytes(16).toString("hex");
+  req.session.discordOAuthState = state;
+  const params = new URLSearchParams({
+    client_id: DISCORD_OAUTH.clientId,
+    redirect_uri: DISCORD_OAUTH.redirectUri,
+    response_type: "code",
+    scope: "identify",
+    state,
+    prompt: "none",
+  });
+  res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+});
+
+app.get("/account/discord/callback", requireAuth, async (req, res) => {
+  const expectedState = req.session.discordOAuthState;
+  req.session.discordOAuthState = null;
+
+  if (req.query.error) {
+    req.session.accountError = "Discord linking was cancelled.";
+    return res.redirect("/account");
+  }
+  if (!expectedState || req.query.state !== expectedState || !req.query.code) {
+    req.session.accountError = "Discord linking expired. Please try again.";
+    return res.redirect("/account");
+  }
+
+  try {
+    const discordUser = await exchangeDiscordCode(String(req.query.code));
+    const { error } = await supabase.from(DISCORD_LINKS_TABLE).upsert(
+      {
+        user_id: req.session.user.id,
+        discord_id: discordUser.id,
+        discord_username: discordUser.global_name || discordUser.username,
+        linked_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    );
+    if (error) {
+      if (error.code === "23505") {
+        req.session.accountError = "That Discord account is already linked to another RankTiers account.";
+        return res.redirect("/account");
+      }
+      throw error;
+    }
+    req.session.accountMessage = "Discord linked! Your tier roles will update shortly.";
+  } catch (error) {
+    console.error("Failed to link Discord account", error);
+    req.session.accountError = "Could not link your Discord account. Please try again.";
+  }
+  res.redirect("/account");
+});
+
+app.post("/account/discord/unlink", requireAuth, async (req, res) => {
+  const { error } = await supabase.from(DISCORD_LINKS_TABLE).delete().eq("user_id", req.session.user.id);
+  if (error) {
+    console.error("Failed to unlink Discord account", error);
+    req.session.accountError = "Could not unlink your Discord account.";
+  } else {
+    req.session.accountMessage = "Discord unlinked. Your tier roles will be removed.";
+  }
+  res.redirect("/account");
+});
+
+// -------------------- MINECRAFT VERIFICATION --------------------
+// Called by the server plugin when a player runs /verify <code>. The plugin
+// authenticates with MINECRAFT_VERIFY_SECRET and sends the UUID the server saw.
+function hasMinecraftVerifySecret(req) {
+  const secret = process.env.MINECRAFT_VERIFY_SECRET;
+  const header = req.get("authorization") || "";
+  const provided = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!secret || !provided) return false;
+  const expected = crypto.createHash("sha256").update(secret).digest();
+  const actual = crypto.createHash("sha256").update(provided).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+app.post("/minecraft/verify", express.json(), async (req, res) => {
+  if (!process.env.MINECRAFT_VERIFY_SECRET) return res.status(503).json({ error: "Verification is not configured." });
+  if (!hasMinecraftVerifySecret(req)) return res.status(401).json({ error: "Invalid verification secret." });
+
+  const code = String(req.body?.code || "").trim().toUpperCase();
+  const uuid = normalizeMinecraftUUID(req.body?.uuid);
+  if (!code || !uuid) return res.status(400).json({ error: "Both code and uuid are required." });
+
+  try {
+    const { data: link, error } = await supabase
+      .from("user_linked_accounts")
+      .select("*")
+      .eq("verification_code", code)
+      .maybeSingle();
+    // PGRST116: more than one link holds the code, which the unique index rules out
+    // unless the migration hasn't run. Refuse rather than guess whose link it is.
+    if (error?.code === "PGRST116")
+      return res.status(409).json({ error: "That code can't be used. Generate a new one on the website." });
+    if (error) throw error;
+
+    if (!link || new Date(link.verification_expires_at) < new Date())
+      return res.status(404).json({ error: "That code is invalid or has expired. Generate a new one on the website." });
+    if (link.verification_uuid !== uuid)
+      return res.status(409).json({ error: `That code was issued for ${link.game_username}, not this account.` });
+
+    const { data: player } = await supabase
+      .from("players")
+      .select("id, minecraft_uuid")
+      .eq("username", link.game_username)
+      .maybeSingle();
+
+    const { error: updateError } = await supabase
+      .from("user_linked_accounts")
+      .update({
+        game_id: uuid,
+        player_id: player?.id || null,
+        verified: true,
+        verified_at: new Date().toISOString(),
+        verification_uuid: null,
+        verification_code: null,
+        verification_expires_at: null,
+      })
+      .eq("id", link.id);
+    if (updateError) {
+      if (updateError.code === "23505")
+        return res.status(409).json({ error: "This Minecraft account is already verified by another user." });
+      throw updateError;
+    }
+
+    if (player && !player.minecraft_uuid)
+      await supabase.from("players").update({ minecraft_uuid: uuid }).eq("id", player.id);
+
+    res.json({ verified: true, username: link.game_username });
+  } catch (error) {
+    console.error("Failed to verify Minecraft account", error);
+    res.status(500).json({ error: "Verification failed. Please try again." });
+  }
+});
+
+// -------------------- ADMIN --------------------
+app.get("/admin/login", (_, res) => res.render("admin-login", { error: null, pageTitle: "Admin Login", navActive: null }));
+app.post("/admin/login", async (req, res) => {
+  const username = (req.body.username || "").trim();
+  const { password } = req.body;
+  const fail = (error = "Invalid credentials", status = 200) =>
+    res.status(status).render("admin-login", { error, pageTitle: "Admin Login", navActive: null });
+  const throttled = throttle(loginLimiter, `admin-login:${req.ip}`);
+  if (throttled) return fail(throttled, 429);
+  if (!username || !password) return fail();
+
+  try {
+    const { data: staff, error } = await supabase.from(STAFF_TABLE).select("*").eq("username", username).maybeSingle();
+    if (error) throw error;
+
+    let account = null;
+    if (staff) {
+      if (lockoutRemainingMs(staff)) return fail(lockoutMessage(staff), 429);
+      if (staff.active && staff.password_hash) {
+        if (await bcrypt.compare(password, staff.password_hash)) account = staff;
+        else await recordLoginFailure(STAFF_TABLE, staff);
+      }
+    } else {
+      account = await bootstrapOwnerAccount(username, password);
+    }
+    if (!account) return fail();
+
+    await supabase
+      .from(STAFF_TABLE)
+      .update({ last_login_at: new Date().toISOString(), failed_login_count: 0, locked_until: null })
+      .eq("id", account.id);
+    await establishSession(req, { admin: { id: account.id, username: account.username, role: account.role } });
+    res.redirect(staffHome(account));
+  } catch (error) {
+    console.error("Failed to log in staff account", error);
+    res.render("admin-login", { error: "Login is temporarily unavailable.", pageTitle: "Admin Login", navActive: null });
+  }
+});
+app.get("/admin/logout", (req, res) => {
+  req.session.admin = null;
+  res.redirect("/admin/login");
+});
+
+const SUBMISSION_PAGE_SIZE = 50;
+
+app.get("/admin/overview", requireAdmin("submissions"), async (req, res) => {
+  const statusFilter = SUBMISSION_STATUSES.includes(req.query.status) ? req.query.status : "pending";
+  const gameFilter = res.locals.navGames.find(game => game.name === req.query.game)?.name || null;
+
+  const requestedPage = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  let submissions = [];
+  let queueError = null;
+  const statusCounts = SUBMISSION_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  try {
+    const inGame = query => (gameFilter ? query.eq("game", gameFilter) : query);
+    const counts = await Promise.all(
+      SUBMISSION_STATUSES.map(status =>
+        inGame(supabase.from(SUBMISSIONS_TABLE).select("id", { count: "exact", head: true }).eq("status", status))
+      )
+    );
+    counts.forEach(({ count, error }, index) => {
+      if (error) throw error;
+      statusCounts[SUBMISSION_STATUSES[index]] = count || 0;
+    });
+
+    // Open queues are worked oldest first; reviewed ones show the latest decisions first.
+    const offset = (requestedPage - 1) * SUBMISSION_PAGE_SIZE;
+    const { data, error } = await inGame(supabase.from(SUBMISSIONS_TABLE).select("*").eq("status", statusFilter))
+      .order("created_at", { ascending: OPEN_SUBMISSION_STATUSES.includes(statusFilter) })
+      .range(offset, offset + SUBMISSION_PAGE_SIZE - 1);
+    if (error) throw error;
+    submissions = data || [];
+  } catch (error) {
+    console.error("Failed to load submissions", error);
+    queueError = "Submissions are temporarily unavailable.";
+  }
+
+  const adminMessage = req.session.adminMessage || null;
+  const adminError = req.session.adminError || queueError;
+  req.session.adminMessage = null;
+  req.session.adminError = null;
+
+  res.render("admin-submissions", {
+    submissions,
+    statusFilter,
+    gameFilter,
+    games: res.locals.navGames,
+    statusCounts,
+    page: requestedPage,
+    totalPages: Math.max(1, Math.ceil((statusCounts[statusFilter] || 0) / SUBMISSION_PAGE_SIZE)),
+    SUBMISSION_STATUSES,
+    adminMessage,
+    adminError,
+    pageTitle: "Submission Queue",
+    navActive: null,
+  });
+});
+
+app.post("/admin/submissions/:id/approve", requireAdmin("submissions"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const submission = await transitionSubmission(id, {
+      status: "approved",
+      review_note: req.body.note?.trim() || null,
+      reviewed_by: req.session.admin.username,
+      reviewed_at: new Date().toISOString(),
+    });
+    if (!submission) {
+      req.session.adminError = "This submission has already been reviewed.";
+      return res.redirect("/admin/overview");
+    }
+
+    try {
+      const { player, stat, previous } = await applyApprovedSubmission(submission);
+      if (!submission.player_id) {
+        await supabase.from(SUBMISSIONS_TABLE).update({ player_id: player.id }).eq("id", submission.id);
+      }
+      await recordAudit(req, {
+        action: "submission.approve",
+        table: SUBMISSIONS_TABLE,
+        targetId: submission.id,
+        playerId: player.id,
+        before: previous ? { kit: previous.kit, tier: previous.tier, points: previous.points } : null,
+        after: { kit: stat.kit, tier: stat.tier, points: stat.points, review_note: submission.review_note },
+      });
+    } catch (applyError) {
+      await supabase
+        .from(SUBMISSIONS_TABLE)
+        .update({ status: "pending", reviewed_by: null, reviewed_at: null })
+        .eq("id", submission.id);
+      throw applyError;
+    }
+
+    req.session.adminMessage = `Approved ${submission.player_name}'s ${submission.kit} ${submission.tier} submission.`;
+  } catch (error) {
+    console.error("Failed to approve submission", error);
+    req.session.adminError = error?.message ? `Failed to approve submission: ${error.message}` : "Failed to approve submission.";
+  }
+  res.redirect("/admin/overview");
+});
+
+app.post("/admin/submissions/:id/reject", requireAdmin("submissions"), async (req, res) => {
+  const { id } = req.params;
+  const reason = (req.body.reason || "").trim();
+  if (!reason) {
+    req.session.adminError = "A rejection reason is required so the submitter knows what to fix.";
+    return res.redirect("/admin/overview");
+  }
+
+  try {
+    const submission = await transitionSubmission(id, {
+      status: "rejected",
+      review_note: reason,
+      reviewed_by: req.session.admin.username,
+      reviewed_at: new Date().toISOString(),
+    });
+    if (submission)
+      await recordAudit(req, {
+        action: "submission.reject",
+        table: SUBMISSIONS_TABLE,
+        targetId: submission.id,
+        playerId: submission.player_id,
+        after: { status: submission.status, review_note: submission.review_note },
+      });
+    req.session.adminMessage = submission ? `Rejected ${submission.player_name}'s submission.` : null;
+    req.session.adminError = submission ? null : "This submission has already been reviewed.";
+  } catch (error) {
+    console.error("Failed to reject submission", error);
+    req.session.adminError = "Failed to reject submission.";
+  }
+  res.redirect("/admin/overview");
+});
+
+// Proofs are never served statically; only reviewers can fetch them, and the
+// response headers keep a disguised file from running as a page.
+app.get("/admin/submissions/:id/proof", requireAdmin("submissions"), async (req, res) => {
+  try {
+    const { data: submission, error } = await supabase
+      .from(SUBMISSIONS_TABLE)
+      .select("id, screenshot")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!submission?.screenshot) return res.status(404).send("Proof not found.");
+
+    const name = req.query.size === "thumb" ? proofThumbName(submission.screenshot) : submission.screenshot;
+    const proof = await proofStorage.read(name);
+    if (!proof) return res.status(404).send("Proof not found.");
+
+    res.set({
+      "Content-Type": proof.contentType,
+      "Cache-Control": "private, max-age=300",
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "default-src 'none'; sandbox",
+    });
+    if (!proof.contentType.startsWith("image/")) res.attachment(path.basename(name));
+    res.send(proof.buffer);
+  } catch (error) {
+    console.error("Failed to load proof", error);
+    res.status(500).send("Failed to load proof.");
+  }
+});
+
+app.post("/admin/submissions/:id/request-info", requireAdmin("submissions"), async (req, res) => {
+  const { id } = req.params;
+  const message = (req.body.message || "").trim();
+  if (!message) {
+    req.session.adminError = "Describe what additional information is needed.";
+    return res.redirect("/admin/overview");
+  }
+
+  try {
+    const submission = await transitionSubmission(id, {
+      status: "needs_info",
+      review_note: message,
+      reviewed_by: req.session.admin.username,
+      reviewed_at: new Date().toISOString(),
+    });
+    if (submission)
+      await recordAudit(req, {
+        action: "submission.request_info",
+        table: SUBMISSIONS_TABLE,
+        targetId: submission.id,
+        playerId: submission.player_id,
+        after: { status: submission.status, review_note: submission.review_note },
+      });
+    req.session.adminMessage = submission ? `Requested more information from ${submission.player_name}.` : null;
+    req.session.adminError = submission ? null : "This submission has already been reviewed.";
+  } catch (error) {
+    console.error("Failed to request submission info", error);
+    req.session.adminError = "Failed to update submission.";
+  }
+  res.redirect("/admin/overview");
+});
+
+// Reads the game settings form shared by add and update. Blank fields fall back to
+// the defaults in games.js (the standard ladder, free-text kits, no avatar).
+function readGameForm(body) {
+  const name = (body.name || "").trim();
+  if (!name) return { error: "Games need a name." };
+  const slug = slugifyGameName(name);
+  if (!slug) return { error: "Game names need at least one letter or number." };
+
+  const usernamePattern = (body.username_pattern || "").trim();
+  if (usernamePattern) {
+    try {
+      new RegExp(usernamePattern, "u");
+    } catch {
+      return { error: "The username pattern is not a valid regular expression." };
+    }
+  }
+  const avatarProvider = AVATAR_PROVIDERS[body.avatar_provider] ? body.avatar_provider : "none";
+  const avatarTemplate = (body.avatar_template || "").trim();
+  if (avatarProvider === "template" && !/^https:\/\/\S*\{username\}/.test(avatarTemplate)) {
+    return { error: "Avatar templates must be an https URL containing {username}." };
+  }
+  const tiers = parseGameList(body.tiers);
+  const kits = parseGameList(body.kits);
+
+  return {
+    fields: {
+      name,
+      slug,
+      tiers: tiers.length > 0 ? tiers : null,
+      kits: kits.length > 0 ? kits : null,
+      avatar_provider: avatarProvider,
+      avatar_template: avatarTemplate || null,
+      link_verification: LINK_VERIFICATIONS[body.link_verification] ? body.link_verification : "none",
+      account_label: (body.account_label || "").trim() || null,
+      username_pattern: usernamePattern || null,
+    },
+  };
+}
+
+app.post("/admin/game/add", requireAdmin("ladder"), async (req, res) => {
+  const { fields, error: formError } = readGameForm(req.body);
+  if (formError) {
+    req.session.adminError = formError;
+    return res.redirect("/admin/dashboard");
+  }
+  const { data: game, error } = await supabase.from("games").insert([fields]).select().maybeSingle();
+  if (error) {
+    console.error("Failed to add game", error);
+    req.session.adminError = "Could not add that game. Names must be unique.";
+  } else if (game) {
+    await recordAudit(req, { action: "game.add", table: "games", targetId: game.id, after: game });
+  }
+  gameCatalog.invalidate();
+  res.redirect("/admin/dashboard");
+});
+
+app.post("/admin/game/:id/update", requireAdmin("ladder"), async (req, res) => {
+  const { fields, error: formError } = readGameForm(req.body);
+  if (formError) {
+    req.session.adminError = formError;
+    return res.redirect("/admin/dashboard");
+  }
+  const { data: before } = await supabase.from("games").select("*").eq("id", req.params.id).maybeSingle();
+  if (!before) return res.redirect("/admin/dashboard");
+  // Renaming would orphan player_stats and events, which reference games by name.
+  if (fields.name !== before.name) {
+    req.session.adminError = "Games can't be renamed once created.";
+    return res.redirect("/admin/dashboard");
+  }
+
+  const { data: game, error } = await supabase
+    .from("games")
+    .update(fields)
+    .eq("id", req.params.id)
+    .select()
+    .maybeSingle();
+  if (error) {
+    console.error("Failed to update game", error);
+    req.session.adminError = "Could not save that game.";
+  } else {
+    await recordAudit(req, { action: "game.update", table: "games", targetId: before.id, before, after: game });
+    req.session.adminMessage = `${before.name} updated.`;
+  }
+  gameCatalog.invalidate();
+  invalidateLeaderboards();
+  res.redirect("/admin/dashboard");
+});
+
+// -------------------- MAIN PAGES --------------------
+// Remembers the navbar game pick; leaderboard pages jump to the new game's leaderboard.
+app.get("/games/switch", async (req, res) => {
+  let game = null;
+  try {
+    game = await gameCatalog.findGame(req.query.game);
+  } catch (error) {
+    console.error("Failed to switch game", error);
+  }
+  if (game) req.session.game = game.name;
+
+  const next = typeof req.query.next === "string" && /^\/(?![/\\])/.test(req.query.next) ? req.query.next : "/";
+  if (game && next.startsWith("/game/")) return res.redirect(`/game/${encodeURIComponent(game.name)}`);
+  res.redirect(next);
+});
+
+app.get("/", async (req, res) => {
+  const game = res.locals.currentGame;
+
+  let linkedAccounts = [];
+  if (req.session.user) {
+    try {
+      const { data, error } = await supabase
+        .from("user_linked_accounts")
+        .select("*")
+        .eq("user_id", req.session.user.id)
+        .eq("game", game.name);
+      if (error) throw error;
+      linkedAccounts = data || [];
+    } catch (error) {
+      console.error("Failed to load linked accounts", error);
+    }
+  }
+
+  let upcomingEvent = null;
+  let upcomingEventTextures = {};
+  let spotlightPlayers = [];
+  let spotlightKitTextures = {};
+  try {
+    const { data, error } = await supabase
+      .from(EVENTS_TABLE)
+      .select("id, name, kit, status, starts_at, check_in_minutes, created_at")
+      .eq("game", game.name)
+      .in("status", ["registration", "check_in", "live"])
+      .order("starts_at", { ascending: true, nullsFirst: false })
+      .limit(1);
+    if (error) throw error;
+    if (data && data.length > 0) {
+      upcomingEvent = { ...data[0], status: effectiveEventStatus(data[0]) };
+      upcomingEventTextures = buildKitTextureMap([upcomingEvent.kit]);
+    }
+  } catch (error) {
+    console.error("Failed to load featured event", error);
+  }
+
+  try {
+    const { entries } = await loadLeaderboardPage(game.name, { perPage: 3 });
+    const sorted = entries.map(entry => ({
+      playerId: entry.player_id,
+      player: entry.players,
+      totalPoints: entry.total_points,
+      kits: entry.kits.map(kit => kit.kit).filter(Boolean),
+    }));
+
+    const withUsernames = sorted.filter(entry => entry.player?.username);
+
+    const kitNames = new Set();
+    spotlightPlayers = withUsernames.map(entry => {
+      const username = entry.player.username;
+      const renderUrl = avatarUrlFor(game, entry.player);
+      entry.kits.forEach(kit => {
+        if (kit) kitNames.add(kit);
+      });
+
+      return {
+        username,
+        totalPoints: entry.totalPoints,
+        kits: entry.kits,
+        renderUrl,
+        profileUrl: `/profile/${encodeURIComponent(username)}`,
+      };
+    });
+
+    spotlightKitTextures = buildKitTextureMap([...kitNames]);
+  } catch (error) {
+    console.error("Failed to load spotlight players", error);
+  }
+
+  res.render("index", {
+    games: res.locals.navGames,
+    game,
+    linkedAccounts,
+    upcomingEvent,
+    upcomingEventTextures,
+    spotlightPlayers,
+    spotlightKitTextures,
+    pageTitle: "Home",
+    navActive: "home",
+  });
+});
+
+// Reads the /search filters. The tier range is turned into the slice of the
+// game's ladder between the two ends, whichever order they were picked in.
+function parseSearchFilters(query, game) {
+  const kit = String(query.kit || "").trim();
+  const ladder = game.tiers;
+  const tierMin = ladder.includes(query.tier_min) ? query.tier_min : "";
+  const tierMax = ladder.includes(query.tier_max) ? query.tier_max : "";
+  let tiers = [];
+  if (tierMin || tierMax) {
+    const bounds = [tierMin ? ladder.indexOf(tierMin) : 0, tierMax ? ladder.indexOf(tierMax) : ladder.length - 1];
+    tiers = ladder.slice(Math.min(...bounds), Math.max(...bounds) + 1);
+  }
+  const points = value => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+  };
+  return { kit, tierMin, tierMax, tiers, minPoints: points(query.min_points), maxPoints: points(query.max_points) };
+}
+
+app.get("/search", async (req, res) => {
+  const query = String(req.query.q || "").trim().slice(0, 64);
+  // Game pages search their own game; otherwise the switcher's pick is used.
+  const game = (req.query.game && (await gameCatalog.findGame(req.query.game))) || res.locals.currentGame;
+  const filters = parseSearchFilters(req.query, game);
+  const hasFilters = Boolean(filters.kit || filters.tiers.length > 0 || filters.minPoints != null || filters.maxPoints != null);
+  const requestedPage = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let results = [];
+  let pagination = { page: 1, total: 0, totalPages: 1 };
+  let searchError = null;
+  let kitTextures = {};
+  let kits = [];
+
+  try {
+    kits = await listKits(game.name);
+  } catch (error) {
+    console.error("Failed to load kits", error);
+  }
+
+  if (query || hasFilters) {
+    try {
+      const search = await searchPlayers(game.name, {
+        query,
+        kit: filters.kit || null,
+        tiers: filters.tiers,
+        minPoints: filters.minPoints,
+        maxPoints: filters.maxPoints,
+        page: requestedPage,
+        perPage: SEARCH_PAGE_SIZE,
+      });
+      pagination = { page: search.page, total: search.total, totalPages: search.totalPages };
+
+      const standings = await loadPlayerStandings(game.name, search.players.map(player => player.id));
+
+      const kitNames = new Set();
+      results = search.players.map(player => {
+        const standing = standings.get(String(player.id));
+        const kits = (standing?.kits || []).map(kit => ({ kit: kit.kit, tier: kit.tier }));
+        kits.forEach(kit => {
+          if (kit?.kit) kitNames.add(kit.kit);
+        });
+        return {
+          username: player.username,
+          minecraftUsername: player.minecraft_username,
+          profileUrl: `/profile/${encodeURIComponent(player.username)}`,
+          renderUrl: avatarUrlFor(game, player),
+          totalPoints: standing?.total_points || 0,
+          bestTier: standing?.best_tier || null,
+          rank: standing?.rank || null,
+          kits,
+        };
+      });
+
+      kitTextures = buildKitTextureMap([...kitNames]);
+    } catch (error) {
+      console.error("Failed to search players", error);
+      searchError = "We couldn't load search results right now. Please try again later.";
+    }
+  }
+
+  res.render("search", {
+    query,
+    filters,
+    hasFilters,
+    kits,
+    tiers: game.tiers,
+    currentGame: game,
+    results,
+    pagination,
+    searchError,
+    kitTextures,
+    pageTitle: "Search Players",
+    navActive: "search",
+    navSearchQuery: query,
+  });
+});
+
+app.get("/terms", (req, res) => {
+  res.render("terms", { pageTitle: "Terms of Service", navActive: null });
+});
+
+app.get("/privacy", (req, res) => {
+  res.render("privacy", { pageTitle: "Privacy Policy", navActive: null });
+});
+
+app.get("/events", async (req, res) => {
+  let events = [];
+  let eventsError = null;
+  const kitFilter = (req.query.kit || "").trim();
+  let availableKits = [];
+
+  try {
+    const { data, error } = await supabase
+      .from(EVENTS_TABLE)
+      .select("id, name, game, kit, status, starts_at, check_in_minutes, created_at")
+      .in("status", PUBLIC_EVENT_STATUSES)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    const allEvents = (data || []).map(event => ({ ...event, status: effectiveEventStatus(event) }));
+    availableKits = Array.from(
+      new Set(allEvents.map(event => event.kit).filter(Boolean))
+    ).sort((a, b) => a.localeCompare(b));
+    events = kitFilter ? allEvents.filter(event => event.kit === kitFilter) : allEvents;
+  } catch (error) {
+    console.error("Failed to load events", error);
+    eventsError = "Unable to load events right now. Please try again later.";
+  }
+
+  const kitTextures = buildKitTextureMap(
+    (availableKits.length > 0 ? availableKits : (events || []).map(event => event.kit)).filter(Boolean)
+  );
+
+  res.render("events", {
+    events,
+    eventsError,
+    kitTextures,
+    kitFilter,
+    availableKits,
+    pageTitle: "Events",
+    navActive: "events",
+  });
+});
+
+app.get("/events/:id", async (req, res) => {
+  const eventId = req.params.id;
+  let event;
+
+  try {
+    const { data, error } = await supabase
+      .from(EVENTS_TABLE)
+      .select("*, seasons(name)")
+      .eq("id", eventId)
+      .maybeSingle();
+    if (error) throw error;
+    event = data;
+  } catch (error) {
+    console.error("Failed to fetch event", error);
+    const statusCode = error?.status === 408 ? 504 : 500;
+    return res.status(statusCode).send(statusCode === 504 ? "Event data request timed out." : "Unable to load event.");
+  }
+
+  if (!event || effectiveEventStatus(event) === "draft") return res.status(404).send("Event not found");
+
+  const bracket = parseBracket(event.bracket);
+  const status = effectiveEventStatus(event);
+  let eventRecords = [];
+  let registrations = [];
+  let viewerEntry = null;
+  let viewError = null;
+
+  try {
+    const { data, error } = await supabase
+      .from(PLAYER_EVENT_RECORDS_TABLE)
+      .select("player_id, wins, losses, place, place_to, points_awarded, players(username)")
+      .eq("event_id", eventId);
+
+    if (error) throw error;
+    if (data) eventRecords = data;
+  } catch (recordsError) {
+    console.error("Failed to fetch event records", recordsError);
+    viewError = recordsError?.status === 408
+      ? "Participant data timed out. Please refresh to try again."
+      : "Participant records are temporarily unavailable.";
+  }
+
+  try {
+    registrations = await loadEventRegistrations(eventId);
+    // Signed-in users see whether their verified account for this game can enter.
+    if (req.session.user && status !== "completed") {
+      const player = await loadVerifiedPlayer(req.session.user.id, event.game);
+      viewerEntry = {
+        player,
+        registration: player ? registrations.find(entry => String(entry.player_id) === String(player.id)) || null : null,
+        eligible: player ? await isEligibleForEvent(event, player.id) : false,
+      };
+    }
+  } catch (registrationsError) {
+    console.error("Failed to load event registrations", registrationsError);
+    viewError = viewError || "Registrations are temporarily unavailable.";
+  }
+
+  const eventMessage = req.session.eventMessage || null;
+  const eventNotice = req.session.eventError || null;
+  req.session.eventMessage = null;
+  req.session.eventError = null;
+
+  res.render("event", {
+    event,
+    bracket,
+    adminView: false,
+    records: eventRecords,
+    status,
+    statusTransitions: [],
+    checkInOpensAt: checkInOpensAt(event),
+    startsAtInput: null,
+    placementPayout: describePlacementPoints(placementPointsFor(event)),
+    placementPointsInput: null,
+    registrations,
+    viewerEntry,
+    EVENT_FORMATS,
+    adminMessage: eventMessage,
+    adminError: eventNotice,
+    eventError: viewError,
+    admin: req.session.admin || null,
+    pageTitle: event.name,
+    navActive: "events",
+    kitTexture: event.kit ? resolveKitTextureUrl(event.kit) : null,
+  });
+});
+
+// Loads the event and the signed-in user's verified player for its game, or
+// flashes why they can't take part and returns null.
+async function loadEventEntrant(req) {
+  const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", req.params.id).maybeSingle();
+  if (error) throw error;
+  if (!event || effectiveEventStatus(event) === "draft") {
+    req.session.eventError = "Event not found.";
+    return null;
+  }
+  const player = await loadVerifiedPlayer(req.session.user.id, event.game);
+  if (!player) {
+    req.session.eventError = `Verify your ${event.game} account on the account page to enter events.`;
+    return null;
+  }
+  return { event, player, status: effectiveEventStatus(event) };
+}
+
+app.post("/events/:id/register", requireAuth, async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const entrant = await loadEventEntrant(req);
+    if (entrant) {
+      const { event, player, status } = entrant;
+      if (status !== "registration") {
+        req.session.eventError = "Registration for this event is closed.";
+      } else if (!(await isEligibleForEvent(event, player.id))) {
+        req.session.eventError = `You need an eligible ${event.kit} tier to enter this event.`;
+      } else {
+        const { error } = await supabase
+          .from(EVENT_REGISTRATIONS_TABLE)
+          .upsert([{ event_id: event.id, player_id: player.id, user_id: req.session.user.id }], {
+            onConflict: "event_id,player_id",
+            ignoreDuplicates: true,
+          });
+        if (error) throw error;
+        req.session.eventMessage = `You're registered as ${player.username}. Check in before the event starts.`;
+      }
+    }
+  } catch (error) {
+    console.error("Failed to register for event", error);
+    req.session.eventError = "Failed to register. Please try again.";
+  }
+  res.redirect(`/events/${eventId}`);
+});
+
+app.post("/events/:id/unregister", requireAuth, async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const entrant = await loadEventEntrant(req);
+    if (entrant) {
+      if (!["registration", "check_in"].includes(entrant.status)) {
+        req.session.eventError = "This event has already started.";
+      } else {
+        const { error } = await supabase
+          .from(EVENT_REGISTRATIONS_TABLE)
+          .delete()
+          .eq("event_id", entrant.event.id)
+          .eq("player_id", entrant.player.id);
+        if (error) throw error;
+        req.session.eventMessage = "You've withdrawn from this event.";
+      }
+    }
+  } catch (error) {
+    console.error("Failed to withdraw from event", error);
+    req.session.eventError = "Failed to withdraw. Please try again.";
+  }
+  res.redirect(`/events/${eventId}`);
+});
+
+app.post("/events/:id/check-in", requireAuth, async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const entrant = await loadEventEntrant(req);
+    if (entrant) {
+      if (entrant.status !== "check_in") {
+        req.session.eventError = "Check-in isn't open for this event.";
+      } else {
+        const { data, error } = await supabase
+          .from(EVENT_REGISTRATIONS_TABLE)
+          .update({ checked_in_at: new Date().toISOString() })
+          .eq("event_id", entrant.event.id)
+          .eq("player_id", entrant.player.id)
+          .select("player_id");
+        if (error) throw error;
+        if (data && data.length > 0) req.session.eventMessage = "You're checked in. Good luck!";
+        else req.session.eventError = "Only registered players can check in.";
+      }
+    }
+  } catch (error) {
+    console.error("Failed to check in", error);
+    req.session.eventError = "Failed to check in. Please try again.";
+  }
+  res.redirect(`/events/${eventId}`);
+});
+
+const GAME_LEADERBOARD_PAGE_SIZE = 50;
+
+app.get("/game/:name", async (req, res) => {
+  let gameConfig = null;
+  try {
+    gameConfig = await gameCatalog.findGame(req.params.name);
+  } catch (error) {
+    console.error("Failed to load game", error);
+  }
+  if (!gameConfig) gameConfig = { ...defaultGame(), name: req.params.name };
+  const { name } = gameConfig;
+  const kit = (req.query.kit || "").trim() || null;
+  const tiers = [].concat(req.query.tier || []).filter(tier => gameConfig.tiers.includes(tier));
+  const sort = LEADERBOARD_SORTS[req.query.sort] ? req.query.sort : DEFAULT_LEADERBOARD_SORT;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  let leaderboard = { entries: [], sort, tiers, page: 1, perPage: GAME_LEADERBOARD_PAGE_SIZE, total: 0, totalPages: 1 };
+  let kits = [];
+  let pastSeasons = [];
+  let season = null;
+  let leaderboardError = null;
+  try {
+    const seasons = await listSeasons();
+    pastSeasons = seasons.filter(entry => entry.status === "closed");
+    // Only closed seasons have an archive; the active season is the live leaderboard.
+    season = pastSeasons.find(entry => String(entry.id) === String(req.query.season)) || null;
+    const seasonId = season?.id || null;
+    [leaderboard, kits] = await Promise.all([
+      loadLeaderboardPage(name, { kit, tiers, sort, page, perPage: GAME_LEADERBOARD_PAGE_SIZE, seasonId }),
+      listKits(name, { seasonId }),
+    ]);
+  } catch (error) {
+    console.error("Failed to load leaderboard", error);
+    leaderboardError = error?.status === 408
+      ? "The leaderboard timed out. Please refresh to try again."
+      : "The leaderboard is temporarily unavailable.";
+  }
+
+  let userLinked = [];
+  if (req.session.user) {
+    const { data } = await supabase
+      .from("user_linked_accounts")
+      .select("*")
+      .eq("user_id", req.session.user.id)
+      .eq("game", name)
+      .eq("verified", true);
+    userLinked = data || [];
+  }
+
+  res.render("game", {
+    stats: leaderboard.entries,
+    leaderboard,
+    leaderboardError,
+    filters: { kit, tiers, sort, season: season?.id || null },
+    season,
+    pastSeasons,
+    kits,
+    TIERS: gameConfig.tiers,
+    LEADERBOARD_SORTS,
+    gameName: name,
+    userLinked,
+    kitTextures: buildKitTextureMap(kits),
+    pageTitle: `${name}${kit ? ` ${kit}` : ""} Leaderboard${season ? ` (${season.name})` : ""}`,
+    navActive: "leaderboard",
+  });
+});
+
+// -------------------- PROFILE --------------------
+// The game a player has the most points in; profiles and the API draw its avatar.
+async function primaryGameFor(stats) {
+  const totals = {};
+  stats.forEach(stat => {
+    totals[stat.game] = (totals[stat.game] || 0) + (stat.points || 0);
+  });
+  const [top] = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  return top ? gameCatalog.findGame(top[0]) : null;
+}
+
+app.get("/profile/:username", async (req, res) => {
+  const { username } = req.params;
+  const profile = await loadPlayerProfile(username);
+  if (!profile) return res.status(404).send("Player not found");
+  const { player, stats, achievements, eventRecords, totalPoints } = profile;
+
+  let avatarGame = null;
+  try {
+    avatarGame = await primaryGameFor(stats);
+  } catch (error) {
+    console.error("Failed to load profile game", error);
+  }
+  let mcRenderUrl = null;
+  if (avatarGame) {
+    let avatarPlayer = player;
+    if (avatarGame.avatarProvider === "minecraft" && !player.minecraft_uuid) {
+      avatarPlayer = { ...player, minecraft_uuid: await getMinecraftUUID(player.minecraft_username || username) };
+    }
+    mcRenderUrl = avatarUrlFor(avatarGame, avatarPlayer);
+  }
+
+  const historyKit = (req.query.kit || "").trim() || null;
+  let history = [];
+  let historyError = null;
+  try {
+    history = await loadStatHistory(player.id, { kit: historyKit });
+  } catch (error) {
+    console.error("Failed to load stat history", error);
+    historyError = "Tier history is temporarily unavailable.";
+  }
+
+  let seasonHistory = [];
+  try {
+    seasonHistory = await loadPlayerSeasonHistory(player.id);
+  } catch (error) {
+    console.error("Failed to load season history", error);
+  }
+
+  const kitNames = new Set(stats.map(stat => stat.kit).filter(Boolean));
+  eventRecords.forEach(record => {
+    const kit = record?.events?.kit;
+    if (kit) kitNames.add(kit);
+  });
+
+  res.render("profile", {
+    player,
+    stats,
+    achievements,
+    mcRenderUrl,
+    avatarGame,
+    totalPoints,
+    eventRecords,
+    history,
+    historyKit,
+    historyError,
+    seasonHistory,
+    provisionalMatches: PROVISIONAL_MATCHES,
+    kitTextures: buildKitTextureMap([...kitNames]),
+    pageTitle: `${player.username} | Profile`,
+    navActive: null,
+  });
+});
+
+// -------------------- ADVANCED ADMIN MANAGEMENT --------------------
+
+// Add a new player manually
+app.post("/admin/player/add", requireAdmin("ladder"), async (req, res) => {
+  const { username } = req.body;
+  if (!username) return res.redirect("/admin/dashboard");
+  const { data: player } = await supabase.from("players").insert([{ username }]).select().maybeSingle();
+  if (player)
+    await recordAudit(req, { action: "player.add", table: "players", targetId: player.id, playerId: player.id, after: player });
+  res.redirect("/admin/dashboard");
+});
+
+// Edit a player's tier or points (and trigger Discord notification)
+app.post("/admin/stat/update/:id", requireAdmin("ladder"), async (req, res) => {
+  const { id } = req.params;
+  const { tier, points } = req.body;
+
+  const { data: stat } = await supabase
+    .from("player_stats")
+    .select("id, player_id, kit, tier, points, game, players(username)")
+    .eq("id", id)
+    .single();
+
+  if (!stat) return res.redirect("/admin/dashboard");
+
+  const ladder = await ladderFor(stat.game);
+  const updatedTier = ladder.includes(tier) ? tier : stat.tier;
+  const updatedPoints = parseInt(points) || stat.points;
+
+  const { error: updateError } = await supabase
+    .from("player_stats")
+    .update({ tier: updatedTier, points: updatedPoints })
+    .eq("id", id);
+  if (updateError) {
+    console.error("Failed to update player stat", updateError);
+    req.session.adminError = `Failed to update ${stat.players?.username || "player"}'s ${stat.kit} stat.`;
+    return res.redirect("/admin/dashboard");
+  }
+
+  await recordStatChange({
+    stat: { ...stat, tier: updatedTier, points: updatedPoints },
+    previous: stat,
+    source: "admin",
+    changedBy: req.session.admin.username,
+  });
+  await recordAudit(req, {
+    action: "stat.update",
+    table: "player_stats",
+    targetId: stat.id,
+    playerId: stat.player_id,
+    before: { kit: stat.kit, tier: stat.tier, points: stat.points },
+    after: { kit: stat.kit, tier: updatedTier, points: updatedPoints },
+  });
+  invalidateLeaderboards();
+  await awardAchievements({ id: stat.player_id, username: stat.players?.username });
+
+  // ✅ Send webhook notification
+  await sendDiscordTierUpdate({
+    username: stat.players.username,
+    game: stat.game,
+    kit: stat.kit,
+    tier: updatedTier,
+    updated: true,
+  });
+
+  res.redirect("/admin/dashboard");
+});
+
+// Delete record (player, game, or stat)
+app.post("/admin/delete/:table/:id", requireAdmin("ladder"), async (req, res) => {
+  const { table, id } = req.params;
+  const auditNames = { games: "game", players: "player", player_stats: "stat" };
+  if (!auditNames[table]) return res.redirect("/admin/dashboard");
+  const { data: before } = await supabase.from(table).select("*").eq("id", id).maybeSingle();
+  const { error } = await supabase.from(table).delete().eq("id", id);
+  if (!error && before) {
+    await recordAudit(req, {
+      action: `${auditNames[table]}.delete`,
+      table,
+      targetId: id,
+      playerId: table === "players" ? before.id : before.player_id || null,
+      before,
+    });
+  }
+  if (table === "games") gameCatalog.invalidate();
+  else invalidateLeaderboards();
+  res.redirect("/admin/dashboard");
+});
+
+// Registered players whose stats make them eligible, with what seeding needs.
+async function loadEventParticipants(event, playerIds) {
+  if (playerIds.length === 0) return [];
+  const ladder = await ladderFor(event.game);
+  const { data: stats, error } = await supabase
+    .from("player_stats")
+    .select("player_id, tier, points, rating")
+    .eq("game", event.game)
+    .eq("kit", event.kit)
+    .in("player_id", playerIds);
+  if (error) throw new Error(`Failed to load player stats: ${error.message}`);
+
+  const statsByPlayer = new Map((stats || []).map(stat => [String(stat.player_id), stat]));
+  const playersLookup = await fetchPlayersByIds(playerIds);
+  const usernameMap = new Map((playersLookup || []).map(player => [String(player.id), player.username]));
+  const seedBy = SEED_KEYS[event.seed_by] ? event.seed_by : "tier";
+
+  return playerIds
+    .map(id => {
+      const stat = statsByPlayer.get(String(id));
+      return {
+        id,
+        username: usernameMap.get(String(id)) || `Player ${id}`,
+        tier: stat?.tier || null,
+        points: stat?.points || 0,
+        rating: stat?.rating ?? DEFAULT_RATING,
+      };
+    })
+    .sort((a, b) => compareSeedStrength(a, b, seedBy, ladder))
+    .map(({ points, ...participant }) => participant);
+}
+
+// A player may enter when they hold one of the event's tiers in its kit.
+async function isEligibleForEvent(event, playerId) {
+  const { data, error } = await supabase
+    .from("player_stats")
+    .select("tier")
+    .eq("player_id", playerId)
+    .eq("game", event.game)
+    .eq("kit", event.kit);
+  if (error) throw error;
+  return (data || []).some(stat => !event.tiers || event.tiers.length === 0 || event.tiers.includes(stat.tier));
+}
+
+async function loadEventRegistrations(eventId) {
+  const { data, error } = await supabase
+    .from(EVENT_REGISTRATIONS_TABLE)
+    .select("player_id, user_id, registered_at, checked_in_at, players(username)")
+    .eq("event_id", eventId)
+    .order("registered_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+app.post("/admin/events/create", requireAdmin("events"), async (req, res) => {
+  const { name, kit, tiers_all, tiers } = req.body;
+  let gameConfig = null;
+  try {
+    gameConfig = await gameCatalog.findGame(req.body.game);
+  } catch (error) {
+    console.error("Failed to load event game", error);
+  }
+  if (!name || !gameConfig || !kit) {
+    req.session.adminError = "Event name, game, and kit are required.";
+    return res.redirect("/admin/dashboard");
+  }
+  const game = gameConfig.name;
+  const ladder = gameConfig.tiers;
+
+  const format = EVENT_FORMATS[req.body.format] ? req.body.format : DEFAULT_EVENT_FORMAT;
+  const seedBy = SEED_KEYS[req.body.seed_by] ? req.body.seed_by : "tier";
+  const groupCount = Math.max(1, parseInt(req.body.group_count, 10) || 1);
+  const advancePerGroup = Math.max(0, parseInt(req.body.advance_per_group, 10) || 0);
+  const checkInMinutes = Math.max(0, parseInt(req.body.check_in_minutes, 10) || 0);
+  const startsAt = parseEventStart(req.body.starts_at);
+  if (!startsAt) {
+    req.session.adminError = "Pick a start time for the event.";
+    return res.redirect("/admin/dashboard");
+  }
+  const placementPoints = parsePlacementPoints(req.body.placement_points);
+  if (!placementPoints) {
+    req.session.adminError = "Placement points must look like 1=50, 2=30, 3=20.";
+    return res.redirect("/admin/dashboard");
+  }
+
+  let selectedTiers = [];
+  if (tiers_all === "on") selectedTiers = [...ladder];
+  else if (Array.isArray(tiers)) selectedTiers = tiers.filter(tier => ladder.includes(tier));
+  else if (typeof tiers === "string" && ladder.includes(tiers)) selectedTiers = [tiers];
+
+  if (selectedTiers.length === 0) selectedTiers = [...ladder];
+
+  try {
+    const activeSeason = await loadActiveSeason();
+
+    const { data: createdEvent, error: eventError } = await supabase
+      .from(EVENTS_TABLE)
+      .insert([
+        {
+          name,
+          game,
+          kit,
+          tiers: selectedTiers,
+          status: "draft",
+          starts_at: startsAt.toISOString(),
+          check_in_minutes: checkInMinutes,
+          format,
+          seed_by: seedBy,
+          group_count: groupCount,
+          advance_per_group: advancePerGroup,
+          placement_points: placementPoints,
+          bracket: { format, rounds: [] },
+          season_id: activeSeason?.id || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (eventError) throw eventError;
+
+    await recordAudit(req, {
+      action: "event.create",
+      table: EVENTS_TABLE,
+      targetId: createdEvent.id,
+      after: {
+        name,
+        game,
+        kit,
+        format,
+        seed_by: seedBy,
+        tiers: selectedTiers,
+        starts_at: createdEvent.starts_at,
+        check_in_minutes: checkInMinutes,
+        placement_points: createdEvent.placement_points,
+        season_id: createdEvent.season_id,
+      },
+    });
+
+    req.session.adminMessage = `Event "${name}" created as a draft. Open registration when it's ready.`;
+    return res.redirect(`/admin/events/${createdEvent.id}`);
+  } catch (error) {
+    console.error("Failed to create event", error);
+    req.session.adminError = error?.message ? `Failed to create event: ${error.message}` : "Failed to create event. Please try again.";
+    return res.redirect("/admin/dashboard");
+  }
+});
+
+app.post("/admin/events/:id/status", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const nextStatus = req.body.status;
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).maybeSingle();
+    if (error) throw error;
+    if (!event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+
+    const currentStatus = effectiveEventStatus(event);
+    if (!(EVENT_STATUS_TRANSITIONS[currentStatus] || []).includes(nextStatus)) {
+      req.session.adminError = `A ${EVENT_STATUSES[currentStatus].toLowerCase()} event can't move to ${EVENT_STATUSES[nextStatus] || nextStatus}.`;
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    // Check-in that opened on schedule can only be closed by moving the start time.
+    if (nextStatus === event.status) {
+      req.session.adminError = "Check-in opened automatically. Move the start time to reopen registration.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    if (nextStatus === "completed") {
+      const results = await completeEvent(req, event, parseBracket(event.bracket));
+      if (results) {
+        req.session.adminMessage = completionMessage(results);
+      } else {
+        req.session.adminError = "The bracket isn't decided yet. Report the remaining matches first.";
+      }
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const update = { status: nextStatus };
+    const { error: updateError } = await supabase.from(EVENTS_TABLE).update(update).eq("id", eventId);
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "event.status",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: { status: currentStatus },
+      after: update,
+    });
+    req.session.adminMessage = `Event status set to ${EVENT_STATUSES[nextStatus]}.`;
+  } catch (error) {
+    console.error("Failed to change event status", error);
+    req.session.adminError = "Failed to change the event status.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+app.post("/admin/events/:id/schedule", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const startsAt = parseEventStart(req.body.starts_at);
+  const checkInMinutes = Math.max(0, parseInt(req.body.check_in_minutes, 10) || 0);
+  if (!startsAt) {
+    req.session.adminError = "Pick a valid start time.";
+    return res.redirect(`/admin/events/${eventId}`);
+  }
+  const placementPoints = parsePlacementPoints(req.body.placement_points);
+  if (!placementPoints) {
+    req.session.adminError = "Placement points must look like 1=50, 2=30, 3=20.";
+    return res.redirect(`/admin/events/${eventId}`);
+  }
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).maybeSingle();
+    if (error) throw error;
+    if (!event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (!["draft", "registration", "check_in"].includes(effectiveEventStatus(event))) {
+      req.session.adminError = "The schedule can't change once the event has started.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const update = {
+      starts_at: startsAt.toISOString(),
+      check_in_minutes: checkInMinutes,
+      placement_points: placementPoints,
+    };
+    const { error: updateError } = await supabase.from(EVENTS_TABLE).update(update).eq("id", eventId);
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: "event.schedule",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: {
+        starts_at: event.starts_at,
+        check_in_minutes: event.check_in_minutes,
+        placement_points: event.placement_points ?? null,
+      },
+      after: update,
+    });
+    req.session.adminMessage = "Event settings updated.";
+  } catch (error) {
+    console.error("Failed to update event schedule", error);
+    req.session.adminError = "Failed to update the event schedule.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+// Builds the bracket from checked-in players; registrants who didn't check in are dropped.
+app.post("/admin/events/:id/start", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).maybeSingle();
+    if (error) throw error;
+    if (!event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (effectiveEventStatus(event) !== "check_in") {
+      req.session.adminError = "Open check-in before starting the event.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const registrations = await loadEventRegistrations(eventId);
+    const checkedIn = registrations.filter(registration => registration.checked_in_at);
+    const noShows = registrations.filter(registration => !registration.checked_in_at);
+    const participants = await loadEventParticipants(
+      event,
+      checkedIn.map(registration => registration.player_id)
+    );
+
+    const format = EVENT_FORMATS[event.format] ? event.format : DEFAULT_EVENT_FORMAT;
+    const groupCount = Math.max(1, event.group_count || 1);
+    if (participants.length < 2) {
+      req.session.adminError = "At least two checked-in players are required to start the event.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (format === "round_robin" && participants.length < groupCount * 2) {
+      req.session.adminError = `Round-robin with ${groupCount} groups needs at least ${groupCount * 2} checked-in players.`;
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const bracket = createSeededBracket(format, participants, {
+      groupCount,
+      advancePerGroup: Math.max(0, event.advance_per_group || 0),
+    });
+
+    // Claim the start against the status read above (stored as registration when check-in
+    // opened on schedule) so a double submit can't build a second bracket or reset records.
+    const { data: claimed, error: updateError } = await supabase
+      .from(EVENTS_TABLE)
+      .update({ bracket, status: "live", started_at: new Date().toISOString() })
+      .eq("id", eventId)
+      .eq("status", event.status)
+      .select("id");
+    if (updateError) throw updateError;
+    if (!claimed || claimed.length === 0) {
+      req.session.adminError = "This event has already been started.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const { error: recordsError } = await supabase
+      .from(PLAYER_EVENT_RECORDS_TABLE)
+      .upsert(
+        participants.map(participant => ({
+          event_id: event.id,
+          player_id: participant.id,
+          wins: 0,
+          losses: 0,
+        })),
+        { onConflict: "event_id,player_id" }
+      );
+    if (recordsError) throw new Error(`Failed to initialize event records: ${recordsError.message}`);
+
+    await recordAudit(req, {
+      action: "event.start",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: { status: "check_in" },
+      after: {
+        status: "live",
+        participants: participants.map(participant => participant.username),
+        dropped: noShows.map(registration => registration.players?.username || registration.player_id),
+      },
+    });
+
+    const dropped = noShows.length > 0 ? ` ${noShows.length} no-show${noShows.length === 1 ? "" : "s"} dropped.` : "";
+    req.session.adminMessage = `${EVENT_FORMATS[format]} bracket generated for ${participants.length} players.${dropped} Review the seeding, then lock the bracket.`;
+  } catch (error) {
+    console.error("Failed to start event", error);
+    req.session.adminError = error?.message ? `Failed to start event: ${error.message}` : "Failed to start event.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+// Staff can enter players who have no site account (or no verified link) by name.
+app.post("/admin/events/:id/registrations", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const username = (req.body.username || "").trim();
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).maybeSingle();
+    if (error) throw error;
+    if (!event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (!["draft", "registration", "check_in"].includes(effectiveEventStatus(event))) {
+      req.session.adminError = "Players can't be added once the event has started.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const { data: player, error: playerError } = await supabase
+      .from("players")
+      .select("id, username")
+      .eq("username", username)
+      .maybeSingle();
+    if (playerError) throw playerError;
+    if (!player) {
+      req.session.adminError = `Player "${username}" not found.`;
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (!(await isEligibleForEvent(event, player.id))) {
+      req.session.adminError = `${player.username} has no eligible ${event.kit} tier for this event.`;
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const { error: insertError } = await supabase
+      .from(EVENT_REGISTRATIONS_TABLE)
+      .upsert([{ event_id: event.id, player_id: player.id, checked_in_at: req.body.checked_in === "on" ? new Date().toISOString() : null }], {
+        onConflict: "event_id,player_id",
+      });
+    if (insertError) throw insertError;
+
+    await recordAudit(req, {
+      action: "event.register",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      playerId: player.id,
+      after: { player: player.username, checked_in: req.body.checked_in === "on" },
+    });
+    req.session.adminMessage = `${player.username} registered.`;
+  } catch (error) {
+    console.error("Failed to register player", error);
+    req.session.adminError = "Failed to register player.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+app.post("/admin/events/:id/registrations/:playerId/remove", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).maybeSingle();
+    if (error) throw error;
+    if (!event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (!["draft", "registration", "check_in"].includes(effectiveEventStatus(event))) {
+      req.session.adminError = "Registrations are final once the event has started.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const { data: removed, error: deleteError } = await supabase
+      .from(EVENT_REGISTRATIONS_TABLE)
+      .delete()
+      .eq("event_id", eventId)
+      .eq("player_id", req.params.playerId)
+      .select("player_id, players(username)");
+    if (deleteError) throw deleteError;
+
+    if (removed && removed.length > 0) {
+      await recordAudit(req, {
+        action: "event.unregister",
+        table: EVENTS_TABLE,
+        targetId: eventId,
+        playerId: req.params.playerId,
+        before: { player: removed[0].players?.username || req.params.playerId },
+      });
+    }
+    req.session.adminMessage = "Registration removed.";
+  } catch (error) {
+    console.error("Failed to remove registration", error);
+    req.session.adminError = "Failed to remove registration.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+app.get("/admin/events/:id", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const { data: event, error } = await supabase
+    .from(EVENTS_TABLE)
+    .select("*, seasons(name)")
+    .eq("id", eventId)
+    .single();
+  if (error || !event) {
+    req.session.adminError = "Event not found.";
+    return res.redirect("/admin/dashboard");
+  }
+
+  const bracket = parseBracket(event.bracket);
+  let eventError = null;
+
+  const { data: records, error: recordsError } = await supabase
+    .from(PLAYER_EVENT_RECORDS_TABLE)
+    .select("player_id, wins, losses, place, place_to, points_awarded, players(username)")
+    .eq("event_id", eventId);
+
+  let eventRecords = [];
+  if (recordsError) {
+    console.error("Failed to load event records", recordsError);
+    eventError = "Participant records are temporarily unavailable.";
+  } else if (records) {
+    eventRecords = records;
+  }
+
+  let registrations = [];
+  try {
+    registrations = await loadEventRegistrations(eventId);
+  } catch (registrationsError) {
+    console.error("Failed to load event registrations", registrationsError);
+    eventError = "Registrations are temporarily unavailable.";
+  }
+
+  const adminMessage = req.session.adminMessage || null;
+  const adminError = req.session.adminError || null;
+  req.session.adminMessage = null;
+  req.session.adminError = null;
+
+  const status = effectiveEventStatus(event);
+  res.render("event", {
+    event,
+    bracket,
+    adminView: true,
+    records: eventRecords,
+    status,
+    statusTransitions: EVENT_STATUS_TRANSITIONS[status].filter(next => next !== event.status),
+    checkInOpensAt: checkInOpensAt(event),
+    startsAtInput: toDateTimeInput(event.starts_at),
+    placementPayout: describePlacementPoints(placementPointsFor(event)),
+    placementPointsInput: formatPlacementPoints(placementPointsFor(event)),
+    registrations,
+    viewerEntry: null,
+    EVENT_FORMATS,
+    adminMessage,
+    adminError,
+    eventError,
+    admin: req.session.admin || null,
+    pageTitle: `${event.name} | Admin View`,
+    navActive: "events",
+    kitTexture: event.kit ? resolveKitTextureUrl(event.kit) : null,
+  });
+});
+
+app.post("/admin/events/:id/seeding", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).single();
+    if (error || !event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+
+    const bracket = parseBracket(event.bracket);
+    if (isBracketLocked(bracket) || !Array.isArray(bracket.seeds)) {
+      req.session.adminError = "Seeding can no longer be changed because the bracket is locked.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const requested = req.body.seeds || {};
+    const reordered = bracket.seeds
+      .map((player, index) => ({
+        player,
+        index,
+        wanted: parseInt(requested[player.id], 10) || index + 1,
+      }))
+      .sort((a, b) => a.wanted - b.wanted || a.index - b.index)
+      .map(({ player: { seed, ...player } }) => player);
+
+    const rebuilt = createSeededBracket(bracket.format, reordered, {
+      groupCount: (bracket.groups || []).length || 1,
+      advancePerGroup: bracket.advancePerGroup || 0,
+    });
+
+    if (!(await saveEventBracket(event, rebuilt))) {
+      req.session.adminError = "The bracket changed while you were seeding it. Refresh and try again.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    await recordAudit(req, {
+      action: "event.seeding",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: { seeds: bracket.seeds.map(player => player.username) },
+      after: { seeds: reordered.map(player => player.username) },
+    });
+
+    req.session.adminMessage = "Seeding updated and bracket regenerated.";
+  } catch (error) {
+    console.error("Failed to update seeding", error);
+    req.session.adminError = "Failed to update seeding.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+app.post("/admin/events/:id/lock", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  try {
+    const { data: event, error } = await supabase.from(EVENTS_TABLE).select("*").eq("id", eventId).single();
+    if (error || !event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (effectiveEventStatus(event) !== "live") {
+      req.session.adminError = "Start the event before locking its bracket.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const bracket = parseBracket(event.bracket);
+    if (!isBracketLocked(bracket)) {
+      bracket.locked = true;
+      if (!(await saveEventBracket(event, bracket))) {
+        req.session.adminError = "The bracket changed while you were locking it. Refresh and try again.";
+        return res.redirect(`/admin/events/${eventId}`);
+      }
+      await recordAudit(req, {
+        action: "event.lock",
+        table: EVENTS_TABLE,
+        targetId: eventId,
+        before: { locked: false },
+        after: { locked: true },
+      });
+    }
+    req.session.adminMessage = "Bracket locked. Seeding is now final.";
+  } catch (error) {
+    console.error("Failed to lock bracket", error);
+    req.session.adminError = "Failed to lock bracket.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+app.post("/admin/events/:id/report", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const { matchId, winnerId } = req.body;
+
+  if (!matchId || !winnerId) {
+    req.session.adminError = "Match and winner are required.";
+    return res.redirect(`/admin/events/${eventId}`);
+  }
+
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from(EVENTS_TABLE)
+      .select("*")
+      .eq("id", eventId)
+      .single();
+    if (eventError || !event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (effectiveEventStatus(event) !== "live") {
+      req.session.adminError = "Results can only be reported while the event is live.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const bracket = parseBracket(event.bracket);
+    const match = findMatch(bracket, matchId);
+
+    if (!match) {
+      req.session.adminError = "Match not found in bracket.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (match.autoAdvance) {
+      req.session.adminError = "Auto-advanced matches cannot be overridden.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (!match.player1 || !match.player2) {
+      req.session.adminError = "Both players must be set before recording a result.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (match.winner) {
+      req.session.adminError = "This match result has already been recorded. Use Correct to change it.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    let winnerPlayer = null;
+    let loserPlayer = null;
+    if (String(match.player1.id) === String(winnerId)) {
+      winnerPlayer = match.player1;
+      loserPlayer = match.player2;
+    } else if (String(match.player2.id) === String(winnerId)) {
+      winnerPlayer = match.player2;
+      loserPlayer = match.player1;
+    } else {
+      req.session.adminError = "Winner must be one of the match participants.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    const awaitingPlayoffs = bracket.format === "round_robin" && bracket.rounds.length === 0;
+    bracket.locked = true;
+    match.winner = winnerPlayer;
+    match.loser = loserPlayer;
+    match.completedAt = new Date().toISOString();
+    assignWinnerToNextMatch(bracket, match);
+
+    // Only the submission whose save matches the loaded bracket version moves ratings,
+    // so a double submit can't count the same result twice.
+    if (!(await saveEventBracket(event, bracket))) {
+      req.session.adminError = "The bracket changed while you were reporting. Refresh and try again.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    try {
+      match.ratingDelta = await applyMatchRating(event, winnerPlayer, loserPlayer);
+      if (match.ratingDelta && !(await saveEventBracket(event, bracket))) {
+        throw new Error("Bracket changed before the rating change was stored");
+      }
+    } catch (ratingError) {
+      console.error("Failed to update ratings", ratingError);
+    }
+
+    const { error: recordError } = await supabase.rpc("record_event_match", {
+      p_event_id: event.id,
+      p_winner_id: winnerPlayer.id,
+      p_loser_id: loserPlayer ? loserPlayer.id : null,
+    });
+    if (recordError) throw new Error(`Failed to update event records: ${recordError.message}`);
+
+    for (const player of [winnerPlayer, loserPlayer]) await awardAchievements(player);
+
+    // The match is already saved; a failed completion leaves the event live for Mark Completed to retry.
+    let results = null;
+    try {
+      results = await completeEvent(req, event, bracket);
+    } catch (completionError) {
+      console.error("Failed to complete event", completionError);
+    }
+
+    await recordAudit(req, {
+      action: "event.report",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: { match: match.id, winner: null },
+      after: {
+        match: match.id,
+        winner: summarizeMatchPlayer(winnerPlayer),
+        loser: summarizeMatchPlayer(loserPlayer),
+        rating_delta: match.ratingDelta || null,
+      },
+    });
+
+    req.session.adminMessage = results
+      ? `Match result recorded. ${completionMessage(results)}`
+      : awaitingPlayoffs && bracket.rounds.length > 0
+        ? "Match result recorded. Group stage complete — playoff bracket generated."
+        : "Match result recorded.";
+    res.redirect(`/admin/events/${eventId}`);
+  } catch (error) {
+    console.error("Failed to record match", error);
+    req.session.adminError = "Failed to record match result.";
+    res.redirect(`/admin/events/${eventId}`);
+  }
+});
+
+// Rewrites every participant's wins/losses for an event from the recorded bracket results.
+async function syncEventRecordsFromBracket(eventId, bracket) {
+  const { data: existing, error } = await supabase
+    .from(PLAYER_EVENT_RECORDS_TABLE)
+    .select("player_id")
+    .eq("event_id", eventId);
+  if (error) throw new Error(`Failed to load event records: ${error.message}`);
+
+  const tally = tallyBracketRecords(bracket);
+  (existing || []).forEach(record => {
+    if (!tally.has(String(record.player_id))) {
+      tally.set(String(record.player_id), { playerId: record.player_id, wins: 0, losses: 0 });
+    }
+  });
+  if (tally.size === 0) return;
+
+  const { error: upsertError } = await supabase.from(PLAYER_EVENT_RECORDS_TABLE).upsert(
+    Array.from(tally.values()).map(record => ({
+      event_id: eventId,
+      player_id: record.playerId,
+      wins: record.wins,
+      losses: record.losses,
+    })),
+    { onConflict: "event_id,player_id" }
+  );
+  if (upsertError) throw new Error(`Failed to update event records: ${upsertError.message}`);
+}
+
+// Completes a live event once its bracket is decided: stores every entrant's final
+// placement and adds the event's placement points to their kit stats, all inside the
+// complete_event RPC so a failure leaves the event live and untouched. Returns the
+// results, or null while matches are outstanding or the event is no longer live.
+async function completeEvent(req, event, bracket) {
+  const placements = findBracketPlacements(bracket);
+  if (!placements) return null;
+
+  const payout = placementPointsFor(event);
+  const { data, error } = await supabase.rpc("complete_event", {
+    p_event_id: event.id,
+    p_results: placements.map(({ player, place, placeTo }) => ({
+      player_id: player.id,
+      place,
+      place_to: placeTo,
+      points: placementPointsForPlace(payout, place),
+    })),
+    p_changed_by: req.session.admin.username,
+  });
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  // Players without a stat row for the event's kit are placed but paid nothing.
+  const awarded = new Map(data.map(row => [String(row.awarded_player_id), row.awarded_points || 0]));
+  const results = placements.map(({ player, place, placeTo }) => ({
+    player,
+    place,
+    placeTo,
+    points: awarded.get(String(player.id)) || 0,
+  }));
+
+  invalidateLeaderboards();
+  for (const result of results) await awardAchievements(result.player);
+
+  await recordAudit(req, {
+    action: "event.complete",
+    table: EVENTS_TABLE,
+    targetId: event.id,
+    before: { status: "live" },
+    after: {
+      status: "completed",
+      placements: results.map(result => ({
+        player: summarizeMatchPlayer(result.player),
+        place: result.place,
+        place_to: result.placeTo,
+        points: result.points,
+      })),
+    },
+  });
+  await sendDiscordEventResults({ event, results });
+  return results;
+}
+
+// Undoes completeEvent before a completed bracket changes: reopen_event takes back the
+// paid placement points, clears the placements and reopens the event as live.
+async function revertEventResults(req, event) {
+  const { data: reverted, error } = await supabase.rpc("reopen_event", {
+    p_event_id: event.id,
+    p_changed_by: req.session.admin.username,
+  });
+  if (error) throw error;
+  if (reverted === null) return false;
+
+  invalidateLeaderboards();
+  await recordAudit(req, {
+    action: "event.reopen",
+    table: EVENTS_TABLE,
+    targetId: event.id,
+    before: { status: "completed" },
+    after: { status: "live", points_reverted: reverted },
+  });
+  return true;
+}
+
+function completionMessage(results) {
+  return `${results[0].player.username} wins the event — final placements and points posted.`;
+}
+
+app.post("/admin/events/:id/correct", requireAdmin("events"), async (req, res) => {
+  const eventId = req.params.id;
+  const { matchId, winnerId } = req.body;
+
+  if (!matchId) {
+    req.session.adminError = "Match is required.";
+    return res.redirect(`/admin/events/${eventId}`);
+  }
+
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from(EVENTS_TABLE)
+      .select("*")
+      .eq("id", eventId)
+      .single();
+    if (eventError || !event) {
+      req.session.adminError = "Event not found.";
+      return res.redirect("/admin/dashboard");
+    }
+
+    const bracket = parseBracket(event.bracket);
+    const match = findMatch(bracket, matchId);
+
+    if (!match) {
+      req.session.adminError = "Match not found in bracket.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+    if (!match.winner || match.autoAdvance) {
+      req.session.adminError = "Only reported match results can be corrected.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    let newWinner = null;
+    if (winnerId) {
+      newWinner = [match.player1, match.player2].find(player => player && String(player.id) === String(winnerId));
+      if (!newWinner) {
+        req.session.adminError = "Winner must be one of the match participants.";
+        return res.redirect(`/admin/events/${eventId}`);
+      }
+    }
+
+    const undone = revertMatchResult(bracket, match);
+
+    if (newWinner) {
+      match.winner = newWinner;
+      match.loser = String(match.player1.id) === String(newWinner.id) ? match.player2 : match.player1;
+      match.completedAt = new Date().toISOString();
+      assignWinnerToNextMatch(bracket, match);
+    }
+
+    // Save the bracket before ratings move: once the undone ratingDeltas are gone from the
+    // stored bracket, a failure below can't lead a retry to revert them a second time.
+    if (!(await saveEventBracket(event, bracket))) {
+      req.session.adminError = "The bracket changed while you were correcting it. Refresh and try again.";
+      return res.redirect(`/admin/events/${eventId}`);
+    }
+
+    try {
+      await revertMatchRatings(event, undone);
+      if (newWinner) {
+        match.ratingDelta = await applyMatchRating(event, match.winner, match.loser);
+        if (match.ratingDelta && !(await saveEventBracket(event, bracket))) {
+          throw new Error("Bracket changed before the rating change was stored");
+        }
+      }
+    } catch (ratingError) {
+      console.error("Failed to update ratings", ratingError);
+    }
+
+    await syncEventRecordsFromBracket(event.id, bracket);
+    if (newWinner) await awardAchievements(newWinner);
+
+    // A completed event is reopened, then completes again if the bracket is still decided.
+    let results = null;
+    const wasCompleted = effectiveEventStatus(event) === "completed" && (await revertEventResults(req, event));
+    if (wasCompleted) results = await completeEvent(req, event, bracket);
+
+    await recordAudit(req, {
+      action: "event.correct",
+      table: EVENTS_TABLE,
+      targetId: eventId,
+      before: {
+        results: undone.map(result => ({
+          match: result.matchId,
+          winner: summarizeMatchPlayer(result.winner),
+          loser: summarizeMatchPlayer(result.loser),
+        })),
+      },
+      after: {
+        match: match.id,
+        winner: summarizeMatchPlayer(newWinner),
+        loser: newWinner ? summarizeMatchPlayer(match.loser) : null,
+      },
+    });
+
+    const dependentCount = undone.length - 1;
+    let summary = newWinner ? `Result corrected: ${newWinner.username} now wins.` : "Match result reverted.";
+    if (results) summary = `${summary} ${completionMessage(results)}`;
+    else if (wasCompleted) summary = `${summary} The event is live again and its placement points were taken back.`;
+    req.session.adminMessage =
+      dependentCount > 0 ? `${summary} ${dependentCount} dependent result(s) were cleared and need re-reporting.` : summary;
+  } catch (error) {
+    console.error("Failed to correct match", error);
+    req.session.adminError = "Failed to correct match result.";
+  }
+  res.redirect(`/admin/events/${eventId}`);
+});
+
+// Enhanced Admin Dashboard with management tables
+app.get("/admin/dashboard", requireAdmin(), async (req, res) => {
+  const { data: games } = await supabase.from("games").select("*").order("name");
+  const { data: players } = await supabase.from("players").select("*").order("username");
+  const { data: stats } = await supabase
+    .from("player_stats")
+    .select("id, player_id, game, kit, tier, points, players(username)")
+    .order("points", { ascending: false });
+  const { data: events } = await supabase
+    .from(EVENTS_TABLE)
+    .select("id, name, game, kit, status, starts_at, check_in_minutes, created_at")
+    .order("created_at", { ascending: false });
+  const { count: pendingSubmissions } = await supabase
+    .from(SUBMISSIONS_TABLE)
+    .select("id", { count: "exact", head: true })
+    .eq("status", "pending");
+  let seasons = [];
+  try {
+    seasons = await listSeasons();
+  } catch (error) {
+    console.error("Failed to load seasons", error);
+  }
+  const { data: staffAccounts } = staffCan(req.session.admin, "staff")
+    ? await supabase
+        .from(STAFF_TABLE)
+        .select("id, username, role, active, password_hash, invite_expires_at, last_login_at, created_at")
+        .order("username")
+    : { data: [] };
+  const { count: queuedTests } = await supabase
+    .from(TIER_TESTS_TABLE)
+    .select("id", { count: "exact", head: true })
+    .eq("status", "queued");
+
+  const adminMessage = req.session.adminMessage || null;
+  const adminError = req.session.adminError || null;
+  req.session.adminMessage = null;
+  req.session.adminError = null;
 
-  const { data: achievements } = await supabase
-    .from("player_achievements")
-    .select("earned_at, achievements(name, description, icon)")
-    .eq("player_id", player.id);
+  res.render("admin-dashboard", {
+    admin: req.session.admin,
+    games: games || [],
+    gameTiers: Object.fromEntries(res.locals.navGames.map(game => [game.name, game.tiers])),
+    allTiers: [...new Set(res.locals.navGames.flatMap(game => game.tiers))],
+    AVATAR_PROVIDERS,
+    LINK_VERIFICATIONS,
+    players: players || [],
+    stats: stats || [],
+    events: (events || []).map(event => ({ ...event, status: effectiveEventStatus(event) })),
+    pendingSubmissions: pendingSubmissions || 0,
+    staffAccounts: (staffAccounts || []).map(({ password_hash, ...staff }) => ({ ...staff, pending: !password_hash })),
+    STAFF_ROLES,
+    can: permission => staffCan(req.session.admin, permission),
+    queuedTests: queuedTests || 0,
+    seasons,
+    activeSeason: seasons.find(season => season.status === "active") || null,
+    SEASON_POINT_POLICIES,
+    TIERS,
+    EVENT_FORMATS,
+    SEED_KEYS,
+    DEFAULT_CHECK_IN_MINUTES,
+    defaultPlacementPoints: formatPlacementPoints(placementPointsFor(null)),
+    adminMessage,
+    adminError,
+    pageTitle: "Admin Dashboard",
+    navActive: null,
+  });
+});
 
-  const { data: eventRecords } = await supabase
-    .from(PLAYER_EVENT_RECORDS_TABLE)
-    .select("event_id, wins, losses, events(name, game, kit)")
-    .eq("player_id", player.id);
 
-  const hasMinecraft = (stats || []).some(s => s.game.toLowerCase() === "minecraft");
-  const minecraftLookupName = player.minecraft_username || username;
-  let mcRenderUrl = null;
-  if (hasMinecraft) {
-    if (player.minecraft_uuid) {
-      mcRenderUrl = buildMinecraftRenderUrl(player.minecraft_uuid, minecraftLookupName);
-    } else {
-      const resolvedUUID = await getMinecraftUUID(minecraftLookupName);
-      mcRenderUrl = buildMinecraftRenderUrl(resolvedUUID, minecraftLookupName);
+// -------------------- ACHIEVEMENT ADMIN --------------------
+const ACHIEVEMENT_ICON_PRESETS = [
+  "item/nether_star.png",
+  "item/diamond.png",
+  "item/emerald.png",
+  "item/netherite_ingot.png",
+  "item/totem_of_undying.png",
+  "item/golden_apple.png",
+  "item/experience_bottle.png",
+  "item/blaze_rod.png",
+].map(path => `${KIT_TEXTURE_BASE}/${path}`);
+
+// Validates the create/edit form. Tiers are checked against the scoped game's
+// ladder, or against every configured ladder when the achievement spans games.
+function readAchievementForm(body, games) {
+  const name = (body.name || "").trim();
+  if (!name) return { error: "Achievements need a name." };
+  const conditionType = body.condition_type;
+  const rule = ACHIEVEMENT_RULES[conditionType];
+  if (!rule) return { error: "Choose what earns this achievement." };
+
+  const requestedGame = (body.game || "").trim();
+  const game = requestedGame ? games.find(entry => entry.name === requestedGame) : null;
+  if (requestedGame && !game) return { error: `${requestedGame} isn't a configured game.` };
+
+  let conditionValue = (body.condition_value || "").trim();
+  if (rule.input === "number") {
+    const amount = parseInt(conditionValue, 10);
+    if (!(amount >= 1)) return { error: "Enter a target of at least 1." };
+    conditionValue = String(amount);
+  } else {
+    const tiers = game ? game.tiers : games.flatMap(entry => entry.tiers);
+    if (!tiers.includes(conditionValue)) {
+      return { error: `${conditionValue || "That tier"} isn't on the ${game ? `${game.name} ` : ""}ladder.` };
     }
   }
 
-  const kitNames = new Set((stats || []).map(stat => stat.kit).filter(Boolean));
-  (eventRecords || []).forEach(record => {
-    const kit = record?.events?.kit;
-    if (kit) kitNames.add(kit);
-  });
+  const icon = (body.icon || "").trim();
+  if (icon && !/^(https:\/\/|\/(?!\/))\S+$/.test(icon)) {
+    return { error: "Icons must be an https URL or a path on this site." };
+  }
 
-  const totalPoints = (stats || []).reduce((a, s) => a + s.points, 0);
-  res.render("profile", {
-    player,
-    stats: stats || [],
-    achievements: achievements || [],
-    mcRenderUrl,
-    totalPoints,
-    eventRecords: eventRecords || [],
-    kitTextures: buildKitTextureMap([...kitNames]),
-    pageTitle: `${player.username} | Profile`,
+  return {
+    fields: {
+      name,
+      description: (body.description || "").trim() || null,
+      icon: icon || null,
+      condition_type: conditionType,
+      condition_value: conditionValue,
+      condition_count: rule.count ? Math.max(1, parseInt(body.condition_count, 10) || 1) : null,
+      game: game ? game.name : null,
+      kit: (body.kit || "").trim() || null,
+    },
+  };
+}
+
+app.get("/admin/achievements", requireAdmin("ladder"), async (req, res) => {
+  let achievements = [];
+  let listError = null;
+  try {
+    achievements = await achievementEngine.listAchievements();
+  } catch (error) {
+    console.error("Failed to load achievements", error);
+    listError = "Achievements are temporarily unavailable.";
+  }
+
+  const adminMessage = req.session.adminMessage || null;
+  const adminError = req.session.adminError || listError;
+  req.session.adminMessage = null;
+  req.session.adminError = null;
+
+  res.render("admin-achievements", {
+    achievements,
+    games: res.locals.navGames,
+    allTiers: [...new Set(res.locals.navGames.flatMap(game => game.tiers))],
+    ACHIEVEMENT_RULES,
+    ACHIEVEMENT_ICON_PRESETS,
+    adminMessage,
+    adminError,
+    pageTitle: "Achievements",
     navActive: null,
   });
 });
 
-// -------------------- ADVANCED ADMIN MANAGEMENT --------------------
+app.post("/admin/achievements", requireAdmin("ladder"), async (req, res) => {
+  const { fields, error: formError } = readAchievementForm(req.body, res.locals.navGames);
+  if (formError) {
+    req.session.adminError = formError;
+    return res.redirect("/admin/achievements");
+  }
+  const { data: achievement, error } = await supabase.from("achievements").insert([fields]).select().maybeSingle();
+  if (error || !achievement) {
+    console.error("Failed to create achievement", error);
+    req.session.adminError = "Could not create that achievement.";
+  } else {
+    await recordAudit(req, { action: "achievement.create", table: "achievements", targetId: achievement.id, after: achievement });
+    req.session.adminMessage = `${achievement.name} created. Run a backfill to award it to players who already qualify.`;
+  }
+  res.redirect("/admin/achievements");
+});
 
-// Add a new player manually
-app.post("/admin/player/add", requireAdmin, async (req, res) => {
-  const { username } = req.body;
-  if (!username) return res.redirect("/admin/dashboard");
-  await supabase.from("players").insert([{ username }]);
-  res.redirect("/admin/dashboard");
+app.post("/admin/achievements/backfill", requireAdmin("ladder"), async (req, res) => {
+  try {
+    const { players, awarded } = await achievementEngine.backfill();
+    await recordAudit(req, { action: "achievement.backfill", table: "achievements", after: { players, awarded } });
+    req.session.adminMessage = `Checked ${players} player(s) and awarded ${awarded} achievement(s).`;
+  } catch (error) {
+    console.error("Failed to backfill achievements", error);
+    req.session.adminError = "The backfill failed. It is safe to run again.";
+  }
+  res.redirect("/admin/achievements");
 });
 
-// Edit a player's tier or points (and trigger Discord notification)
-app.post("/admin/stat/update/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const { tier, points } = req.body;
+app.post("/admin/achievements/:id/update", requireAdmin("ladder"), async (req, res) => {
+  const { fields, error: formError } = readAchievementForm(req.body, res.locals.navGames);
+  if (formError) {
+    req.session.adminError = formError;
+    return res.redirect("/admin/achievements");
+  }
+  const { data: before } = await supabase.from("achievements").select("*").eq("id", req.params.id).maybeSingle();
+  if (!before) return res.redirect("/admin/achievements");
+
+  const { data: achievement, error } = await supabase
+    .from("achievements")
+    .update(fields)
+    .eq("id", before.id)
+    .select()
+    .maybeSingle();
+  if (error) {
+    console.error("Failed to update achievement", error);
+    req.session.adminError = "Could not save that achievement.";
+  } else {
+    await recordAudit(req, { action: "achievement.update", table: "achievements", targetId: before.id, before, after: achievement });
+    req.session.adminMessage = `${before.name} saved. Players who already earned it keep it.`;
+  }
+  res.redirect("/admin/achievements");
+});
 
-  const { data: stat } = await supabase
-    .from("player_stats")
-    .select("id, player_id, kit, tier, points, game, players(username)")
-    .eq("id", id)
-    .single();
+app.post("/admin/achievements/:id/delete", requireAdmin("ladder"), async (req, res) => {
+  const { data: before } = await supabase.from("achievements").select("*").eq("id", req.params.id).maybeSingle();
+  if (!before) return res.redirect("/admin/achievements");
+  const { error } = await supabase.from("achievements").delete().eq("id", before.id);
+  if (error) {
+    console.error("Failed to delete achievement", error);
+    req.session.adminError = "Could not delete that achievement.";
+  } else {
+    await recordAudit(req, { action: "achievement.delete", table: "achievements", targetId: before.id, before });
+    req.session.adminMessage = `${before.name} deleted and removed from every profile.`;
+  }
+  res.redirect("/admin/achievements");
+});
 
-  if (!stat) return res.redirect("/admin/dashboard");
+// -------------------- SEASONS --------------------
+const SEASON_POINT_POLICIES = {
+  keep: "Keep points",
+  decay: "Decay points by a percentage",
+  reset: "Reset points to zero",
+};
 
-  const updatedTier = tier || stat.tier;
-  const updatedPoints = parseInt(points) || stat.points;
+async function loadActiveSeason() {
+  const seasons = await listSeasons();
+  return seasons.find(season => season.status === "active") || null;
+}
 
-  await supabase
-    .from("player_stats")
-    .update({ tier: updatedTier, points: updatedPoints })
-    .eq("id", id);
+app.post("/admin/seasons/open", requireAdmin("seasons"), async (req, res) => {
+  const name = (req.body.name || "").trim();
+  const pointPolicy = SEASON_POINT_POLICIES[req.body.point_policy] ? req.body.point_policy : "keep";
+  const decayPercent = Math.min(100, Math.max(0, parseInt(req.body.decay_percent, 10) || 0));
 
-  // ✅ Send webhook notification
-  await sendDiscordTierUpdate({
-    username: stat.players.username,
-    game: stat.game,
-    kit: stat.kit,
-    tier: updatedTier,
-    updated: true,
-  });
+  if (!name) {
+    req.session.adminError = "Season name is required.";
+    return res.redirect("/admin/dashboard");
+  }
+
+  try {
+    if (await loadActiveSeason()) {
+      req.session.adminError = "Close the current season before opening a new one.";
+      return res.redirect("/admin/dashboard");
+    }
 
+    const { data: season, error } = await supabase
+      .from(SEASONS_TABLE)
+      .insert([{ name, status: "active", point_policy: pointPolicy, decay_percent: pointPolicy === "decay" ? decayPercent : 0 }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    const { error: policyError } = await supabase.rpc("apply_season_point_policy", {
+      p_season_id: season.id,
+      p_policy: pointPolicy,
+      p_decay_percent: season.decay_percent,
+    });
+    if (policyError) throw policyError;
+
+    invalidateLeaderboards();
+    await recordAudit(req, { action: "season.open", table: SEASONS_TABLE, targetId: season.id, after: season });
+    req.session.adminMessage =
+      pointPolicy === "keep"
+        ? `${name} is now the active season.`
+        : `${name} is now the active season. Points were ${pointPolicy === "reset" ? "reset" : `decayed by ${season.decay_percent}%`}.`;
+  } catch (error) {
+    console.error("Failed to open season", error);
+    req.session.adminError = "Failed to open the season.";
+  }
   res.redirect("/admin/dashboard");
 });
 
-// Delete record (player, game, or stat)
-app.post("/admin/delete/:table/:id", requireAdmin, async (req, res) => {
-  const { table, id } = req.params;
-  const validTables = ["games", "players", "player_stats"];
-  if (!validTables.includes(table)) return res.redirect("/admin/dashboard");
-  await supabase.from(table).delete().eq("id", id);
+app.post("/admin/seasons/:id/close", requireAdmin("seasons"), async (req, res) => {
+  try {
+    const { error } = await supabase.rpc("close_season", { p_season_id: req.params.id });
+    if (error) throw error;
+    invalidateLeaderboards();
+    await recordAudit(req, {
+      action: "season.close",
+      table: SEASONS_TABLE,
+      targetId: req.params.id,
+      before: { status: "active" },
+      after: { status: "closed" },
+    });
+    req.session.adminMessage = "Season closed and final standings archived.";
+  } catch (error) {
+    console.error("Failed to close season", error);
+    req.session.adminError = "Failed to close the season.";
+  }
   res.redirect("/admin/dashboard");
 });
 
-app.post("/admin/events/create", requireAdmin, async (req, res) => {
-  const { name, game, kit, tiers_all, tiers } = req.body;
-  if (!name || !game || !kit) {
-    req.session.adminError = "Event name, game, and kit are required.";
-    return res.redirect("/admin/dashboard");
-  }
+// -------------------- STAFF --------------------
+const STAFF_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-  let selectedTiers = [];
-  if (tiers_all === "on") selectedTiers = [...TIERS];
-  else if (Array.isArray(tiers)) selectedTiers = tiers;
-  else if (typeof tiers === "string" && tiers.trim() !== "") selectedTiers = [tiers];
+function matchesEnvCredential(provided, expected) {
+  if (!expected) return false;
+  const a = crypto.createHash("sha256").update(String(provided)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// ADMIN_USER/ADMIN_PASS only work until the first owner exists; the first
+// successful login with them becomes that owner.
+async function bootstrapOwnerAccount(username, password) {
+  if (!matchesEnvCredential(username, process.env.ADMIN_USER) || !matchesEnvCredential(password, process.env.ADMIN_PASS))
+    return null;
 
-  if (selectedTiers.length === 0) selectedTiers = [...TIERS];
+  const { count, error } = await supabase
+    .from(STAFF_TABLE)
+    .select("id", { count: "exact", head: true })
+    .eq("role", "owner");
+  if (error) throw error;
+  if (count > 0) return null;
 
-  try {
-    let query = supabase
-      .from("player_stats")
-      .select("player_id, tier")
-      .eq("game", game)
-      .eq("kit", kit);
+  const password_hash = await bcrypt.hash(password, 10);
+  const { data: owner, error: createError } = await supabase
+    .from(STAFF_TABLE)
+    .insert([{ username, password_hash, role: "owner" }])
+    .select()
+    .single();
+  if (createError) throw createError;
+  console.log(`Created owner staff account ${username} from ADMIN_USER.`);
+  return owner;
+}
+
+async function loadStaffInvite(token) {
+  const { data: staff, error } = await supabase
+    .from(STAFF_TABLE)
+    .select("*")
+    .eq("invite_token_hash", hashToken(token))
+    .maybeSingle();
+  if (error) throw error;
+  if (!staff || !staff.active || new Date(staff.invite_expires_at) < new Date()) return null;
+  return staff;
+}
+
+app.post("/admin/staff/invite", requireAdmin("staff"), async (req, res) => {
+  const username = (req.body.username || "").trim();
+  const role = STAFF_ROLES[req.body.role] ? req.body.role : null;
+  if (!username || !role) {
+    req.session.adminError = "Choose a username and role for the new staff member.";
+    return res.redirect("/admin/dashboard");
+  }
 
-    if (selectedTiers.length !== TIERS.length) {
-      query = query.in("tier", selectedTiers);
+  try {
+    const token = crypto.randomBytes(24).toString("hex");
+    const { data: invited, error } = await supabase
+      .from(STAFF_TABLE)
+      .insert([
+        {
+          username,
+          role,
+          invited_by: req.session.admin.id,
+          invite_token_hash: hashToken(token),
+          invite_expires_at: new Date(Date.now() + STAFF_INVITE_TTL_MS).toISOString(),
+        },
+      ])
+      .select("id")
+      .single();
+    if (error) {
+      if (error.code === "23505") {
+        req.session.adminError = `A staff account named ${username} already exists.`;
+        return res.redirect("/admin/dashboard");
+      }
+      throw error;
     }
 
-    const { data: stats, error: statsError } = await query;
-    if (statsError) throw new Error(`Failed to load eligible players: ${statsError.message}`);
+    await recordAudit(req, { action: "staff.invite", table: STAFF_TABLE, targetId: invited.id, after: { username, role } });
+    const inviteUrl = absoluteUrl(req, `/admin/invite/${token}`);
+    req.session.adminMessage = `Invited ${username} as ${STAFF_ROLES[role]}. Send them this link (valid for 7 days): ${inviteUrl}`;
+  } catch (error) {
+    console.error("Failed to invite staff member", error);
+    req.session.adminError = "Failed to invite staff member.";
+  }
+  res.redirect("/admin/dashboard");
+});
 
-    if (!stats || stats.length === 0) {
-      req.session.adminError = "No players found for the selected criteria.";
+// Revoked staff are signed out on their next request; tests they had claimed go back to the queue.
+app.post("/admin/staff/:id/revoke", requireAdmin("staff"), async (req, res) => {
+  try {
+    const { data: staff, error } = await supabase.from(STAFF_TABLE).select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!staff) {
+      req.session.adminError = "Staff account not found.";
+      return res.redirect("/admin/dashboard");
+    }
+    if (staff.id === req.session.admin.id) {
+      req.session.adminError = "You can't revoke your own account.";
       return res.redirect("/admin/dashboard");
     }
 
-    const seen = new Set();
-    const uniquePlayerIds = [];
-    stats.forEach(stat => {
-      if (stat.player_id && !seen.has(stat.player_id)) {
-        seen.add(stat.player_id);
-        uniquePlayerIds.push(stat.player_id);
-      }
+    const { error: updateError } = await supabase
+      .from(STAFF_TABLE)
+      .update({ active: false, invite_token_hash: null, invite_expires_at: null })
+      .eq("id", staff.id);
+    if (updateError) throw updateError;
+
+    await supabase
+      .from(TIER_TESTS_TABLE)
+      .update({ status: "queued", tester_id: null, assigned_at: null })
+      .eq("tester_id", staff.id)
+      .eq("status", "assigned");
+
+    await recordAudit(req, {
+      action: "staff.revoke",
+      table: STAFF_TABLE,
+      targetId: staff.id,
+      before: { username: staff.username, role: staff.role, active: true },
+      after: { username: staff.username, role: staff.role, active: false },
     });
+    req.session.adminMessage = `Revoked ${staff.username}'s staff access.`;
+  } catch (error) {
+    console.error("Failed to revoke staff member", error);
+    req.session.adminError = "Failed to revoke staff member.";
+  }
+  res.redirect("/admin/dashboard");
+});
 
-    if (uniquePlayerIds.length === 0) {
-      req.session.adminError = "No eligible players were found for this event.";
+// Restoring an account that never set a password issues a fresh invite link.
+app.post("/admin/staff/:id/restore", requireAdmin("staff"), async (req, res) => {
+  try {
+    const { data: staff, error } = await supabase.from(STAFF_TABLE).select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!staff || staff.active) {
+      req.session.adminError = "That staff account is already active.";
       return res.redirect("/admin/dashboard");
     }
 
-    const playersLookup = await fetchPlayersByIds(uniquePlayerIds);
+    const token = staff.password_hash ? null : crypto.randomBytes(24).toString("hex");
+    const { error: updateError } = await supabase
+      .from(STAFF_TABLE)
+      .update(
+        token
+          ? {
+              active: true,
+              invite_token_hash: hashToken(token),
+              invite_expires_at: new Date(Date.now() + STAFF_INVITE_TTL_MS).toISOString(),
+            }
+          : { active: true }
+      )
+      .eq("id", staff.id);
+    if (updateError) throw updateError;
 
-    const usernameMap = new Map();
-    (playersLookup || []).forEach(player => {
-      if (player?.id) {
-        usernameMap.set(player.id, player.username || `Player ${player.id}`);
-      }
+    await recordAudit(req, {
+      action: "staff.restore",
+      table: STAFF_TABLE,
+      targetId: staff.id,
+      before: { username: staff.username, role: staff.role, active: false },
+      after: { username: staff.username, role: staff.role, active: true },
     });
+    req.session.adminMessage = token
+      ? `Restored ${staff.username}. Send them this new invite link (valid for 7 days): ${absoluteUrl(req, `/admin/invite/${token}`)}`
+      : `Restored ${staff.username}'s staff access.`;
+  } catch (error) {
+    console.error("Failed to restore staff member", error);
+    req.session.adminError = "Failed to restore staff member.";
+  }
+  res.redirect("/admin/dashboard");
+});
 
-    const participants = uniquePlayerIds.map(id => ({
-      id,
-      username: usernameMap.get(id) || `Player ${id}`,
-    }));
-
-    participants.sort(() => Math.random() - 0.5);
+const STAFF_INVITE_INVALID = "This invite link is invalid or has expired. Ask an owner for a new one.";
 
-    if (participants.length < 2) {
-      req.session.adminError = "At least two players are required to create an event.";
-      return res.redirect("/admin/dashboard");
-    }
+app.get("/admin/invite/:token", async (req, res) => {
+  let staff = null;
+  try {
+    staff = await loadStaffInvite(req.params.token);
+  } catch (error) {
+    console.error("Failed to load staff invite", error);
+  }
+  res.render("staff-invite", {
+    staff,
+    roleLabel: staff ? STAFF_ROLES[staff.role] : null,
+    error: staff ? null : STAFF_INVITE_INVALID,
+    pageTitle: "Staff Invite",
+    navActive: null,
+  });
+});
 
-    const bracket = buildBracket(participants);
-    propagateAutoAdvances(bracket);
+app.post("/admin/invite/:token", async (req, res) => {
+  const { password, confirm } = req.body;
+  let staff = null;
+  try {
+    staff = await loadStaffInvite(req.params.token);
+  } catch (error) {
+    console.error("Failed to load staff invite", error);
+  }
+  const renderError = error =>
+    res.render("staff-invite", { staff, roleLabel: staff ? STAFF_ROLES[staff.role] : null, error, pageTitle: "Staff Invite", navActive: null });
+  if (!staff) return renderError(STAFF_INVITE_INVALID);
+  const passwordError = validatePassword(password, { identifier: staff.username });
+  if (passwordError) return renderError(passwordError);
+  if (password !== confirm) return renderError("Passwords don't match.");
 
-    const { data: createdEvent, error: eventError } = await supabase
-      .from(EVENTS_TABLE)
-      .insert([
-        {
-          name,
-          game,
-          kit,
-          tiers: selectedTiers,
-          bracket,
-        },
-      ])
+  try {
+    const password_hash = await bcrypt.hash(password, 10);
+    const { data: account, error } = await supabase
+      .from(STAFF_TABLE)
+      .update({ password_hash, invite_token_hash: null, invite_expires_at: null, last_login_at: new Date().toISOString() })
+      .eq("id", staff.id)
+      .eq("invite_token_hash", staff.invite_token_hash)
       .select()
-      .single();
+      .maybeSingle();
+    if (error) throw error;
+    if (!account) return renderError("This invite has already been used.");
 
-    if (eventError) throw eventError;
+    await establishSession(req, { admin: { id: account.id, username: account.username, role: account.role } });
+    res.redirect(staffHome(account));
+  } catch (error) {
+    console.error("Failed to accept staff invite", error);
+    renderError("Could not save your password. Please try again.");
+  }
+});
 
-    const { error: recordsError } = await supabase
-      .from(PLAYER_EVENT_RECORDS_TABLE)
-      .upsert(
-        participants.map(participant => ({
-          event_id: createdEvent.id,
-          player_id: participant.id,
-          wins: 0,
-          losses: 0,
-        })),
-        { onConflict: "event_id,player_id" }
-      );
+// -------------------- AUDIT LOG VIEWER --------------------
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_EXPORT_LIMIT = 5000;
+const AUDIT_TABLES = [
+  "games",
+  "players",
+  "player_stats",
+  "achievements",
+  SUBMISSIONS_TABLE,
+  EVENTS_TABLE,
+  SEASONS_TABLE,
+  STAFF_TABLE,
+  TIER_TESTS_TABLE,
+];
+const AUDIT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-    if (recordsError) throw new Error(`Failed to initialize event records: ${recordsError.message}`);
+function escapeLikePattern(value) {
+  return value.replace(/[%_\\]/g, "\\$&");
+}
 
-    req.session.adminMessage = `Event "${name}" created successfully.`;
-    return res.redirect(`/admin/events/${createdEvent.id}`);
-  } catch (error) {
-    console.error("Failed to create event", error);
-    req.session.adminError = error?.message ? `Failed to create event: ${error.message}` : "Failed to create event. Please try again.";
-    return res.redirect("/admin/dashboard");
+// Reads the viewer's filters from the query string. A player filter matches
+// usernames exactly (case-insensitive); playerIds is null when it is unused.
+async function parseAuditFilters(query) {
+  const filters = {
+    actor: String(query.actor || "").trim(),
+    table: AUDIT_TABLES.includes(query.table) ? query.table : "",
+    player: String(query.player || "").trim(),
+    from: AUDIT_DATE_PATTERN.test(query.from || "") ? query.from : "",
+    to: AUDIT_DATE_PATTERN.test(query.to || "") ? query.to : "",
+  };
+
+  let playerIds = null;
+  if (filters.player) {
+    const { data, error } = await supabase.from("players").select("id").ilike("username", escapeLikePattern(filters.player));
+    if (error) throw error;
+    playerIds = (data || []).map(player => player.id);
   }
-});
+  return { filters, playerIds };
+}
 
-app.get("/admin/events/:id", requireAdmin, async (req, res) => {
-  const eventId = req.params.id;
-  const { data: event, error } = await supabase
-    .from(EVENTS_TABLE)
-    .select("*")
-    .eq("id", eventId)
-    .single();
-  if (error || !event) {
-    req.session.adminError = "Event not found.";
-    return res.redirect("/admin/dashboard");
+function buildAuditQuery({ filters, playerIds }, { count = null } = {}) {
+  let query = supabase
+    .from(AUDIT_LOG_TABLE)
+    .select("*", count ? { count } : undefined)
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false });
+  if (filters.actor) query = query.ilike("actor_username", escapeLikePattern(filters.actor));
+  if (filters.table) query = query.eq("target_table", filters.table);
+  if (playerIds) query = query.in("player_id", playerIds);
+  if (filters.from) query = query.gte("created_at", `${filters.from}T00:00:00.000Z`);
+  if (filters.to) {
+    const end = new Date(`${filters.to}T00:00:00.000Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    query = query.lt("created_at", end.toISOString());
   }
+  return query;
+}
 
-  const bracket = parseBracket(event.bracket);
-  let eventError = null;
+async function loadAuditPlayerNames(entries) {
+  const ids = [...new Set(entries.map(entry => entry.player_id).filter(Boolean))];
+  const players = await fetchPlayersByIds(ids);
+  return new Map((players || []).map(player => [String(player.id), player.username]));
+}
 
-  const { data: records, error: recordsError } = await supabase
-    .from(PLAYER_EVENT_RECORDS_TABLE)
-    .select("player_id, wins, losses, players(username)")
-    .eq("event_id", eventId);
+app.get("/admin/audit", requireAdmin("audit"), async (req, res) => {
+  const requestedPage = Math.max(1, parseInt(req.query.page, 10) || 1);
+  let filters = { actor: "", table: "", player: "", from: "", to: "" };
+  let entries = [];
+  let total = 0;
+  let playerNames = new Map();
+  let auditError = null;
 
-  let eventRecords = [];
-  if (recordsError) {
-    console.error("Failed to load event records", recordsError);
-    eventError = "Participant records are temporarily unavailable.";
-  } else if (records) {
-    eventRecords = records;
+  try {
+    const parsed = await parseAuditFilters(req.query);
+    filters = parsed.filters;
+    if (!parsed.playerIds || parsed.playerIds.length > 0) {
+      const offset = (requestedPage - 1) * AUDIT_PAGE_SIZE;
+      const { data, count, error } = await buildAuditQuery(parsed, { count: "exact" }).range(
+        offset,
+        offset + AUDIT_PAGE_SIZE - 1
+      );
+      if (error) throw error;
+      entries = data || [];
+      total = count || 0;
+      playerNames = await loadAuditPlayerNames(entries);
+    }
+  } catch (error) {
+    console.error("Failed to load audit log", error);
+    auditError = "The audit log is temporarily unavailable.";
   }
 
-  const adminMessage = req.session.adminMessage || null;
-  const adminError = req.session.adminError || null;
-  req.session.adminMessage = null;
-  req.session.adminError = null;
-
-  res.render("event", {
-    event,
-    bracket,
-    adminView: true,
-    records: eventRecords,
-    adminMessage,
-    adminError,
-    eventError,
-    admin: req.session.admin || null,
-    pageTitle: `${event.name} | Admin View`,
-    navActive: "events",
-    kitTexture: event.kit ? resolveKitTextureUrl(event.kit) : null,
+  res.render("admin-audit", {
+    entries,
+    filters,
+    playerNames,
+    page: requestedPage,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE)),
+    AUDIT_TABLES,
+    auditError,
+    pageTitle: "Audit Log",
+    navActive: null,
   });
 });
 
-app.post("/admin/events/:id/report", requireAdmin, async (req, res) => {
-  const eventId = req.params.id;
-  const { matchId, winnerId } = req.body;
+function toCsvCell(value) {
+  if (value == null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas.
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  if (!matchId || !winnerId) {
-    req.session.adminError = "Match and winner are required.";
-    return res.redirect(`/admin/events/${eventId}`);
+app.get("/admin/audit/export", requireAdmin("audit"), async (req, res) => {
+  try {
+    const parsed = await parseAuditFilters(req.query);
+    let entries = [];
+    if (!parsed.playerIds || parsed.playerIds.length > 0) {
+      const { data, error } = await buildAuditQuery(parsed).limit(AUDIT_EXPORT_LIMIT);
+      if (error) throw error;
+      entries = data || [];
+    }
+    const playerNames = await loadAuditPlayerNames(entries);
+
+    const header = ["created_at", "actor", "role", "action", "table", "target_id", "player_id", "player", "before", "after"];
+    const rows = entries.map(entry => [
+      entry.created_at,
+      entry.actor_username,
+      entry.actor_role,
+      entry.action,
+      entry.target_table,
+      entry.target_id,
+      entry.player_id,
+      entry.player_id ? playerNames.get(String(entry.player_id)) : null,
+      entry.before_data,
+      entry.after_data,
+    ]);
+    const csv = [header, ...rows].map(row => row.map(toCsvCell).join(",")).join("\r\n");
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(`${csv}\r\n`);
+  } catch (error) {
+    console.error("Failed to export audit log", error);
+    req.session.adminError = "Failed to export the audit log.";
+    res.redirect("/admin/dashboard");
+  }
+});
+
+// -------------------- TIER TESTS --------------------
+async function loadVerifiedPlayer(userId, game) {
+  const { data: link, error } = await supabase
+    .from("user_linked_accounts")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("game", game)
+    .eq("verified", true)
+    .maybeSingle();
+  if (error) throw error;
+  if (!link) return null;
+
+  if (link.player_id) {
+    const { data: player } = await supabase.from("players").select("*").eq("id", link.player_id).maybeSingle();
+    if (player) return player;
   }
+  const player = await findOrCreatePlayer(link.game_username);
+  await supabase.from("user_linked_accounts").update({ player_id: player.id }).eq("id", link.id);
+  return player;
+}
+
+app.post("/tests/request", requireAuth, async (req, res) => {
+  const kit = (req.body.kit || "").trim();
 
   try {
-    const { data: event, error: eventError } = await supabase
-      .from(EVENTS_TABLE)
-      .select("*")
-      .eq("id", eventId)
-      .single();
-    if (eventError || !event) {
-      req.session.adminError = "Event not found.";
-      return res.redirect("/admin/dashboard");
+    const gameConfig = await gameCatalog.findGame(req.body.game || DEFAULT_GAME_NAME);
+    if (!gameConfig) {
+      req.session.accountError = "Choose a game to be tested in.";
+      return res.redirect("/account");
     }
+    const game = gameConfig.name;
 
-    const bracket = parseBracket(event.bracket);
-    const match = findMatch(bracket, matchId);
-
-    if (!match) {
-      req.session.adminError = "Match not found in bracket.";
-      return res.redirect(`/admin/events/${eventId}`);
+    const kits = await listKits(game);
+    if (!kits.includes(kit)) {
+      req.session.accountError = "Choose a kit to be tested in.";
+      return res.redirect("/account");
     }
-    if (match.autoAdvance) {
-      req.session.adminError = "Auto-advanced matches cannot be overridden.";
-      return res.redirect(`/admin/events/${eventId}`);
-    }
-    if (!match.player1 || !match.player2) {
-      req.session.adminError = "Both players must be set before recording a result.";
-      return res.redirect(`/admin/events/${eventId}`);
+
+    const player = await loadVerifiedPlayer(req.session.user.id, game);
+    if (!player) {
+      req.session.accountError = `Verify your ${game} account before requesting a tier test.`;
+      return res.redirect("/account");
     }
-    if (match.winner) {
-      req.session.adminError = "This match result has already been recorded.";
-      return res.redirect(`/admin/events/${eventId}`);
+
+    const { data: lastTest, error: lastError } = await supabase
+      .from(TIER_TESTS_TABLE)
+      .select("completed_at")
+      .eq("player_id", player.id)
+      .eq("game", game)
+      .eq("kit", kit)
+      .eq("status", "completed")
+      .order("completed_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (lastError) throw lastError;
+
+    const retestAt = lastTest?.completed_at
+      ? new Date(new Date(lastTest.completed_at).getTime() + TIER_TEST_COOLDOWN_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+    if (retestAt && retestAt > new Date()) {
+      req.session.accountError = `You were tested in ${kit} recently. You can request a retest after ${retestAt.toLocaleDateString()}.`;
+      return res.redirect("/account");
     }
 
-    let winnerPlayer = null;
-    let loserPlayer = null;
-    if (String(match.player1.id) === String(winnerId)) {
-      winnerPlayer = match.player1;
-      loserPlayer = match.player2;
-    } else if (String(match.player2.id) === String(winnerId)) {
-      winnerPlayer = match.player2;
-      loserPlayer = match.player1;
-    } else {
-      req.session.adminError = "Winner must be one of the match participants.";
-      return res.redirect(`/admin/events/${eventId}`);
+    const { error } = await supabase
+      .from(TIER_TESTS_TABLE)
+      .insert([{ player_id: player.id, user_id: req.session.user.id, game, kit, status: "queued" }]);
+    if (error) {
+      if (error.code === "23505") {
+        req.session.accountError = `You already have an open ${kit} test.`;
+        return res.redirect("/account");
+      }
+      throw error;
     }
 
-    match.winner = winnerPlayer;
-    match.loser = loserPlayer;
-    match.completedAt = new Date().toISOString();
-    assignWinnerToNextMatch(bracket, match);
+    req.session.accountMessage = `You're in the ${kit} test queue. A tester will contact you on Discord or in-game.`;
+  } catch (error) {
+    console.error("Failed to request tier test", error);
+    req.session.accountError = "Could not request a tier test. Please try again.";
+  }
+  res.redirect("/account");
+});
 
-    const { error: updateError } = await supabase
-      .from(EVENTS_TABLE)
-      .update({ bracket })
-      .eq("id", eventId);
-    if (updateError) throw updateError;
+app.post("/tests/:id/cancel", requireAuth, async (req, res) => {
+  const { data: cancelled, error } = await supabase
+    .from(TIER_TESTS_TABLE)
+    .update({ status: "cancelled" })
+    .eq("id", req.params.id)
+    .eq("user_id", req.session.user.id)
+    .eq("status", "queued")
+    .select("kit")
+    .maybeSingle();
+
+  if (error || !cancelled) {
+    if (error) console.error("Failed to cancel tier test", error);
+    req.session.accountError = "Only tests that are still waiting in the queue can be cancelled.";
+  } else {
+    req.session.accountMessage = `Your ${cancelled.kit} test request was cancelled.`;
+  }
+  res.redirect("/account");
+});
 
-    const { data: winnerRecord } = await supabase
-      .from(PLAYER_EVENT_RECORDS_TABLE)
-      .select("wins, losses")
-      .eq("event_id", event.id)
-      .eq("player_id", winnerPlayer.id)
-      .maybeSingle();
+// Testers sign in with their staff account; keep the old path working.
+app.get("/tester/login", (_, res) => res.redirect("/admin/login"));
 
-    await supabase.from(PLAYER_EVENT_RECORDS_TABLE).upsert(
-      [
-        {
-          event_id: event.id,
-          player_id: winnerPlayer.id,
-          wins: (winnerRecord?.wins || 0) + 1,
-          losses: winnerRecord?.losses || 0,
-        },
-      ],
-      { onConflict: "event_id,player_id" }
-    );
+app.get("/tester", requireAdmin("tests"), async (req, res) => {
+  const testerId = req.session.admin.id;
+  let queued = [];
+  let assigned = [];
+  let completed = [];
+  const currentTiers = {};
+  let queueError = null;
 
-    if (loserPlayer) {
-      const { data: loserRecord } = await supabase
-        .from(PLAYER_EVENT_RECORDS_TABLE)
-        .select("wins, losses")
-        .eq("event_id", event.id)
-        .eq("player_id", loserPlayer.id)
-        .maybeSingle();
-
-      await supabase.from(PLAYER_EVENT_RECORDS_TABLE).upsert(
-        [
-          {
-            event_id: event.id,
-            player_id: loserPlayer.id,
-            wins: loserRecord?.wins || 0,
-            losses: (loserRecord?.losses || 0) + 1,
-          },
-        ],
-        { onConflict: "event_id,player_id" }
-      );
+  try {
+    const columns = "*, players(username)";
+    const [queuedResult, assignedResult, completedResult] = await Promise.all([
+      supabase.from(TIER_TESTS_TABLE).select(columns).eq("status", "queued").order("requested_at", { ascending: true }),
+      supabase
+        .from(TIER_TESTS_TABLE)
+        .select(columns)
+        .eq("status", "assigned")
+        .eq("tester_id", testerId)
+        .order("assigned_at", { ascending: true }),
+      supabase
+        .from(TIER_TESTS_TABLE)
+        .select(columns)
+        .eq("status", "completed")
+        .eq("tester_id", testerId)
+        .order("completed_at", { ascending: false })
+        .limit(20),
+    ]);
+    for (const result of [queuedResult, assignedResult, completedResult]) {
+      if (result.error) throw result.error;
     }
+    queued = queuedResult.data || [];
+    assigned = assignedResult.data || [];
+    completed = completedResult.data || [];
 
-    req.session.adminMessage = "Match result recorded.";
-    res.redirect(`/admin/events/${eventId}`);
+    const playerIds = [...new Set([...queued, ...assigned].map(test => test.player_id))];
+    if (playerIds.length > 0) {
+      const { data: stats } = await supabase
+        .from("player_stats")
+        .select("player_id, game, kit, tier")
+        .in("player_id", playerIds);
+      (stats || []).forEach(stat => {
+        currentTiers[`${stat.player_id}:${stat.game}:${stat.kit}`] = stat.tier;
+      });
+    }
   } catch (error) {
-    console.error("Failed to record match", error);
-    req.session.adminError = "Failed to record match result.";
-    res.redirect(`/admin/events/${eventId}`);
+    console.error("Failed to load tier test queue", error);
+    queueError = "The test queue is temporarily unavailable.";
   }
-});
-
-// Enhanced Admin Dashboard with management tables
-app.get("/admin/dashboard", requireAdmin, async (req, res) => {
-  const { data: games } = await supabase.from("games").select("*").order("name");
-  const { data: players } = await supabase.from("players").select("*").order("username");
-  const { data: stats } = await supabase
-    .from("player_stats")
-    .select("id, player_id, game, kit, tier, points, players(username)")
-    .order("points", { ascending: false });
-  const { data: events } = await supabase
-    .from(EVENTS_TABLE)
-    .select("id, name, game, kit, created_at")
-    .order("created_at", { ascending: false });
 
   const adminMessage = req.session.adminMessage || null;
-  const adminError = req.session.adminError || null;
+  const adminError = req.session.adminError || queueError;
   req.session.adminMessage = null;
   req.session.adminError = null;
 
-  res.render("admin-dashboard", {
-    admin: req.session.admin,
-    games: (() => {
-      const minecraftGames = (games || []).filter(game => game.name?.toLowerCase() === "minecraft");
-      return minecraftGames.length > 0 ? minecraftGames : games || [];
-    })(),
-    players: players || [],
-    stats: stats || [],
-    events: events || [],
+  res.render("tester-queue", {
+    tester: req.session.admin,
+    queued,
+    assigned,
+    completed,
+    currentTiers,
+    gameTiers: Object.fromEntries(res.locals.navGames.map(game => [game.name, game.tiers])),
     TIERS,
     adminMessage,
     adminError,
-    pageTitle: "Admin Dashboard",
+    pageTitle: "Tier Test Queue",
     navActive: null,
   });
 });
 
+app.post("/tester/tests/:id/claim", requireAdmin("tests"), async (req, res) => {
+  const { data: claimed, error } = await supabase
+    .from(TIER_TESTS_TABLE)
+    .update({ status: "assigned", tester_id: req.session.admin.id, assigned_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .eq("status", "queued")
+    .select("player_id, kit, players(username)")
+    .maybeSingle();
+
+  if (error || !claimed) {
+    if (error) console.error("Failed to claim tier test", error);
+    req.session.adminError = "That test has already been claimed or cancelled.";
+  } else {
+    await recordAudit(req, {
+      action: "test.claim",
+      table: TIER_TESTS_TABLE,
+      targetId: req.params.id,
+      playerId: claimed.player_id,
+      before: { status: "queued" },
+      after: { status: "assigned", kit: claimed.kit },
+    });
+    req.session.adminMessage = `You're testing ${claimed.players?.username || "this player"} in ${claimed.kit}.`;
+  }
+  res.redirect("/tester");
+});
+
+app.post("/tester/tests/:id/release", requireAdmin("tests"), async (req, res) => {
+  const { data: released, error } = await supabase
+    .from(TIER_TESTS_TABLE)
+    .update({ status: "queued", tester_id: null, assigned_at: null })
+    .eq("id", req.params.id)
+    .eq("tester_id", req.session.admin.id)
+    .eq("status", "assigned")
+    .select("id, player_id, kit")
+    .maybeSingle();
+
+  if (error || !released) {
+    if (error) console.error("Failed to release tier test", error);
+    req.session.adminError = "That test is not assigned to you.";
+  } else {
+    await recordAudit(req, {
+      action: "test.release",
+      table: TIER_TESTS_TABLE,
+      targetId: released.id,
+      playerId: released.player_id,
+      before: { status: "assigned", kit: released.kit },
+      after: { status: "queued" },
+    });
+    req.session.adminMessage = "Test returned to the queue.";
+  }
+  res.redirect("/tester");
+});
+
+// Records the tester's verdict and applies it to player_stats like an approved submission.
+app.post("/tester/tests/:id/result", requireAdmin("tests"), async (req, res) => {
+  const tier = req.body.tier;
+  const points = Math.max(0, parseInt(req.body.points, 10) || 0);
+  const notes = (req.body.notes || "").trim() || null;
+
+  try {
+    const { data: pending, error: pendingError } = await supabase
+      .from(TIER_TESTS_TABLE)
+      .select("game")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (pendingError) throw pendingError;
+    if (!pending || !(await ladderFor(pending.game)).includes(tier)) {
+      req.session.adminError = "Choose the tier this player earned.";
+      return res.redirect("/tester");
+    }
+
+    const { data: test, error } = await supabase
+      .from(TIER_TESTS_TABLE)
+      .update({ status: "completed", result_tier: tier, result_points: points, notes, completed_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("tester_id", req.session.admin.id)
+      .eq("status", "assigned")
+      .select("*, players(*)")
+      .maybeSingle();
+    if (error) throw error;
+    if (!test || !test.players) {
+      req.session.adminError = "That test is not assigned to you.";
+      return res.redirect("/tester");
+    }
+
+    try {
+      const { previous } = await applyTierResult({
+        player: test.players,
+        game: test.game,
+        kit: test.kit,
+        tier,
+        points,
+        source: "test",
+        sourceId: test.id,
+        changedBy: req.session.admin.username,
+      });
+      await supabase.from(TIER_TESTS_TABLE).update({ previous_tier: previous?.tier || null }).eq("id", test.id);
+      await recordAudit(req, {
+        action: "test.result",
+        table: TIER_TESTS_TABLE,
+        targetId: test.id,
+        playerId: test.player_id,
+        before: previous ? { kit: test.kit, tier: previous.tier, points: previous.points } : null,
+        after: { kit: test.kit, tier, points, notes },
+      });
+    } catch (applyError) {
+      await supabase
+        .from(TIER_TESTS_TABLE)
+        .update({ status: "assigned", result_tier: null, result_points: null, notes: null, completed_at: null })
+        .eq("id", test.id);
+      throw applyError;
+    }
+
+    req.session.adminMessage = `${test.players.username} is now ${tier} in ${test.kit}.`;
+  } catch (error) {
+    console.error("Failed to record tier test result", error);
+    req.session.adminError = error?.message ? `Failed to record result: ${error.message}` : "Failed to record result.";
+  }
+  res.redirect("/tester");
+});
 
 // -------------------- COMPARE --------------------
-app.get("/compare", async (req, res) => {
-  const { player1, player2 } = req.query;
-  if (!player1 || !player2)
-    return res.render("compare", { error: "Please enter both players.", pageTitle: "Compare Players", navActive: null });
-
-  const { data: p1 } = await supabase.from("players").select("*").eq("username", player1).single();
-  const { data: p2 } = await supabase.from("players").select("*").eq("username", player2).single();
-  if (!p1 || !p2)
-    return res.render("compare", { error: "Player not found.", pageTitle: "Compare Players", navActive: null });
-
-  const { data: s1 } = await supabase.from("player_stats").select("*").eq("player_id", p1.id);
-  const { data: s2 } = await supabase.from("player_stats").select("*").eq("player_id", p2.id);
-
-  const total1 = s1.reduce((a, s) => a + s.points, 0);
-  const total2 = s2.reduce((a, s) => a + s.points, 0);
-
-  const totalGames1 = s1.length;
-  const totalGames2 = s2.length;
-
-  const avg1 = totalGames1 > 0 ? (total1 / totalGames1).toFixed(1) : 0;
-  const avg2 = totalGames2 > 0 ? (total2 / totalGames2).toFixed(1) : 0;
-
-  const winRate1 = (total1 + total2) > 0 ? ((total1 / (total1 + total2)) * 100).toFixed(1) : 0;
-  const winRate2 = (total1 + total2) > 0 ? ((total2 / (total1 + total2)) * 100).toFixed(1) : 0;
-
-  const kits1 = [...new Set(s1.map(s => `${s.kit} (${s.tier})`))];
-  const kits2 = [...new Set(s2.map(s => `${s.kit} (${s.tier})`))];
-
-  res.render("compare", {
-    player1: p1,
-    player2: p2,
-    total1,
-    total2,
-    totalGames1,
-    totalGames2,
-    avg1,
-    avg2,
-    winRate1,
-    winRate2,
-    kits1,
-    kits2,
-    error: null,
-    pageTitle: "Compare Players",
-    navActive: null,
+// Links name players as player1..player4, matching the compare form fields.
+function parseComparePlayers(query) {
+  const names = [];
+  for (let slot = 1; slot <= MAX_COMPARE_PLAYERS; slot += 1) {
+    const name = String(query[`player${slot}`] || "").trim();
+    if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) names.push(name);
+  }
+  return names;
+}
+
+function compareQuery(usernames) {
+  const params = new URLSearchParams();
+  usernames.forEach((username, index) => params.set(`player${index + 1}`, username));
+  return params.toString();
+}
+
+// Resolves the names and loads what buildComparison needs. Returns { missing }
+// when any player does not exist.
+async function loadComparison(usernames) {
+  const { data: players, error } = await supabase.from("players").select("id, username").in("username", usernames);
+  if (error) throw error;
+  const ordered = usernames.map(name => (players || []).find(player => player.username === name));
+  const missing = usernames.filter((name, index) => !ordered[index]);
+  if (missing.length > 0) return { missing };
+
+  const ids = ordered.map(player => player.id);
+  const [statsResult, recordsResult, games] = await Promise.all([
+    supabase.from("player_stats").select("player_id, game, kit, tier, points, rating").in("player_id", ids),
+    supabase.from(PLAYER_EVENT_RECORDS_TABLE).select("event_id, player_id, wins, losses").in("player_id", ids),
+    gameCatalog.listGames(),
+  ]);
+  if (statsResult.error) throw statsResult.error;
+  if (recordsResult.error) throw recordsResult.error;
+
+  const entrants = new Map();
+  (recordsResult.data || []).forEach(record => {
+    const key = String(record.event_id);
+    entrants.set(key, (entrants.get(key) || 0) + 1);
   });
+  const sharedEventIds = [...entrants].filter(([, count]) => count > 1).map(([eventId]) => eventId);
+
+  let events = [];
+  if (sharedEventIds.length > 0) {
+    const { data, error: eventsError } = await supabase
+      .from(EVENTS_TABLE)
+      .select("id, name, game, kit, bracket, created_at")
+      .in("id", sharedEventIds);
+    if (eventsError) throw eventsError;
+    events = data || [];
+  }
+
+  return {
+    comparison: buildComparison({
+      players: ordered,
+      stats: statsResult.data || [],
+      records: recordsResult.data || [],
+      events,
+      ladders: Object.fromEntries(games.map(game => [game.name, game.tiers])),
+    }),
+  };
+}
+
+app.get("/compare", async (req, res) => {
+  const usernames = parseComparePlayers(req.query);
+  const renderCompare = (locals = {}) =>
+    res.render("compare", {
+      usernames,
+      comparison: null,
+      shareUrl: null,
+      cardUrl: null,
+      maxPlayers: MAX_COMPARE_PLAYERS,
+      error: null,
+      pageTitle: "Compare Players",
+      navActive: null,
+      ...locals,
+    });
+
+  if (usernames.length === 0) return renderCompare();
+  if (usernames.length < 2) return renderCompare({ error: "Please enter at least two different players." });
+
+  try {
+    const { comparison, missing } = await loadComparison(usernames);
+    if (missing) return renderCompare({ error: `Player not found: ${missing.join(", ")}.` });
+    // Share links are only shown on the page, so the request host is fine without PUBLIC_BASE_URL.
+    const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const query = compareQuery(usernames);
+    return renderCompare({
+      comparison,
+      shareUrl: `${baseUrl}/compare?${query}`,
+      cardUrl: `${baseUrl}/compare/card.png?${query}`,
+      pageTitle: `${usernames.join(" vs ")} | Compare Players`,
+    });
+  } catch (error) {
+    console.error("Failed to compare players", error);
+    return renderCompare({ error: "We couldn't load this comparison right now. Please try again later." });
+  }
 });
 
+// Link previews on Discord, X and Facebook don't render SVG, so og:image points at the PNG.
+async function sendComparisonCard(req, res, format) {
+  const usernames = parseComparePlayers(req.query);
+  if (usernames.length < 2) return res.status(400).type("text/plain").send("Pick at least two players.");
+  try {
+    const { comparison, missing } = await loadComparison(usernames);
+    if (missing) return res.status(404).type("text/plain").send("Player not found.");
+    const svg = renderComparisonCard(comparison);
+    res.set("Cache-Control", "public, max-age=300");
+    if (format === "svg") return res.type("image/svg+xml").send(svg);
+    res.type("image/png").send(await sharp(Buffer.from(svg)).png().toBuffer());
+  } catch (error) {
+    console.error("Failed to render comparison card", error);
+    res.status(500).type("text/plain").send("Failed to render comparison.");
+  }
+}
+
+app.get("/compare/card.svg", (req, res) => sendComparisonCard(req, res, "svg"));
+app.get("/compare/card.png", (req, res) => sendComparisonCard(req, res, "png"));
+
 // -------------------- SUBMIT --------------------
-app.get("/submit", (_, res) =>
-  res.render("submit", { error: null, success: null, pageTitle: "Submit Proof", navActive: "submit" })
-);
+function renderSubmit(res, game, { error = null, success = null } = {}) {
+  res.render("submit", {
+    error,
+    success,
+    games: res.locals.navGames,
+    game,
+    pageTitle: "Submit Proof",
+    navActive: "submit",
+  });
+}
+
+app.get("/submit", async (req, res) => {
+  let game = null;
+  try {
+    game = await gameCatalog.findGame(req.query.game);
+  } catch (error) {
+    console.error("Failed to load submit game", error);
+  }
+  renderSubmit(res, game || res.locals.currentGame);
+});
 
-app.post("/submit", upload.single("screenshot"), async (req, res) => {
+app.post("/submit", acceptProofUpload, verifyCsrf, async (req, res) => {
+  let screenshot = null;
+  let gameConfig = null;
   try {
-    const { player_name, game, kit, tier, points } = req.body;
-    const screenshot = req.file ? req.file.filename : null;
+    const { player_name, kit, tier, points, notes } = req.body;
+    gameConfig = await gameCatalog.findGame(req.body.game);
 
-    if (!TIERS.includes(tier)) {
-      return res.render("submit", {
-        error: "Invalid tier selected",
-        success: null,
-        pageTitle: "Submit Proof",
-        navActive: "submit",
-      });
+    if (req.proofError) {
+      return renderSubmit(res, gameConfig || res.locals.currentGame, { error: req.proofError });
     }
 
-    let { data: player } = await supabase
-      .from("players")
-      .select("*")
-      .eq("username", player_name)
-      .limit(1);
+    if (!gameConfig) {
+      return renderSubmit(res, res.locals.currentGame, { error: "Choose a game to submit for." });
+    }
 
-    if (!player || player.length === 0) {
-      const { data: created } = await supabase
-        .from("players")
-        .insert([{ username: player_name }])
-        .select()
-        .single();
-      player = created;
-    } else {
-      player = player[0];
+    if (!gameConfig.tiers.includes(tier)) {
+      return renderSubmit(res, gameConfig, { error: "Invalid tier selected" });
     }
 
-    const { data: existing } = await supabase
-      .from("player_stats")
-      .select("*")
-      .eq("player_id", player.id)
-      .eq("game", game)
-      .eq("kit", kit)
-      .maybeSingle();
+    if (!player_name || !kit) {
+      return renderSubmit(res, gameConfig, { error: "Player name, game, and kit are required." });
+    }
 
-    let updated = false;
-    if (existing) {
-      await supabase
-        .from("player_stats")
-        .update({ tier, points: parseInt(points) || existing.points })
-        .eq("id", existing.id);
-      updated = true;
-    } else {
-      await supabase.from("player_stats").insert([
-        {
-          player_id: player.id,
-          game,
-          kit,
-          tier,
-          points: parseInt(points) || 0,
-        },
-      ]);
+    if (gameConfig.kits.length > 0 && !gameConfig.kits.includes(kit)) {
+      return renderSubmit(res, gameConfig, { error: `Choose one of the ${gameConfig.name} kits.` });
+    }
+
+    if (req.file) {
+      try {
+        screenshot = await storeProofImage(req.file);
+      } catch (error) {
+        console.error("Failed to process proof screenshot", error);
+        return renderSubmit(res, gameConfig, {
+          error: "That screenshot couldn't be processed. Try saving it again as a PNG or JPEG.",
+        });
+      }
     }
 
-    await supabase.from("submissions").insert([
+    // Submissions only reference an existing player; unknown names are created on approval.
+    const { data: player } = await supabase
+      .from("players")
+      .select("id")
+      .eq("username", player_name)
+      .maybeSingle();
+
+    const { error: insertError } = await supabase.from(SUBMISSIONS_TABLE).insert([
       {
-        player_id: player.id,
+        player_id: player?.id || null,
+        user_id: req.session.user?.id || null,
         player_name,
-        game,
+        game: gameConfig.name,
         kit,
         tier,
         points: parseInt(points) || 0,
         screenshot,
+        notes: notes?.trim() || null,
+        status: "pending",
       },
     ]);
+    if (insertError) throw insertError;
 
-    await checkAndAwardAchievements(player.id, parseInt(points) || 0, tier);
-
-    // ✅ Send Discord notification
-    await sendDiscordTierUpdate({
-      username: player.username,
-      game,
-      kit,
-      tier,
-      updated,
-    });
-
-    res.render("submit", {
-      success: updated
-        ? "Tier updated successfully and notification sent!"
+    renderSubmit(res, gameConfig, {
+      success: req.session.user
+        ? "Submission received. Awaiting admin review — track its status from your account page."
         : "Submission received. Awaiting admin review.",
-      error: null,
-      pageTitle: "Submit Proof",
-      navActive: "submit",
     });
   } catch (err) {
     console.error(err);
-    res.render("submit", {
-      error: "Submission failed.",
-      success: null,
-      pageTitle: "Submit Proof",
-      navActive: "submit",
-    });
+    if (screenshot) await removeProofImage(screenshot);
+    renderSubmit(res, gameConfig || res.locals.currentGame, { error: "Submission failed." });
+  }
+});
+
+// -------------------- JSON API (v1) --------------------
+const API_DEFAULT_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+const api = express.Router();
+
+api.use(cors({ exposedHeaders: ["ETag"] }));
+
+function sendApiError(res, status, code, message) {
+  return res.status(status).json({ error: { status, code, message } });
+}
+
+// Responses carry a strong ETag so overlays polling the API get cheap 304s.
+function sendApiData(req, res, payload) {
+  const body = JSON.stringify(payload);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", "public, max-age=15");
+  if (req.fresh) return res.status(304).end();
+  res.type("application/json").send(body);
+}
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const perPage = Math.min(API_MAX_PAGE_SIZE, Math.max(1, parseInt(query.per_page, 10) || API_DEFAULT_PAGE_SIZE));
+  return { page, perPage };
+}
+
+function paginate(items, { page, perPage }) {
+  const start = (page - 1) * perPage;
+  return {
+    data: items.slice(start, start + perPage),
+    pagination: {
+      page,
+      perPage,
+      total: items.length,
+      totalPages: Math.max(1, Math.ceil(items.length / perPage)),
+    },
+  };
+}
+
+function serializeLeaderboardEntry(entry) {
+  return {
+    rank: entry.rank,
+    player: { id: entry.player_id, username: entry.players?.username || null },
+    totalPoints: entry.total_points,
+    bestTier: entry.best_tier ?? null,
+    topRating: entry.top_rating,
+    kits: entry.kits,
+  };
+}
+
+function serializeEvent(event) {
+  return {
+    id: event.id,
+    name: event.name,
+    game: event.game,
+    kit: event.kit,
+    tiers: event.tiers || [],
+    status: effectiveEventStatus(event),
+    startsAt: event.starts_at || null,
+    createdAt: event.created_at,
+  };
+}
+
+api.get("/games", async (req, res) => {
+  const games = await gameCatalog.listGames();
+  sendApiData(req, res, {
+    data: games.map(game => ({ id: game.id, name: game.name, slug: game.slug, tiers: game.tiers, kits: game.kits })),
+  });
+});
+
+api.get("/games/:game/leaderboard", async (req, res) => {
+  const kit = (req.query.kit || "").trim() || null;
+  const ladder = await ladderFor(req.params.game);
+  const tiers = [].concat(req.query.tier || [])
+    .flatMap(tier => String(tier).split(","))
+    .filter(tier => ladder.includes(tier));
+  const { page, perPage } = parsePagination(req.query);
+  const leaderboard = await loadLeaderboardPage(req.params.game, { kit, tiers, sort: req.query.sort, page, perPage });
+  sendApiData(req, res, {
+    game: req.params.game,
+    kit,
+    tiers: leaderboard.tiers,
+    sort: leaderboard.sort,
+    data: leaderboard.entries.map(serializeLeaderboardEntry),
+    pagination: {
+      page: leaderboard.page,
+      perPage: leaderboard.perPage,
+      total: leaderboard.total,
+      totalPages: leaderboard.totalPages,
+    },
+  });
+});
+
+// Type-ahead suggestions for the navbar, search and compare inputs.
+api.get("/search/players", async (req, res) => {
+  const query = String(req.query.q || "").trim().slice(0, 64);
+  const game = (await gameCatalog.findGame(req.query.game || DEFAULT_GAME_NAME)) || defaultGame();
+  if (query.length < 2) return sendApiData(req, res, { query, game: game.name, data: [] });
+  const search = await searchPlayers(game.name, { query, perPage: AUTOCOMPLETE_LIMIT });
+  sendApiData(req, res, {
+    query,
+    game: game.name,
+    data: search.players.map(player => ({
+      username: player.username,
+      minecraftUsername: player.minecraft_username || null,
+      profileUrl: `/profile/${encodeURIComponent(player.username)}`,
+    })),
+  });
+});
+
+api.get("/players/:username", async (req, res) => {
+  const profile = await loadPlayerProfile(req.params.username);
+  if (!profile) return sendApiError(res, 404, "player_not_found", "Player not found.");
+  const { player, stats, achievements, eventRecords, totalPoints } = profile;
+  let avatarGame = null;
+  try {
+    avatarGame = (await primaryGameFor(stats)) || (await gameCatalog.findGame(DEFAULT_GAME_NAME));
+  } catch (error) {
+    console.error("Failed to load player game", error);
+  }
+
+  sendApiData(req, res, {
+    data: {
+      id: player.id,
+      username: player.username,
+      minecraftUsername: player.minecraft_username || null,
+      renderUrl: avatarUrlFor(avatarGame, player),
+      totalPoints,
+      stats,
+      achievements: achievements.map(item => ({
+        name: item.achievements?.name || null,
+        description: item.achievements?.description || null,
+        icon: item.achievements?.icon || null,
+        earnedAt: item.earned_at,
+      })),
+      eventRecords: eventRecords.map(record => ({
+        eventId: record.event_id,
+        name: record.events?.name || null,
+        game: record.events?.game || null,
+        kit: record.events?.kit || null,
+        wins: record.wins || 0,
+        losses: record.losses || 0,
+        place: record.place ?? null,
+        placeTo: record.place_to ?? null,
+        pointsAwarded: record.points_awarded || 0,
+      })),
+    },
+  });
+});
+
+api.get("/players/:username/history", async (req, res) => {
+  const { data: player, error } = await supabase
+    .from("players")
+    .select("id, username")
+    .eq("username", req.params.username)
+    .maybeSingle();
+  if (error) throw error;
+  if (!player) return sendApiError(res, 404, "player_not_found", "Player not found.");
+
+  const game = (req.query.game || "").trim() || null;
+  const kit = (req.query.kit || "").trim() || null;
+  const history = await loadStatHistory(player.id, { game, kit });
+  sendApiData(req, res, {
+    player: { id: player.id, username: player.username },
+    game,
+    kit,
+    ...paginate(
+      history.map(entry => ({
+        id: entry.id,
+        game: entry.game,
+        kit: entry.kit,
+        oldTier: entry.old_tier,
+        newTier: entry.new_tier,
+        oldPoints: entry.old_points,
+        newPoints: entry.new_points,
+        source: entry.source,
+        sourceId: entry.source_id,
+        changedBy: entry.changed_by,
+        createdAt: entry.created_at,
+      })),
+      parsePagination(req.query)
+    ),
+  });
+});
+
+api.get("/events", async (req, res) => {
+  let query = supabase
+    .from(EVENTS_TABLE)
+    .select("id, name, game, kit, tiers, status, starts_at, check_in_minutes, created_at")
+    .in("status", PUBLIC_EVENT_STATUSES)
+    .order("created_at", { ascending: false });
+  if (req.query.game) query = query.eq("game", req.query.game);
+  if (req.query.kit) query = query.eq("kit", req.query.kit);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  sendApiData(req, res, paginate((data || []).map(serializeEvent), parsePagination(req.query)));
+});
+
+async function loadApiEvent(req, res) {
+  const { data: event, error } = await supabase
+    .from(EVENTS_TABLE)
+    .select("*")
+    .eq("id", req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!event || effectiveEventStatus(event) === "draft") {
+    sendApiError(res, 404, "event_not_found", "Event not found.");
+    return null;
   }
+  return event;
+}
+
+api.get("/events/:id", async (req, res) => {
+  const event = await loadApiEvent(req, res);
+  if (!event) return;
+
+  const { data: records, error } = await supabase
+    .from(PLAYER_EVENT_RECORDS_TABLE)
+    .select("player_id, wins, losses, place, place_to, points_awarded, players(username)")
+    .eq("event_id", event.id);
+  if (error) throw error;
+
+  sendApiData(req, res, {
+    data: {
+      ...serializeEvent(event),
+      bracket: parseBracket(event.bracket),
+      records: (records || []).map(record => ({
+        player: { id: record.player_id, username: record.players?.username || null },
+        wins: record.wins || 0,
+        losses: record.losses || 0,
+        place: record.place ?? null,
+        placeTo: record.place_to ?? null,
+        pointsAwarded: record.points_awarded || 0,
+      })),
+    },
+  });
+});
+
+api.get("/events/:id/bracket", async (req, res) => {
+  const event = await loadApiEvent(req, res);
+  if (!event) return;
+  sendApiData(req, res, { eventId: event.id, bracket: parseBracket(event.bracket) });
 });
 
+api.use((req, res) => sendApiError(res, 404, "not_found", "Unknown API endpoint."));
+
+api.use((error, req, res, next) => {
+  console.error("API request failed", error);
+  if (error?.status === 408) return sendApiError(res, 504, "upstream_timeout", "The data source timed out.");
+  sendApiError(res, 500, "internal_error", "Something went wrong while loading this resource.");
+});
+
+app.use("/api/v1", api);
+
 // -------------------- START SERVER --------------------
 app.listen(PORT, () => console.log(`🚀 RankTiers running at http://localhost:${PORT}`));
@@ -0,0 +1,56 @@
+// Outgoing email behind a small transport interface: { send(message) }.
+// MAIL_TRANSPORT picks the built-in transport: "log" prints messages to the
+// console, "file" appends them to MAIL_FILE, and "smtp" sends through
+// nodemailer using SMTP_URL. Tests or other providers can pass their own.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_MAIL_FILE = "mail.log";
+
+function formatMessage({ from, to, subject, text }) {
+  return [`Date: ${new Date().toISOString()}`, `From: ${from}`, `To: ${to}`, `Subject: ${subject}`, "", text, ""].join("\n");
+}
+
+const transports = {
+  log() {
+    return {
+      async send(message) {
+        console.log(`[mail]\n${formatMessage(message)}`);
+      },
+    };
+  },
+
+  file({ file = DEFAULT_MAIL_FILE } = {}) {
+    const target = path.resolve(file);
+    return {
+      async send(message) {
+        await fs.promises.appendFile(target, `${formatMessage(message)}----\n`);
+      },
+    };
+  },
+
+  smtp({ url } = {}) {
+    if (!url) throw new Error("SMTP_URL is required for the smtp mail transport.");
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport(url);
+    return {
+      async send(message) {
+        await transporter.sendMail(message);
+      },
+    };
+  },
+};
+
+function createMailer({ transport = "log", from = "RankTiers <no-reply@ranktiers.gg>", ...options } = {}) {
+  const resolved = typeof transport === "string" ? transports[transport]?.(options) : transport;
+  if (!resolved || typeof resolved.send !== "function") throw new Error(`Unknown mail transport: ${transport}`);
+
+  return {
+    async send({ to, subject, text }) {
+      await resolved.send({ from, to, subject, text });
+    },
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,77 @@
+// Where submission proofs live, behind a small interface:
+// { save(name, buffer, contentType), read(name) -> { buffer, contentType } | null, remove(names) }.
+// PROOF_STORAGE picks the backend: "local" keeps files in UPLOAD_DIR (never
+// served statically), "supabase" uses a private Supabase Storage bucket.
+
+const fs = require("fs");
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".webp": "image/webp",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+};
+
+function contentTypeFor(name) {
+  return CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+}
+
+const backends = {
+  local({ dir = "uploads" } = {}) {
+    const root = path.resolve(dir);
+    fs.mkdirSync(root, { recursive: true });
+    // Names come from the database; basename keeps old rows from reaching outside the directory.
+    const fileFor = name => path.join(root, path.basename(name));
+
+    return {
+      async save(name, buffer) {
+        await fs.promises.writeFile(fileFor(name), buffer, { flag: "wx" });
+      },
+      async read(name) {
+        try {
+          return { buffer: await fs.promises.readFile(fileFor(name)), contentType: contentTypeFor(name) };
+        } catch (error) {
+          if (error.code === "ENOENT") return null;
+          throw error;
+        }
+      },
+      async remove(names) {
+        await Promise.all(names.map(name => fs.promises.rm(fileFor(name), { force: true })));
+      },
+    };
+  },
+
+  supabase({ supabase, bucket = "proofs" } = {}) {
+    if (!supabase) throw new Error("The supabase proof storage backend needs a Supabase client.");
+    const files = () => supabase.storage.from(bucket);
+
+    return {
+      async save(name, buffer, contentType) {
+        const { error } = await files().upload(name, buffer, { contentType, upsert: false });
+        if (error) throw error;
+      },
+      async read(name) {
+        const { data, error } = await files().download(name);
+        if (error) {
+          if (String(error.statusCode || error.status) === "404" || /not found/i.test(error.message || "")) return null;
+          throw error;
+        }
+        return { buffer: Buffer.from(await data.arrayBuffer()), contentType: data.type || contentTypeFor(name) };
+      },
+      async remove(names) {
+        const { error } = await files().remove(names);
+        if (error) throw error;
+      },
+    };
+  },
+};
+
+function createProofStorage({ backend = "local", ...options } = {}) {
+  const create = backends[backend];
+  if (!create) throw new Error(`Unknown proof storage backend: ${backend}`);
+  return create(options);
+}
+
+module.exports = { createProofStorage };
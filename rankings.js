@@ -0,0 +1,291 @@
+// Leaderboard and profile queries shared by the website and the Discord bot,
+// so both report the same ranks, points and ratings. Aggregation happens in
+// the game_leaderboard SQL function; results are cached per process for a
+// short TTL and dropped early by invalidateLeaderboards() after stat changes:
+// the website calls it after its own writes, the bot on realtime table changes.
+
+// Default tier ladder, weakest first. Games can configure their own (see games.js).
+const TIERS = ["LT5", "HT5", "LT4", "HT4", "LT3", "HT3", "LT2", "HT2", "LT1", "HT1"];
+const DEFAULT_RATING = 1500;
+const PLAYER_EVENT_RECORDS_TABLE = "player_event_records";
+const SEASONS_TABLE = "seasons";
+const SEASON_STANDINGS_TABLE = "season_standings";
+const LEADERBOARD_SORTS = {
+  points: "Total points",
+  tier: "Best tier",
+  rating: "Top rating",
+};
+const DEFAULT_LEADERBOARD_SORT = "points";
+const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+// Caches the promise so concurrent callers share one query; failed loads are not kept.
+// Expired entries are dropped when read or when the cache fills, and past
+// MAX_CACHE_ENTRIES the oldest keys go first.
+function createTtlCache(ttlMs, { maxEntries = MAX_CACHE_ENTRIES } = {}) {
+  const entries = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+    for (const key of entries.keys()) {
+      if (entries.size < maxEntries) break;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    wrap(key, load) {
+      const now = Date.now();
+      const cached = entries.get(key);
+      if (cached && cached.expiresAt > now) return cached.value;
+      if (cached) entries.delete(key);
+      if (entries.size >= maxEntries) prune(now);
+      const value = load();
+      entries.set(key, { value, expiresAt: now + ttlMs });
+      value.catch(() => {
+        if (entries.get(key)?.value === value) entries.delete(key);
+      });
+      return value;
+    },
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+function serializeLeaderboardRow(row) {
+  return {
+    player_id: row.player_id,
+    players: {
+      username: row.username,
+      minecraft_uuid: row.minecraft_uuid,
+      minecraft_username: row.minecraft_username,
+    },
+    total_points: Number(row.total_points) || 0,
+    best_tier: row.best_tier,
+    top_rating: row.top_rating,
+    kits: row.kits || [],
+    rank: Number(row.rank),
+  };
+}
+
+function createRankings(supabase, { cacheTtlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  const cache = createTtlCache(cacheTtlMs);
+
+  function queryLeaderboard(params) {
+    return cache.wrap(`game_leaderboard:${JSON.stringify(params)}`, async () => {
+      const { data, error } = await supabase.rpc("game_leaderboard", params);
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  // One page of a game (or kit) leaderboard. Ranks come from the database and
+  // ignore the tier filter, so they stay stable across filters.
+  // Pass a closed season's id to read its archived standings instead of live stats.
+  // Games have their own ladders, so callers check tiers against the game's list.
+  async function loadLeaderboardPage(
+    game,
+    { kit = null, tiers = [], sort = DEFAULT_LEADERBOARD_SORT, page = 1, perPage = 25, seasonId = null } = {}
+  ) {
+    const validTiers = [...new Set(tiers.filter(tier => typeof tier === "string" && tier))];
+    const sortKey = LEADERBOARD_SORTS[sort] ? sort : DEFAULT_LEADERBOARD_SORT;
+    const fetchPage = pageNumber =>
+      queryLeaderboard({
+        p_game: game,
+        p_kit: kit || null,
+        p_tiers: validTiers.length > 0 ? validTiers : null,
+        p_sort: sortKey,
+        p_limit: perPage,
+        p_offset: (pageNumber - 1) * perPage,
+        p_season_id: seasonId || null,
+      });
+
+    let currentPage = Math.max(1, page);
+    let rows = await fetchPage(currentPage);
+    // Past the last page the function returns nothing, including the total; fall back to page one.
+    if (rows.length === 0 && currentPage > 1) {
+      currentPage = 1;
+      rows = await fetchPage(currentPage);
+    }
+
+    const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+    return {
+      entries: rows.map(serializeLeaderboardRow),
+      sort: sortKey,
+      tiers: validTiers,
+      page: currentPage,
+      perPage,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / perPage)),
+    };
+  }
+
+  // Leaderboard entries (with overall rank) for specific players, keyed by player id.
+  async function loadPlayerStandings(game, playerIds = []) {
+    const ids = [...new Set(playerIds.filter(Boolean).map(String))].sort();
+    if (ids.length === 0) return new Map();
+    const rows = await queryLeaderboard({
+      p_game: game,
+      p_player_ids: ids,
+      p_limit: ids.length,
+      p_offset: 0,
+    });
+    return new Map(rows.map(row => [String(row.player_id), serializeLeaderboardRow(row)]));
+  }
+
+  async function loadPlayerProfile(username) {
+    const { data: player } = await supabase.from("players").select("*").eq("username", username).maybeSingle();
+    if (!player) return null;
+
+    const { data: stats } = await supabase
+      .from("player_stats")
+      .select("game, kit, tier, points, rating, rated_matches")
+      .eq("player_id", player.id)
+      .order("points", { ascending: false });
+
+    const { data: achievements } = await supabase
+      .from("player_achievements")
+      .select("earned_at, achievements(name, description, icon)")
+      .eq("player_id", player.id);
+
+    const { data: eventRecords } = await supabase
+      .from(PLAYER_EVENT_RECORDS_TABLE)
+      .select("event_id, wins, losses, place, place_to, points_awarded, events(name, game, kit)")
+      .eq("player_id", player.id);
+
+    return {
+      player,
+      stats: stats || [],
+      achievements: achievements || [],
+      eventRecords: eventRecords || [],
+      totalPoints: (stats || []).reduce((a, s) => a + (s.points || 0), 0),
+    };
+  }
+
+  // Rank of a player within each game they have stats in, keyed by game name.
+  async function loadPlayerRanks(playerId, games = []) {
+    const ranks = {};
+    for (const game of games) {
+      const standing = (await loadPlayerStandings(game, [playerId])).get(String(playerId));
+      if (standing) ranks[game] = standing.rank;
+    }
+    return ranks;
+  }
+
+  // Fuzzy name search (search_players) with optional stat filters for one game.
+  // Tiers are checked against the game's ladder by the caller, like leaderboards.
+  async function searchPlayers(
+    game,
+    { query = "", kit = null, tiers = [], minPoints = null, maxPoints = null, page = 1, perPage = 20 } = {}
+  ) {
+    const validTiers = [...new Set(tiers.filter(tier => typeof tier === "string" && tier))];
+    // Free-text queries are not cached: every keystroke of the autocomplete is a new key.
+    const fetchPage = async pageNumber => {
+      const params = {
+        p_query: query,
+        p_game: game,
+        p_kit: kit || null,
+        p_tiers: validTiers.length > 0 ? validTiers : null,
+        p_min_points: Number.isInteger(minPoints) ? minPoints : null,
+        p_max_points: Number.isInteger(maxPoints) ? maxPoints : null,
+        p_limit: perPage,
+        p_offset: (pageNumber - 1) * perPage,
+      };
+      const { data, error } = await supabase.rpc("search_players", params);
+      if (error) throw error;
+      return data || [];
+    };
+
+    let currentPage = Math.max(1, page);
+    let rows = await fetchPage(currentPage);
+    if (rows.length === 0 && currentPage > 1) {
+      currentPage = 1;
+      rows = await fetchPage(currentPage);
+    }
+
+    const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+    return {
+      players: rows.map(row => ({
+        id: row.player_id,
+        username: row.username,
+        minecraft_uuid: row.minecraft_uuid,
+        minecraft_username: row.minecraft_username,
+        totalPoints: Number(row.total_points) || 0,
+      })),
+      page: currentPage,
+      perPage,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / perPage)),
+    };
+  }
+
+  async function searchPlayerNames(prefix = "", limit = 25) {
+    let query = supabase.from("players").select("username").order("username").limit(limit);
+    if (prefix) query = query.ilike("username", `${prefix.replace(/[%_]/g, "\\$&")}%`);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(row => row.username);
+  }
+
+  async function listGames() {
+    const { data, error } = await supabase.from("games").select("name").order("name");
+    if (error) throw error;
+    return (data || []).map(row => row.name);
+  }
+
+  async function listKits(game, { seasonId = null } = {}) {
+    if (game) {
+      return cache.wrap(`game_kits:${game}:${seasonId || "live"}`, async () => {
+        const { data, error } = await supabase.rpc("game_kits", { p_game: game, p_season_id: seasonId || null });
+        if (error) throw error;
+        return (data || []).map(row => row.kit).filter(Boolean);
+      });
+    }
+    const { data, error } = await supabase.from("player_stats").select("kit");
+    if (error) throw error;
+    return [...new Set((data || []).map(row => row.kit).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  }
+
+  async function listSeasons() {
+    return cache.wrap("seasons", async () => {
+      const { data, error } = await supabase
+        .from(SEASONS_TABLE)
+        .select("*")
+        .order("started_at", { ascending: false });
+      if (error) throw error;
+      return data || [];
+    });
+  }
+
+  // Archived finishes for one player, newest season first.
+  async function loadPlayerSeasonHistory(playerId) {
+    const { data, error } = await supabase
+      .from(SEASON_STANDINGS_TABLE)
+      .select("season_id, game, kit, tier, points, rating, kit_rank, seasons(name, started_at, ended_at)")
+      .eq("player_id", playerId);
+    if (error) throw error;
+    return (data || []).sort(
+      (a, b) =>
+        new Date(b.seasons?.started_at || 0) - new Date(a.seasons?.started_at || 0) ||
+        a.game.localeCompare(b.game) ||
+        a.kit.localeCompare(b.kit)
+    );
+  }
+
+  return {
+    loadLeaderboardPage,
+    loadPlayerStandings,
+    loadPlayerProfile,
+    loadPlayerRanks,
+    searchPlayers,
+    searchPlayerNames,
+    listGames,
+    listKits,
+    listSeasons,
+    loadPlayerSeasonHistory,
+    invalidateLeaderboards: cache.clear,
+  };
+}
+
+module.exports = { TIERS, DEFAULT_RATING, LEADERBOARD_SORTS, DEFAULT_LEADERBOARD_SORT, createRankings };
@@ -0,0 +1,31 @@
+// In-process fixed-window counters for throttling requests by key (IP address,
+// email, ...). Counters live per process, which is enough to blunt password
+// guessing; the per-account lockout in the database covers multiple instances.
+
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+  }
+
+  return {
+    // Counts one attempt and reports whether it is still within the limit.
+    hit(key) {
+      const now = Date.now();
+      if (windows.size > 10000) prune(now);
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { allowed: entry.count <= max, retryAfterMs: entry.resetAt - now };
+    },
+    reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,96 @@
+// express-session store backed by a Supabase table, so logins survive restarts
+// and are shared between instances. Expired rows are ignored on read and
+// pruned on an interval. Touches are throttled per process because
+// express-session touches on every request that doesn't modify the session.
+
+const DEFAULT_TABLE = "http_sessions";
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+const TOUCH_THROTTLE_MS = 5 * 60 * 1000;
+
+function settle(promise, callback = () => {}) {
+  promise.then(result => callback(null, result), error => callback(error));
+}
+
+function createSupabaseSessionStore(
+  session,
+  supabase,
+  { table = DEFAULT_TABLE, ttlMs = DEFAULT_TTL_MS, pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS } = {}
+) {
+  const lastTouched = new Map();
+
+  const expiryFor = sess => {
+    const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires) : null;
+    return expires && !Number.isNaN(expires.getTime()) ? expires : new Date(Date.now() + ttlMs);
+  };
+
+  class SupabaseSessionStore extends session.Store {
+    get(sid, callback) {
+      settle(
+        (async () => {
+          const { data, error } = await supabase
+            .from(table)
+            .select("sess")
+            .eq("sid", sid)
+            .gt("expires_at", new Date().toISOString())
+            .maybeSingle();
+          if (error) throw error;
+          return data?.sess || null;
+        })(),
+        callback
+      );
+    }
+
+    set(sid, sess, callback) {
+      settle(
+        (async () => {
+          const { error } = await supabase
+            .from(table)
+            .upsert([{ sid, sess, expires_at: expiryFor(sess).toISOString() }], { onConflict: "sid" });
+          if (error) throw error;
+          lastTouched.set(sid, Date.now());
+        })(),
+        callback
+      );
+    }
+
+    destroy(sid, callback) {
+      lastTouched.delete(sid);
+      settle(
+        (async () => {
+          const { error } = await supabase.from(table).delete().eq("sid", sid);
+          if (error) throw error;
+        })(),
+        callback
+      );
+    }
+
+    touch(sid, sess, callback) {
+      if (Date.now() - (lastTouched.get(sid) || 0) < TOUCH_THROTTLE_MS) return callback && callback();
+      settle(
+        (async () => {
+          const { error } = await supabase
+            .from(table)
+            .update({ expires_at: expiryFor(sess).toISOString() })
+            .eq("sid", sid);
+          if (error) throw error;
+          lastTouched.set(sid, Date.now());
+        })(),
+        callback
+      );
+    }
+
+    async prune() {
+      const { error } = await supabase.from(table).delete().lt("expires_at", new Date().toISOString());
+      if (error) console.error("Failed to prune expired sessions", error);
+      const cutoff = Date.now() - TOUCH_THROTTLE_MS;
+      for (const [sid, touchedAt] of lastTouched) if (touchedAt < cutoff) lastTouched.delete(sid);
+    }
+  }
+
+  const store = new SupabaseSessionStore();
+  if (pruneIntervalMs > 0) setInterval(() => store.prune(), pruneIntervalMs).unref();
+  return store;
+}
+
+module.exports = { createSupabaseSessionStore };
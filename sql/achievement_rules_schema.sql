@@ -0,0 +1,51 @@
+-- Rule-based achievements. condition_type names a rule from achievements.js;
+-- condition_value holds its point/count target or tier, condition_count the
+-- number of kits for kits_at_tier, and game/kit optionally narrow the rule.
+-- Awards are unique per player so re-evaluation and backfills are idempotent.
+
+create table if not exists public.achievements (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  description text,
+  icon text,
+  condition_type text not null,
+  condition_value text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.achievements
+  alter column condition_value type text using condition_value::text,
+  add column if not exists condition_count integer check (condition_count is null or condition_count >= 1),
+  add column if not exists game text,
+  add column if not exists kit text;
+
+alter table public.achievements drop constraint if exists achievements_condition_type_check;
+alter table public.achievements
+  add constraint achievements_condition_type_check
+  check (condition_type in (
+    'points',
+    'total_points',
+    'tier',
+    'kits_at_tier',
+    'event_wins',
+    'event_podiums',
+    'win_streak',
+    'first_to_tier'
+  ));
+
+create table if not exists public.player_achievements (
+  player_id uuid not null references public.players(id) on delete cascade,
+  achievement_id bigint not null references public.achievements(id) on delete cascade,
+  earned_at timestamptz not null default now()
+);
+
+-- Older installs could award the same achievement twice; keep the earliest.
+delete from public.player_achievements newer
+  using public.player_achievements older
+  where newer.player_id = older.player_id
+    and newer.achievement_id = older.achievement_id
+    and (newer.earned_at, newer.ctid) > (older.earned_at, older.ctid);
+
+create unique index if not exists player_achievements_player_achievement_idx
+  on public.player_achievements (player_id, achievement_id);
+create index if not exists player_achievements_achievement_idx on public.player_achievements (achievement_id);
@@ -0,0 +1,37 @@
+-- Append-only audit log of staff actions.
+-- Every admin mutation records who did it, what it touched and the values
+-- before and after. actor_id and player_id have no foreign keys so entries
+-- outlive the rows they mention. Updates and deletes are rejected by a trigger.
+
+create table if not exists public.admin_audit_log (
+  id bigint generated by default as identity primary key,
+  actor_id uuid,
+  actor_username text not null,
+  actor_role text,
+  action text not null,
+  target_table text,
+  target_id text,
+  player_id uuid,
+  before_data jsonb,
+  after_data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on public.admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_actor_idx on public.admin_audit_log (actor_username, created_at desc);
+create index if not exists admin_audit_log_table_idx on public.admin_audit_log (target_table, created_at desc);
+create index if not exists admin_audit_log_player_idx on public.admin_audit_log (player_id, created_at desc);
+
+create or replace function public.prevent_audit_log_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_append_only on public.admin_audit_log;
+create trigger admin_audit_log_append_only
+  before update or delete on public.admin_audit_log
+  for each row execute function public.prevent_audit_log_changes();
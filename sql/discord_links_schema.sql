@@ -0,0 +1,32 @@
+-- Discord identities linked to site accounts through OAuth2 on /account.
+-- The bot reads these rows to give each linked member a guild role for their
+-- best tier in every kit (e.g. "HT2 Sword").
+
+create table if not exists public.discord_links (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  discord_id text not null unique,
+  discord_username text,
+  linked_at timestamptz not null default now()
+);
+
+-- The bot listens for realtime changes on these tables to resync roles.
+-- Full replica identity makes deleted rows carry their player/user ids.
+alter table public.player_stats replica identity full;
+alter table public.discord_links replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'player_stats'
+  ) then
+    alter publication supabase_realtime add table public.player_stats;
+  end if;
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'discord_links'
+  ) then
+    alter publication supabase_realtime add table public.discord_links;
+  end if;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Bracket version: every bracket write bumps events.bracket_version and only
+-- applies when the version still matches the one the admin loaded, so two
+-- submissions of the same match result can't both be saved (and can't both
+-- move ratings and wins/losses).
+alter table public.events
+  add column if not exists bracket_version integer not null default 0;
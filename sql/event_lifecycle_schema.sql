@@ -0,0 +1,38 @@
+-- Event lifecycle: draft -> registration -> check_in -> live -> completed.
+-- Events now start empty; players register from the event page, check in
+-- during the window before starts_at, and the bracket is generated from the
+-- checked-in players when an admin starts the event. The bracket settings
+-- chosen at creation are kept on the row until then.
+
+-- Existing events already have brackets, so they are backfilled as live
+-- before new rows default to draft.
+alter table public.events
+  add column if not exists status text not null default 'live',
+  add column if not exists starts_at timestamptz,
+  add column if not exists check_in_minutes integer not null default 30 check (check_in_minutes >= 0),
+  add column if not exists format text,
+  add column if not exists seed_by text,
+  add column if not exists group_count integer check (group_count is null or group_count >= 1),
+  add column if not exists advance_per_group integer check (advance_per_group is null or advance_per_group >= 0),
+  add column if not exists started_at timestamptz;
+
+alter table public.events alter column status set default 'draft';
+
+alter table public.events drop constraint if exists events_status_check;
+alter table public.events
+  add constraint events_status_check
+  check (status in ('draft', 'registration', 'check_in', 'live', 'completed'));
+
+create index if not exists events_status_starts_at_idx on public.events (status, starts_at);
+
+create table if not exists public.event_registrations (
+  event_id bigint not null references public.events(id) on delete cascade,
+  player_id uuid not null references public.players(id) on delete cascade,
+  user_id uuid references public.users(id) on delete set null,
+  registered_at timestamptz not null default now(),
+  checked_in_at timestamptz,
+  primary key (event_id, player_id)
+);
+
+create index if not exists event_registrations_player_idx on public.event_registrations (player_id);
+create index if not exists event_registrations_user_idx on public.event_registrations (user_id);
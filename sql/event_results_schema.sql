@@ -0,0 +1,138 @@
+-- Event results: when the last bracket match is reported the event completes,
+-- every entrant gets a final placement on their event record, and placement
+-- points are added to the event kit's player_stats. points_awarded keeps what
+-- was paid so a correction to a completed bracket can take it back.
+
+alter table public.player_event_records
+  add column if not exists place integer check (place is null or place >= 1),
+  add column if not exists place_to integer,
+  add column if not exists points_awarded integer not null default 0;
+
+-- Placement points keyed by place, e.g. {"1": 50, "2": 30, "3": 20, "5": 10, "9": 0};
+-- each place pays down to the next key. Null uses the site default and {} pays nothing.
+alter table public.events
+  add column if not exists placement_points jsonb,
+  add column if not exists completed_at timestamptz;
+
+create index if not exists player_event_records_player_place_idx
+  on public.player_event_records (player_id, place)
+  where place is not null;
+
+-- Pays out a decided event in one transaction. p_results holds
+-- [{player_id, place, place_to, points}] computed by the app; points only land
+-- on an existing player_stats row for the event's game and kit, as an increment
+-- so concurrent stat edits are kept. The status flips last, and an event that
+-- is no longer live returns no rows, so repeating the call can't pay twice.
+create or replace function public.complete_event(p_event_id bigint, p_results jsonb, p_changed_by text)
+returns table (awarded_player_id uuid, awarded_points integer)
+language plpgsql
+as $$
+declare
+  v_event public.events%rowtype;
+begin
+  select * into v_event from public.events where id = p_event_id for update;
+  if not found or v_event.status <> 'live' then
+    return;
+  end if;
+
+  return query
+  with results as (
+    select
+      (r->>'player_id')::uuid as player_id,
+      (r->>'place')::integer as place,
+      (r->>'place_to')::integer as place_to,
+      greatest(0, coalesce((r->>'points')::integer, 0)) as points
+    from jsonb_array_elements(p_results) r
+  ),
+  paid as (
+    update public.player_stats s
+    set points = coalesce(s.points, 0) + r.points
+    from results r
+    where s.player_id = r.player_id and s.game = v_event.game and s.kit = v_event.kit and r.points > 0
+    returning s.id, s.player_id, s.game, s.kit, s.tier, s.points - r.points as old_points, s.points as new_points
+  ),
+  logged as (
+    insert into public.player_stat_history
+      (stat_id, player_id, game, kit, old_tier, new_tier, old_points, new_points, source, source_id, changed_by)
+    select p.id::text, p.player_id, p.game, p.kit, p.tier, p.tier, p.old_points, p.new_points, 'event', p_event_id::text, p_changed_by
+    from paid p
+  ),
+  recorded as (
+    insert into public.player_event_records as e (event_id, player_id, place, place_to, points_awarded)
+    select
+      p_event_id,
+      r.player_id,
+      r.place,
+      r.place_to,
+      case when exists (select 1 from paid p where p.player_id = r.player_id) then r.points else 0 end
+    from results r
+    on conflict (event_id, player_id) do update
+      set place = excluded.place, place_to = excluded.place_to, points_awarded = excluded.points_awarded
+    returning e.player_id, e.points_awarded
+  )
+  select recorded.player_id, recorded.points_awarded from recorded;
+
+  update public.events set status = 'completed', completed_at = now() where id = p_event_id;
+end;
+$$;
+
+-- Undoes complete_event before a completed bracket is corrected: takes the paid
+-- points back, clears placements and reopens the event. Returns how many
+-- players had points taken back, or null when the event wasn't completed.
+create or replace function public.reopen_event(p_event_id bigint, p_changed_by text)
+returns integer
+language plpgsql
+as $$
+declare
+  v_event public.events%rowtype;
+  v_reverted integer;
+begin
+  select * into v_event from public.events where id = p_event_id for update;
+  if not found or v_event.status <> 'completed' then
+    return null;
+  end if;
+
+  with reverted as (
+    update public.player_stats s
+    set points = coalesce(s.points, 0) - e.points_awarded
+    from public.player_event_records e
+    where e.event_id = p_event_id and e.points_awarded > 0
+      and s.player_id = e.player_id and s.game = v_event.game and s.kit = v_event.kit
+    returning s.id, s.player_id, s.game, s.kit, s.tier, s.points + e.points_awarded as old_points, s.points as new_points
+  ),
+  logged as (
+    insert into public.player_stat_history
+      (stat_id, player_id, game, kit, old_tier, new_tier, old_points, new_points, source, source_id, changed_by)
+    select r.id::text, r.player_id, r.game, r.kit, r.tier, r.tier, r.old_points, r.new_points, 'event', p_event_id::text, p_changed_by
+    from reverted r
+    returning 1
+  )
+  select count(*) into v_reverted from logged;
+
+  update public.player_event_records
+  set place = null, place_to = null, points_awarded = 0
+  where event_id = p_event_id;
+
+  update public.events set status = 'live', completed_at = null where id = p_event_id;
+  return v_reverted;
+end;
+$$;
+
+-- Adds one reported match to both players' event records in place, so two reports
+-- landing together can't read the same wins/losses and overwrite each other.
+create or replace function public.record_event_match(
+  p_event_id bigint,
+  p_winner_id uuid,
+  p_loser_id uuid
+)
+returns void
+language sql
+as $$
+  insert into public.player_event_records as records (event_id, player_id, wins, losses)
+  select p_event_id, p_winner_id, 1, 0
+  union all
+  select p_event_id, p_loser_id, 0, 1 where p_loser_id is not null
+  on conflict (event_id, player_id) do update
+  set wins = records.wins + excluded.wins,
+      losses = records.losses + excluded.losses;
+$$;
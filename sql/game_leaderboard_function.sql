@@ -0,0 +1,102 @@
+-- Database-side leaderboard aggregation for /game/:name and the API.
+-- Totals, best tier and top rating are computed per player in Postgres and
+-- only the requested page comes back. Ranks are assigned before the tier
+-- filter so a player keeps the same rank number whichever tiers are shown.
+
+create or replace function public.game_leaderboard(
+  p_game text,
+  p_kit text default null,
+  p_tiers text[] default null,
+  p_sort text default 'points',
+  p_limit integer default 25,
+  p_offset integer default 0
+)
+returns table (
+  player_id uuid,
+  username text,
+  total_points bigint,
+  best_tier text,
+  top_rating integer,
+  kits jsonb,
+  rank bigint,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with tier_order (tier, tier_rank) as (
+    values ('LT5', 1), ('HT5', 2), ('LT4', 3), ('HT4', 4), ('LT3', 5),
+           ('HT3', 6), ('LT2', 7), ('HT2', 8), ('LT1', 9), ('HT1', 10)
+  ),
+  filtered as (
+    select
+      s.player_id,
+      s.kit,
+      s.tier,
+      coalesce(s.points, 0) as points,
+      coalesce(s.rating, 1500) as rating,
+      coalesce(t.tier_rank, 0) as tier_rank
+    from public.player_stats s
+    left join tier_order t on t.tier = s.tier
+    where s.game = p_game
+      and (p_kit is null or s.kit = p_kit)
+  ),
+  aggregated as (
+    select
+      f.player_id,
+      p.username,
+      sum(f.points) as total_points,
+      max(f.tier_rank) as best_tier_rank,
+      max(f.rating) as top_rating,
+      jsonb_agg(
+        jsonb_build_object('kit', f.kit, 'tier', f.tier, 'points', f.points, 'rating', f.rating)
+        order by f.points desc, f.kit
+      ) as kits
+    from filtered f
+    join public.players p on p.id = f.player_id
+    group by f.player_id, p.username
+  ),
+  ranked as (
+    select
+      a.*,
+      (select t.tier from tier_order t where t.tier_rank = a.best_tier_rank) as best_tier,
+      row_number() over (
+        order by
+          case when p_sort = 'tier' then a.best_tier_rank end desc nulls last,
+          case when p_sort = 'rating' then a.top_rating end desc nulls last,
+          a.total_points desc,
+          a.best_tier_rank desc,
+          a.username asc,
+          a.player_id asc
+      ) as rank
+    from aggregated a
+  ),
+  visible as (
+    select * from ranked r
+    where p_tiers is null or cardinality(p_tiers) = 0 or r.best_tier = any (p_tiers)
+  )
+  select
+    v.player_id,
+    v.username,
+    v.total_points,
+    v.best_tier,
+    v.top_rating,
+    v.kits,
+    v.rank,
+    count(*) over () as total_count
+  from visible v
+  order by v.rank
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
+
+-- Kit names for the leaderboard filter, without shipping every stat row to Node.
+create or replace function public.game_kits(p_game text)
+returns table (kit text)
+language sql
+stable
+as $$
+  select distinct s.kit from public.player_stats s where s.game = p_game and s.kit is not null order by s.kit;
+$$;
+
+create index if not exists player_stats_game_kit_idx on public.player_stats (game, kit);
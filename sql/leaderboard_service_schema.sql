@@ -0,0 +1,119 @@
+-- Shared leaderboard aggregation for the website and the Discord bot.
+-- Replaces game_leaderboard from game_leaderboard_function.sql with a version
+-- that can also return the standing of specific players (search results,
+-- /rank in the bot) and includes the skin lookup columns the homepage needs.
+-- Results are cached in-process for a short TTL by rankings.js.
+
+drop function if exists public.game_leaderboard(text, text, text[], text, integer, integer);
+
+create or replace function public.game_leaderboard(
+  p_game text,
+  p_kit text default null,
+  p_tiers text[] default null,
+  p_sort text default 'points',
+  p_limit integer default 25,
+  p_offset integer default 0,
+  p_player_ids uuid[] default null
+)
+returns table (
+  player_id uuid,
+  username text,
+  minecraft_uuid text,
+  minecraft_username text,
+  total_points bigint,
+  best_tier text,
+  top_rating integer,
+  kits jsonb,
+  rank bigint,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with tier_order (tier, tier_rank) as (
+    values ('LT5', 1), ('HT5', 2), ('LT4', 3), ('HT4', 4), ('LT3', 5),
+           ('HT3', 6), ('LT2', 7), ('HT2', 8), ('LT1', 9), ('HT1', 10)
+  ),
+  filtered as (
+    select
+      s.player_id,
+      s.kit,
+      s.tier,
+      coalesce(s.points, 0) as points,
+      coalesce(s.rating, 1500) as rating,
+      coalesce(t.tier_rank, 0) as tier_rank
+    from public.player_stats s
+    left join tier_order t on t.tier = s.tier
+    where s.game = p_game
+      and (p_kit is null or s.kit = p_kit)
+  ),
+  aggregated as (
+    select
+      f.player_id,
+      p.username,
+      p.minecraft_uuid::text as minecraft_uuid,
+      p.minecraft_username,
+      sum(f.points) as total_points,
+      max(f.tier_rank) as best_tier_rank,
+      max(f.rating) as top_rating,
+      jsonb_agg(
+        jsonb_build_object('kit', f.kit, 'tier', f.tier, 'points', f.points, 'rating', f.rating)
+        order by f.points desc, f.kit
+      ) as kits
+    from filtered f
+    join public.players p on p.id = f.player_id
+    group by f.player_id, p.username, p.minecraft_uuid, p.minecraft_username
+  ),
+  ranked as (
+    select
+      a.*,
+      (select t.tier from tier_order t where t.tier_rank = a.best_tier_rank) as best_tier,
+      row_number() over (
+        order by
+          case when p_sort = 'tier' then a.best_tier_rank end desc nulls last,
+          case when p_sort = 'rating' then a.top_rating end desc nulls last,
+          a.total_points desc,
+          a.best_tier_rank desc,
+          a.username asc,
+          a.player_id asc
+      ) as rank
+    from aggregated a
+  ),
+  visible as (
+    select * from ranked r
+    where (p_tiers is null or cardinality(p_tiers) = 0 or r.best_tier = any (p_tiers))
+      and (p_player_ids is null or r.player_id = any (p_player_ids))
+  )
+  select
+    v.player_id,
+    v.username,
+    v.minecraft_uuid,
+    v.minecraft_username,
+    v.total_points,
+    v.best_tier,
+    v.top_rating,
+    v.kits,
+    v.rank,
+    count(*) over () as total_count
+  from visible v
+  order by v.rank
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
+
+-- The bot keeps its own copy of the cache and clears it on realtime changes to
+-- the tables the cached queries read; the website clears its copy on writes.
+do $$
+declare
+  source_table text;
+begin
+  foreach source_table in array array['player_stats', 'players', 'seasons', 'season_standings'] loop
+    if to_regclass('public.' || source_table) is not null and not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = source_table
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', source_table);
+    end if;
+  end loop;
+end;
+$$;
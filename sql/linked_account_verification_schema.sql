@@ -0,0 +1,36 @@
+-- Ownership verification for linked Minecraft accounts.
+-- A link starts unverified with a one-time code; the server plugin reports
+-- the code back through POST /minecraft/verify together with the UUID of the
+-- player who typed it, and only then is the UUID stored in game_id.
+
+alter table public.user_linked_accounts
+  add column if not exists verified boolean not null default false,
+  add column if not exists verified_at timestamptz,
+  add column if not exists player_id uuid references public.players(id) on delete set null,
+  add column if not exists verification_uuid text,
+  add column if not exists verification_code text,
+  add column if not exists verification_expires_at timestamptz;
+
+-- Links made before verification existed never proved ownership.
+update public.user_linked_accounts set game_id = null where verified = false;
+
+create unique index if not exists user_linked_accounts_code_idx
+  on public.user_linked_accounts (verification_code)
+  where verification_code is not null;
+
+-- A Minecraft account can only be verified by one site user.
+create unique index if not exists user_linked_accounts_verified_idx
+  on public.user_linked_accounts (game, game_id)
+  where verified;
+
+-- The bot resyncs Discord tier roles as soon as a link is verified.
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'user_linked_accounts'
+  ) then
+    alter publication supabase_realtime add table public.user_linked_accounts;
+  end if;
+end;
+$$;
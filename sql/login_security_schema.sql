@@ -0,0 +1,23 @@
+-- Login throttling and password recovery: consecutive failed logins lock an
+-- account for a while, and users can reset a forgotten password through a
+-- single-use emailed token (only its sha256 hash is stored).
+
+alter table public.users
+  add column if not exists failed_login_count integer not null default 0,
+  add column if not exists locked_until timestamptz;
+
+alter table public.staff_accounts
+  add column if not exists failed_login_count integer not null default 0,
+  add column if not exists locked_until timestamptz;
+
+create table if not exists public.password_resets (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references public.users(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_resets_user_idx on public.password_resets (user_id, used_at);
@@ -0,0 +1,164 @@
+-- Multi-game support. Each game carries its own kit list, tier ladder
+-- (weakest first; empty means the default LT5..HT1 ladder), avatar provider
+-- and account-linking rules, which games.js reads.
+
+alter table public.games
+  add column if not exists slug text,
+  add column if not exists tiers text[] not null default '{}',
+  add column if not exists kits text[] not null default '{}',
+  add column if not exists avatar_provider text not null default 'none',
+  add column if not exists avatar_template text,
+  add column if not exists link_verification text not null default 'none',
+  add column if not exists account_label text,
+  add column if not exists username_pattern text;
+
+alter table public.games drop constraint if exists games_avatar_provider_check;
+alter table public.games
+  add constraint games_avatar_provider_check check (avatar_provider in ('minecraft', 'template', 'none'));
+
+alter table public.games drop constraint if exists games_link_verification_check;
+alter table public.games
+  add constraint games_link_verification_check check (link_verification in ('minecraft', 'none'));
+
+update public.games
+set slug = trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'))
+where slug is null;
+
+create unique index if not exists games_slug_idx on public.games (slug) where slug is not null;
+
+-- Minecraft keeps its skin renders and in-game /verify linking.
+update public.games
+set avatar_provider = 'minecraft',
+    link_verification = 'minecraft',
+    account_label = coalesce(account_label, 'Minecraft IGN'),
+    username_pattern = coalesce(username_pattern, '^[A-Za-z0-9_]{3,16}$')
+where lower(name) = 'minecraft' and avatar_provider = 'none';
+
+-- Tiers rank by the game's own ladder instead of the fixed LT5..HT1 list.
+create or replace function public.game_leaderboard(
+  p_game text,
+  p_kit text default null,
+  p_tiers text[] default null,
+  p_sort text default 'points',
+  p_limit integer default 25,
+  p_offset integer default 0,
+  p_player_ids uuid[] default null,
+  p_season_id bigint default null
+)
+returns table (
+  player_id uuid,
+  username text,
+  minecraft_uuid text,
+  minecraft_username text,
+  total_points bigint,
+  best_tier text,
+  top_rating integer,
+  kits jsonb,
+  rank bigint,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with ladder as (
+    select coalesce(
+      (select g.tiers from public.games g where g.name = p_game and cardinality(g.tiers) > 0 limit 1),
+      array['LT5', 'HT5', 'LT4', 'HT4', 'LT3', 'HT3', 'LT2', 'HT2', 'LT1', 'HT1']
+    ) as tiers
+  ),
+  tier_order (tier, tier_rank) as (
+    select t.tier, t.tier_rank::integer
+    from ladder, unnest(ladder.tiers) with ordinality as t(tier, tier_rank)
+  ),
+  source as (
+    select s.player_id, s.game, s.kit, s.tier, s.points, s.rating
+    from public.player_stats s
+    where p_season_id is null
+    union all
+    select a.player_id, a.game, a.kit, a.tier, a.points, a.rating
+    from public.season_standings a
+    where a.season_id = p_season_id
+  ),
+  filtered as (
+    select
+      s.player_id,
+      s.kit,
+      s.tier,
+      coalesce(s.points, 0) as points,
+      coalesce(s.rating, 1500) as rating,
+      coalesce(t.tier_rank, 0) as tier_rank
+    from source s
+    left join tier_order t on t.tier = s.tier
+    where s.game = p_game
+      and (p_kit is null or s.kit = p_kit)
+  ),
+  aggregated as (
+    select
+      f.player_id,
+      p.username,
+      p.minecraft_uuid::text as minecraft_uuid,
+      p.minecraft_username,
+      sum(f.points) as total_points,
+      max(f.tier_rank) as best_tier_rank,
+      max(f.rating) as top_rating,
+      jsonb_agg(
+        jsonb_build_object('kit', f.kit, 'tier', f.tier, 'points', f.points, 'rating', f.rating)
+        order by f.points desc, f.kit
+      ) as kits
+    from filtered f
+    join public.players p on p.id = f.player_id
+    group by f.player_id, p.username, p.minecraft_uuid, p.minecraft_username
+  ),
+  ranked as (
+    select
+      a.*,
+      (select t.tier from tier_order t where t.tier_rank = a.best_tier_rank) as best_tier,
+      row_number() over (
+        order by
+          case when p_sort = 'tier' then a.best_tier_rank end desc nulls last,
+          case when p_sort = 'rating' then a.top_rating end desc nulls last,
+          a.total_points desc,
+          a.best_tier_rank desc,
+          a.username asc,
+          a.player_id asc
+      ) as rank
+    from aggregated a
+  ),
+  visible as (
+    select * from ranked r
+    where (p_tiers is null or cardinality(p_tiers) = 0 or r.best_tier = any (p_tiers))
+      and (p_player_ids is null or r.player_id = any (p_player_ids))
+  )
+  select
+    v.player_id,
+    v.username,
+    v.minecraft_uuid,
+    v.minecraft_username,
+    v.total_points,
+    v.best_tier,
+    v.top_rating,
+    v.kits,
+    v.rank,
+    count(*) over () as total_count
+  from visible v
+  order by v.rank
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
+
+-- A game's configured kits are listed even before anyone has stats in them.
+create or replace function public.game_kits(p_game text, p_season_id bigint default null)
+returns table (kit text)
+language sql
+stable
+as $$
+  select distinct s.kit from public.player_stats s
+  where p_season_id is null and s.game = p_game and s.kit is not null
+  union
+  select distinct a.kit from public.season_standings a
+  where a.season_id = p_season_id and a.game = p_game
+  union
+  select unnest(g.kits) from public.games g
+  where p_season_id is null and g.name = p_game
+  order by 1;
+$$;
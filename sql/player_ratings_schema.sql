@@ -0,0 +1,27 @@
+-- Elo skill rating per player, game, and kit.
+-- Ratings live next to tiers and points in player_stats and move every time an
+-- admin reports an event match result.
+
+alter table public.player_stats
+  add column if not exists rating integer not null default 1500,
+  add column if not exists rated_matches integer not null default 0 check (rated_matches >= 0);
+
+create index if not exists player_stats_rating_idx on public.player_stats (game, kit, rating desc);
+
+-- Moves a rating by a delta in one statement so concurrent match reports for the
+-- same player add up instead of overwriting each other.
+create or replace function public.adjust_player_rating(
+  p_player_id uuid,
+  p_game text,
+  p_kit text,
+  p_rating_delta integer,
+  p_match_delta integer
+)
+returns void
+language sql
+as $$
+  update public.player_stats
+  set rating = rating + p_rating_delta,
+      rated_matches = greatest(0, rated_matches + p_match_delta)
+  where player_id = p_player_id and game = p_game and kit = p_kit;
+$$;
@@ -0,0 +1,109 @@
+-- Typo-tolerant player search for /search and the autocomplete endpoint.
+-- Names are matched against both username and minecraft_username: exact and
+-- prefix hits rank first, then substring hits, then pg_trgm similarity so
+-- "purpeld" still finds Purpled. Optional kit, tier and points filters apply
+-- to the player's stats in one game; with no filters players without stats
+-- are found too.
+
+create extension if not exists pg_trgm;
+
+create index if not exists players_username_trgm_idx
+  on public.players using gin (lower(username) gin_trgm_ops);
+create index if not exists players_minecraft_username_trgm_idx
+  on public.players using gin (lower(minecraft_username) gin_trgm_ops);
+
+create or replace function public.search_players(
+  p_query text,
+  p_game text,
+  p_kit text default null,
+  p_tiers text[] default null,
+  p_min_points integer default null,
+  p_max_points integer default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  player_id uuid,
+  username text,
+  minecraft_uuid text,
+  minecraft_username text,
+  match_score real,
+  total_points bigint,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with needle as (
+    select lower(trim(coalesce(p_query, ''))) as q
+  ),
+  names as (
+    select
+      p.id,
+      p.username,
+      p.minecraft_uuid::text as minecraft_uuid,
+      p.minecraft_username,
+      lower(p.username) as name,
+      lower(coalesce(p.minecraft_username, '')) as alias
+    from public.players p
+  ),
+  matched as (
+    select
+      n.*,
+      (
+        case
+          when x.q = '' then 0
+          when n.name = x.q or n.alias = x.q then 3
+          when starts_with(n.name, x.q) or starts_with(n.alias, x.q) then 2
+          when strpos(n.name, x.q) > 0 or strpos(n.alias, x.q) > 0 then 1
+          else 0
+        end
+        + greatest(
+          similarity(n.name, x.q),
+          word_similarity(x.q, n.name),
+          similarity(n.alias, x.q),
+          word_similarity(x.q, n.alias)
+        )
+      )::real as match_score
+    from names n
+    cross join needle x
+    where x.q = ''
+      or strpos(n.name, x.q) > 0
+      or strpos(n.alias, x.q) > 0
+      or n.name % x.q
+      or n.alias % x.q
+      or x.q <% n.name
+      or x.q <% n.alias
+  ),
+  stat_totals as (
+    select s.player_id, sum(coalesce(s.points, 0))::bigint as total_points
+    from public.player_stats s
+    where s.game = p_game
+      and (p_kit is null or s.kit = p_kit)
+      and (p_tiers is null or cardinality(p_tiers) = 0 or s.tier = any (p_tiers))
+    group by s.player_id
+  ),
+  filtered as (
+    select m.*, coalesce(t.total_points, 0)::bigint as total_points
+    from matched m
+    left join stat_totals t on t.player_id = m.id
+    where (
+        (p_kit is null and (p_tiers is null or cardinality(p_tiers) = 0) and p_min_points is null and p_max_points is null)
+        or t.player_id is not null
+      )
+      and (p_min_points is null or coalesce(t.total_points, 0) >= p_min_points)
+      and (p_max_points is null or coalesce(t.total_points, 0) <= p_max_points)
+  )
+  select
+    f.id as player_id,
+    f.username,
+    f.minecraft_uuid,
+    f.minecraft_username,
+    f.match_score,
+    f.total_points,
+    count(*) over () as total_count
+  from filtered f
+  order by f.match_score desc, f.total_points desc, f.username asc, f.id asc
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
@@ -0,0 +1,39 @@
+-- Immutable tier/points history for player_stats.
+-- Every change made through submissions, admin edits, or events appends a row
+-- here so profiles can show a timeline and disputes can be settled.
+
+create table if not exists public.player_stat_history (
+  id bigint generated by default as identity primary key,
+  -- Deliberately not a foreign key: history outlives deleted stat rows.
+  stat_id text,
+  player_id uuid not null references public.players(id) on delete cascade,
+  game text not null,
+  kit text not null,
+  old_tier text,
+  new_tier text,
+  old_points integer,
+  new_points integer,
+  source text not null check (source in ('submission', 'admin', 'event')),
+  source_id text,
+  changed_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists player_stat_history_player_idx on public.player_stat_history (player_id, created_at desc);
+create index if not exists player_stat_history_kit_idx on public.player_stat_history (player_id, game, kit, created_at desc);
+
+-- History rows are append-only. Deletes are still allowed so removing a
+-- player cascades cleanly.
+create or replace function public.player_stat_history_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'player_stat_history rows are immutable';
+end;
+$$;
+
+drop trigger if exists player_stat_history_no_update on public.player_stat_history;
+create trigger player_stat_history_no_update
+  before update on public.player_stat_history
+  for each row execute function public.player_stat_history_immutable();
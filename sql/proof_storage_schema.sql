@@ -0,0 +1,7 @@
+-- Private Supabase Storage bucket for submission proofs, used when
+-- PROOF_STORAGE=supabase. Files are only read through the service key by the
+-- admin proof route, so the bucket stays non-public and needs no policies.
+
+insert into storage.buckets (id, name, public)
+values ('proofs', 'proofs', false)
+on conflict (id) do nothing;
@@ -0,0 +1,230 @@
+-- Competitive seasons.
+-- player_stats keeps the live standings; closing a season copies every row
+-- into season_standings, and opening the next one can keep, decay, or reset
+-- points. Events are tagged with the season that was active when they were
+-- created. game_leaderboard learns to read from an archived season.
+
+create table if not exists public.seasons (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  status text not null default 'active' check (status in ('active', 'closed')),
+  point_policy text not null default 'keep' check (point_policy in ('keep', 'decay', 'reset')),
+  decay_percent integer not null default 0 check (decay_percent between 0 and 100),
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- At most one season runs at a time.
+create unique index if not exists seasons_single_active_idx on public.seasons ((status)) where status = 'active';
+
+create table if not exists public.season_standings (
+  season_id bigint not null references public.seasons(id) on delete cascade,
+  player_id uuid not null references public.players(id) on delete cascade,
+  game text not null,
+  kit text not null,
+  tier text,
+  points integer not null default 0,
+  rating integer,
+  kit_rank integer not null,
+  primary key (season_id, player_id, game, kit)
+);
+
+create index if not exists season_standings_game_idx on public.season_standings (season_id, game, kit, kit_rank);
+create index if not exists season_standings_player_idx on public.season_standings (player_id, season_id);
+
+alter table public.events
+  add column if not exists season_id bigint references public.seasons(id) on delete set null;
+
+create index if not exists events_season_idx on public.events (season_id);
+
+-- Season resets are recorded in the stat history like any other change.
+alter table public.player_stat_history drop constraint if exists player_stat_history_source_check;
+alter table public.player_stat_history
+  add constraint player_stat_history_source_check check (source in ('submission', 'admin', 'event', 'season'));
+
+-- Copies live standings into the archive and marks the season closed.
+create or replace function public.close_season(p_season_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  insert into public.season_standings (season_id, player_id, game, kit, tier, points, rating, kit_rank)
+  select
+    p_season_id,
+    s.player_id,
+    s.game,
+    s.kit,
+    s.tier,
+    coalesce(s.points, 0),
+    s.rating,
+    rank() over (partition by s.game, s.kit order by coalesce(s.points, 0) desc)
+  from public.player_stats s
+  on conflict (season_id, player_id, game, kit) do nothing;
+
+  update public.seasons
+  set status = 'closed', ended_at = now()
+  where id = p_season_id and status = 'active';
+end;
+$$;
+
+-- Applies a new season's point policy to every player_stats row and logs it.
+create or replace function public.apply_season_point_policy(p_season_id bigint, p_policy text, p_decay_percent integer)
+returns void
+language plpgsql
+as $$
+begin
+  if p_policy not in ('decay', 'reset') then
+    return;
+  end if;
+
+  with changed as (
+    select
+      s.id,
+      s.player_id,
+      s.game,
+      s.kit,
+      s.tier,
+      s.points as old_points,
+      case when p_policy = 'reset' then 0
+           else floor(coalesce(s.points, 0) * (100 - p_decay_percent) / 100.0)::integer end as new_points
+    from public.player_stats s
+  ),
+  logged as (
+    insert into public.player_stat_history
+      (stat_id, player_id, game, kit, old_tier, new_tier, old_points, new_points, source, source_id)
+    select c.id::text, c.player_id, c.game, c.kit, c.tier, c.tier, c.old_points, c.new_points, 'season', p_season_id::text
+    from changed c
+    where c.new_points is distinct from c.old_points
+  )
+  update public.player_stats s
+  set points = c.new_points
+  from changed c
+  where s.id = c.id and c.new_points is distinct from c.old_points;
+end;
+$$;
+
+-- game_leaderboard gains p_season_id: null reads live player_stats, otherwise
+-- the archived standings of that season.
+drop function if exists public.game_leaderboard(text, text, text[], text, integer, integer, uuid[]);
+
+create or replace function public.game_leaderboard(
+  p_game text,
+  p_kit text default null,
+  p_tiers text[] default null,
+  p_sort text default 'points',
+  p_limit integer default 25,
+  p_offset integer default 0,
+  p_player_ids uuid[] default null,
+  p_season_id bigint default null
+)
+returns table (
+  player_id uuid,
+  username text,
+  minecraft_uuid text,
+  minecraft_username text,
+  total_points bigint,
+  best_tier text,
+  top_rating integer,
+  kits jsonb,
+  rank bigint,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with tier_order (tier, tier_rank) as (
+    values ('LT5', 1), ('HT5', 2), ('LT4', 3), ('HT4', 4), ('LT3', 5),
+           ('HT3', 6), ('LT2', 7), ('HT2', 8), ('LT1', 9), ('HT1', 10)
+  ),
+  source as (
+    select s.player_id, s.game, s.kit, s.tier, s.points, s.rating
+    from public.player_stats s
+    where p_season_id is null
+    union all
+    select a.player_id, a.game, a.kit, a.tier, a.points, a.rating
+    from public.season_standings a
+    where a.season_id = p_season_id
+  ),
+  filtered as (
+    select
+      s.player_id,
+      s.kit,
+      s.tier,
+      coalesce(s.points, 0) as points,
+      coalesce(s.rating, 1500) as rating,
+      coalesce(t.tier_rank, 0) as tier_rank
+    from source s
+    left join tier_order t on t.tier = s.tier
+    where s.game = p_game
+      and (p_kit is null or s.kit = p_kit)
+  ),
+  aggregated as (
+    select
+      f.player_id,
+      p.username,
+      p.minecraft_uuid::text as minecraft_uuid,
+      p.minecraft_username,
+      sum(f.points) as total_points,
+      max(f.tier_rank) as best_tier_rank,
+      max(f.rating) as top_rating,
+      jsonb_agg(
+        jsonb_build_object('kit', f.kit, 'tier', f.tier, 'points', f.points, 'rating', f.rating)
+        order by f.points desc, f.kit
+      ) as kits
+    from filtered f
+    join public.players p on p.id = f.player_id
+    group by f.player_id, p.username, p.minecraft_uuid, p.minecraft_username
+  ),
+  ranked as (
+    select
+      a.*,
+      (select t.tier from tier_order t where t.tier_rank = a.best_tier_rank) as best_tier,
+      row_number() over (
+        order by
+          case when p_sort = 'tier' then a.best_tier_rank end desc nulls last,
+          case when p_sort = 'rating' then a.top_rating end desc nulls last,
+          a.total_points desc,
+          a.best_tier_rank desc,
+          a.username asc,
+          a.player_id asc
+      ) as rank
+    from aggregated a
+  ),
+  visible as (
+    select * from ranked r
+    where (p_tiers is null or cardinality(p_tiers) = 0 or r.best_tier = any (p_tiers))
+      and (p_player_ids is null or r.player_id = any (p_player_ids))
+  )
+  select
+    v.player_id,
+    v.username,
+    v.minecraft_uuid,
+    v.minecraft_username,
+    v.total_points,
+    v.best_tier,
+    v.top_rating,
+    v.kits,
+    v.rank,
+    count(*) over () as total_count
+  from visible v
+  order by v.rank
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
+
+-- Kit names for a game, live or from an archived season.
+drop function if exists public.game_kits(text);
+
+create or replace function public.game_kits(p_game text, p_season_id bigint default null)
+returns table (kit text)
+language sql
+stable
+as $$
+  select distinct s.kit from public.player_stats s
+  where p_season_id is null and s.game = p_game and s.kit is not null
+  union
+  select distinct a.kit from public.season_standings a
+  where a.season_id = p_season_id and a.game = p_game
+  order by 1;
+$$;
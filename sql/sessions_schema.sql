@@ -0,0 +1,10 @@
+-- Persistent storage for express-session (see session-store.js), replacing
+-- the in-memory store that lost every login on restart.
+
+create table if not exists public.http_sessions (
+  sid text primary key,
+  sess jsonb not null,
+  expires_at timestamptz not null
+);
+
+create index if not exists http_sessions_expires_idx on public.http_sessions (expires_at);
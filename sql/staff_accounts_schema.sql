@@ -0,0 +1,30 @@
+-- Database-backed staff accounts with roles, replacing the shared
+-- ADMIN_USER/ADMIN_PASS login. Owners invite staff from the dashboard; the
+-- invite link lets them choose a password. While no owner exists, logging in
+-- with ADMIN_USER/ADMIN_PASS creates the first owner account.
+-- Tier testers from tier_tests_schema.sql become staff with the tester role.
+
+create table if not exists public.staff_accounts (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  password_hash text,
+  role text not null default 'admin' check (role in ('owner', 'admin', 'event_manager', 'tester')),
+  active boolean not null default true,
+  invite_token_hash text unique,
+  invite_expires_at timestamptz,
+  invited_by uuid references public.staff_accounts(id) on delete set null,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+insert into public.staff_accounts (id, username, password_hash, role, active, created_at)
+select t.id, t.username, t.password_hash, 'tester', t.active, t.created_at
+from public.testers t
+on conflict do nothing;
+
+alter table public.tier_tests drop constraint if exists tier_tests_tester_id_fkey;
+alter table public.tier_tests
+  add constraint tier_tests_tester_id_fkey
+  foreign key (tester_id) references public.staff_accounts(id) on delete set null;
+
+drop table if exists public.testers;
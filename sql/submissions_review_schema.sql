@@ -0,0 +1,29 @@
+-- Moderation workflow for proof submissions.
+-- Submissions now land in a pending state and only change player_stats once
+-- an admin approves them. Run this migration inside Supabase SQL after the
+-- base submissions table exists.
+
+alter table public.submissions
+  add column if not exists user_id uuid references public.users(id) on delete set null,
+  add column if not exists notes text,
+  add column if not exists status text,
+  add column if not exists review_note text,
+  add column if not exists reviewed_by text,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists submitter_response text,
+  add column if not exists responded_at timestamptz;
+
+alter table public.submissions alter column player_id drop not null;
+
+-- Everything submitted before the review queue existed was applied immediately.
+update public.submissions set status = 'approved' where status is null;
+alter table public.submissions alter column status set default 'pending';
+alter table public.submissions alter column status set not null;
+
+alter table public.submissions drop constraint if exists submissions_status_check;
+alter table public.submissions
+  add constraint submissions_status_check
+  check (status in ('pending', 'needs_info', 'approved', 'rejected'));
+
+create index if not exists submissions_status_idx on public.submissions (status, created_at);
+create index if not exists submissions_user_idx on public.submissions (user_id);
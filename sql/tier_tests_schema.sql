@@ -0,0 +1,44 @@
+-- Tier testing: tester accounts, the test queue, and recorded results.
+-- Players with a verified Minecraft link request a test for a kit, a tester
+-- claims it from the queue, and the result they record updates player_stats
+-- the same way an approved submission does.
+
+create table if not exists public.testers (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  password_hash text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.tier_tests (
+  id bigint generated by default as identity primary key,
+  player_id uuid not null references public.players(id) on delete cascade,
+  user_id uuid references public.users(id) on delete set null,
+  game text not null,
+  kit text not null,
+  status text not null default 'queued' check (status in ('queued', 'assigned', 'completed', 'cancelled')),
+  tester_id uuid references public.testers(id) on delete set null,
+  previous_tier text,
+  result_tier text,
+  result_points integer,
+  notes text,
+  requested_at timestamptz not null default now(),
+  assigned_at timestamptz,
+  completed_at timestamptz
+);
+
+-- One open test per player and kit.
+create unique index if not exists tier_tests_open_idx
+  on public.tier_tests (player_id, game, kit)
+  where status in ('queued', 'assigned');
+
+create index if not exists tier_tests_queue_idx on public.tier_tests (status, requested_at);
+create index if not exists tier_tests_tester_idx on public.tier_tests (tester_id, status);
+create index if not exists tier_tests_player_idx on public.tier_tests (player_id, game, kit, completed_at desc);
+
+-- Test results are logged in the stat history alongside other sources.
+alter table public.player_stat_history drop constraint if exists player_stat_history_source_check;
+alter table public.player_stat_history
+  add constraint player_stat_history_source_check
+  check (source in ('submission', 'admin', 'event', 'season', 'test'));